@@ -0,0 +1,121 @@
+/**
+ * AUTHOR.JS - Author Spotlight for the "About the Author" card
+ *
+ * Loads a featured author from the API and renders:
+ * - The author's photo, name, lifespan and biography
+ * - Their books in the "Related Books" grid
+ */
+
+/**
+ * AuthorSpotlightManager Class
+ * Fetches a featured author from /api/authors/featured and displays it
+ */
+class AuthorSpotlightManager {
+    constructor() {
+        this.authorCard = document.querySelector('.author-card');
+        this.relatedSection = document.querySelector('.related-books');
+        this.author = null; // Will store the API data
+        this.init();
+    }
+
+    /**
+     * Initialize the author spotlight
+     */
+    init() {
+        if (!this.authorCard) return;
+        this.loadFeaturedAuthor();
+        console.log('✍️ Author Spotlight Manager initialized - loading from API');
+    }
+
+    /**
+     * Load the featured author and their books from the API
+     */
+    async loadFeaturedAuthor() {
+        try {
+            const response = await fetch('/api/authors/featured');
+
+            if (response.status === 404) {
+                this.showEmptyState();
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.author = result.data;
+
+            this.displayAuthor();
+            this.displayAuthorBooks();
+        } catch (error) {
+            console.error('❌ Error loading featured author:', error);
+            this.showEmptyState();
+        }
+    }
+
+    /**
+     * Render the author card from API data
+     */
+    displayAuthor() {
+        const author = this.author;
+        const content = this.authorCard.querySelector('.author-content');
+
+        const photo = author.photoUrl
+            ? `<img src="${escapeHtml(author.photoUrl)}" alt="${escapeHtml(author.name)} author photo" class="author-photo">`
+            : `<div class="author-photo author-photo--initials">${this.getInitials(author.name)}</div>`;
+
+        content.innerHTML = `
+            <div class="author-image">${photo}</div>
+            <div class="author-info">
+                <h4 class="author-name">${escapeHtml(author.name)}</h4>
+                ${author.lifespan ? `<p class="author-lifespan">${escapeHtml(author.lifespan)}</p>` : ''}
+                <p class="author-bio">${escapeHtml(author.bio || '')}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Fill the "Related Books" grid with the author's books
+     */
+    displayAuthorBooks() {
+        if (!this.relatedSection || !this.author.books || this.author.books.length === 0) return;
+
+        const title = this.relatedSection.querySelector('.related-title');
+        const grid = this.relatedSection.querySelector('.related-grid');
+
+        title.textContent = `More by ${this.author.name}`;
+        grid.innerHTML = this.author.books.slice(0, 5).map(book => `
+            <div class="related-book" data-book-id="${book._id}">
+                <img src="${escapeHtml(book.covers.thumb)}" alt="${escapeHtml(book.title)} book cover" class="related-cover">
+                <h4 class="related-book-title">${escapeHtml(book.title)}</h4>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Show a quiet placeholder when no author profile is available yet
+     */
+    showEmptyState() {
+        const content = this.authorCard.querySelector('.author-content');
+        content.innerHTML = `
+            <div class="author-info">
+                <p class="author-bio">Author profiles will appear here once they are added in the admin panel.</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Get up to two initials from a name
+     * @param {string} name - Author name
+     * @returns {string} Initials, e.g. "GO"
+     */
+    getInitials(name) {
+        return name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    const authorSpotlight = new AuthorSpotlightManager();
+});
@@ -1,63 +1,75 @@
 /**
- * DASHBOARD.JS - JSON Implementation for User Dashboard
- * 
- * This file demonstrates JSON object handling:
- * - Fetching complex JSON data from external files
- * - Working with nested JSON objects and arrays
- * - Dynamic user data display from JSON
- * - Async/await for JSON operations
- * - Real-time data updates and manipulation
+ * DASHBOARD.JS - User Dashboard
+ *
+ * Shows the logged-in patron's own library account (/api/me/dashboard):
+ * - Current loans with their due status, and real Renew / Return actions
+ * - Holds with their place in the queue, which can be cancelled
+ * - Fines and this year's reading goal
+ * - Books recommended for the patron (/api/me/recommendations)
+ * Visitors who are not logged in are asked to log in.
  */
 
 /**
  * DashboardManager Class
- * Manages user dashboard data fetched from JSON file
+ * Manages the patron dashboard fetched from the API
  */
 class DashboardManager {
     constructor() {
         this.dashboardSection = document.querySelector('#dashboard');
-        this.dashboardData = null; // Will store JSON data
+        this.dashboardData = null; // Will store the API data
         this.init();
     }
 
     /**
      * Initialize the dashboard functionality
-     * Automatically load user data from JSON file
+     * Automatically load the patron's data from the API
      */
     init() {
+        if (!this.dashboardSection) return;
         this.loadDashboardData();
-        console.log('👤 Dashboard Manager initialized - loading from JSON file');
+        console.log('👤 Dashboard Manager initialized - loading from API');
     }
 
     /**
-     * Load user dashboard data from JSON file
-     * Demonstrates async/await and complex JSON object handling
+     * Load the patron's dashboard from the API
+     * Demonstrates async/await and nested JSON object handling
      */
     async loadDashboardData() {
         try {
-            console.log('📥 Fetching dashboard data from JSON file...');
-            
-            // Fetch data from JSON file using fetch API
-            const response = await fetch('dashboard.json');
-            
+            console.log('📥 Fetching dashboard data from API...');
+
+            const response = await fetch('/api/me/dashboard');
+
+            // Not logged in: nothing personal to show
+            if (response.status === 401) {
+                this.showLoginPrompt();
+                return;
+            }
+
             // Check if request was successful
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            
-            // Parse JSON data
-            this.dashboardData = await response.json();
-            
-            // Update dashboard with JSON data
+
+            const result = await response.json();
+            this.dashboardData = result.data;
+
+            // Update dashboard with the patron's data
             this.updateUserInfo();
             this.updateBorrowedBooks();
+            this.updateHolds();
             this.addUserStats();
-            this.addFavoriteGenres();
-            
+
+            // Recommendations are only fetched once
+            if (!this.recommendationsLoaded) {
+                this.recommendationsLoaded = true;
+                this.loadRecommendations();
+            }
+
             // Log success message
-            console.log('✅ Successfully loaded dashboard data from JSON');
+            console.log('✅ Successfully loaded dashboard data from API');
             console.log('👤 User Data:', this.dashboardData);
-            
+
         } catch (error) {
             console.error('❌ Error loading dashboard data:', error);
             this.showErrorMessage('Unable to load dashboard data. Please try again later.');
@@ -65,90 +77,86 @@ class DashboardManager {
     }
 
     /**
-     * Update user information in the welcome section using JSON data
+     * Update user information in the welcome section
      */
     updateUserInfo() {
-        // Update welcome title with user data from JSON
         const welcomeTitle = this.dashboardSection.querySelector('.welcome-title');
         const welcomeSubtitle = this.dashboardSection.querySelector('.welcome-subtitle');
-        
-        const user = this.dashboardData.user;
+
+        const { user, readingGoal } = this.dashboardData;
         welcomeTitle.textContent = `Welcome Back, ${user.name}!`;
         welcomeSubtitle.innerHTML = `
-            ${user.membershipType} Member since ${this.formatDate(user.memberSince)}
+            Member since ${this.formatDate(user.memberSince)}
             <br>
             <span style="font-size: 14px; color: #f59e0b;">
-                📚 Reading Goal: ${user.readingGoal.completed}/${user.readingGoal.yearly} books
+                📚 Reading Goal ${readingGoal.year}: ${readingGoal.completed}/${readingGoal.yearly} books
             </span>
         `;
     }
 
     /**
-     * Update the borrowed books section with JSON data
+     * Update the borrowed books section with the current loans
      */
     updateBorrowedBooks() {
         const borrowedSection = this.dashboardSection.querySelector('.borrowed-section .book-list');
-        
+        const loans = this.dashboardData.loans;
+
         // Clear existing content
         borrowedSection.innerHTML = '';
 
-        // Add books from JSON data
-        this.dashboardData.borrowedBooks.forEach((book, index) => {
-            const bookItem = this.createBorrowedBookItem(book, index);
+        if (loans.length === 0) {
+            borrowedSection.innerHTML = '<p class="status-text">You have no books on loan.</p>';
+        }
+
+        loans.forEach((loan, index) => {
+            const bookItem = this.createBorrowedBookItem(loan, index);
             borrowedSection.appendChild(bookItem);
         });
 
         // Update section header with count
         const sectionTitle = this.dashboardSection.querySelector('.borrowed-section .section-title');
-        sectionTitle.textContent = `Borrowed Books (${this.dashboardData.borrowedBooks.length})`;
+        sectionTitle.textContent = `Borrowed Books (${loans.length})`;
     }
 
     /**
-     * Create a borrowed book item from JSON data
-     * @param {Object} bookData - Book data from JSON
-     * @param {number} index - Book index
+     * Create a borrowed book item for a loan
+     * @param {Object} loan - Loan from the API, with its book, copy and due status
+     * @param {number} index - Loan index
      * @returns {HTMLElement} Book item element
      */
-    createBorrowedBookItem(bookData, index) {
+    createBorrowedBookItem(loan, index) {
         const bookItem = document.createElement('div');
         bookItem.className = 'book-item';
         bookItem.dataset.bookIndex = index;
 
-        // Calculate days until due
-        const dueDate = new Date(bookData.dueDate);
-        const today = new Date();
-        const daysLeft = Math.ceil((dueDate - today) / (1000 * 60 * 60 * 24));
-        
-        // Determine status styling
-        let statusClass = 'days-left';
-        let statusText = `${daysLeft} days left`;
-        
-        if (daysLeft <= 0) {
-            statusClass = 'overdue';
-            statusText = 'Overdue!';
-        } else if (daysLeft <= 3) {
-            statusClass = 'due-soon';
-            statusText = `Due in ${daysLeft} day${daysLeft > 1 ? 's' : ''}`;
-        }
+        const book = loan.book || { title: 'Removed book', author: '', covers: {} };
+        const statusText = {
+            'overdue': `Overdue by ${-loan.daysLeft} day${loan.daysLeft === -1 ? '' : 's'}`,
+            'due-today': 'Due Today',
+            'due-soon': `Due in ${loan.daysLeft} day${loan.daysLeft === 1 ? '' : 's'}`,
+            'on-time': `${loan.daysLeft} days left`
+        }[loan.dueStatus];
+        const statusClass = loan.dueStatus === 'on-time' ? 'days-left' : loan.dueStatus;
 
         bookItem.innerHTML = `
-            <img src="${bookData.coverImage}" 
-                 alt="${bookData.title} cover" class="book-item__cover">
+            <img src="${escapeHtml(book.covers.thumb)}"
+                 alt="${escapeHtml(book.title)} cover" class="book-item__cover">
             <div class="book-item__info">
-                <h4 class="book-item__title">${bookData.title}</h4>
-                <p class="book-item__author">${bookData.author}</p>
+                <h4 class="book-item__title">${escapeHtml(book.title)}</h4>
+                <p class="book-item__author">${escapeHtml(book.author)}</p>
                 <div class="book-item__due">
                     <span class="due-icon">📅</span>
-                    <span class="due-text">Due: ${this.formatDate(bookData.dueDate)}</span>
+                    <span class="due-text">Due: ${this.formatDate(loan.dueDate)}</span>
                     <span class="due-status ${statusClass}">${statusText}</span>
                 </div>
                 <div style="font-size: 12px; color: #64748b; margin-top: 4px;">
-                    Borrowed: ${this.formatDate(bookData.borrowDate)}
-                    ${bookData.renewalCount > 0 ? `• Renewed ${bookData.renewalCount} time(s)` : ''}
+                    Borrowed: ${this.formatDate(loan.checkedOutAt)}
+                    ${loan.renewalCount > 0 ? `• Renewed ${loan.renewalCount} of ${loan.maxRenewals} time(s)` : ''}
+                    ${loan.fine > 0 ? `• Fine so far: ${this.formatMoney(loan.fine)}` : ''}
                 </div>
             </div>
             <div class="book-item__actions">
-                <button class="btn-action btn-renew" data-book-index="${index}">
+                <button class="btn-action btn-renew" data-book-index="${index}" ${loan.canRenew ? '' : 'title="No renewals left"'}>
                     🔄 Renew
                 </button>
                 <button class="btn-action btn-return" data-book-index="${index}">
@@ -161,43 +169,98 @@ class DashboardManager {
         const renewBtn = bookItem.querySelector('.btn-renew');
         const returnBtn = bookItem.querySelector('.btn-return');
 
-        renewBtn.addEventListener('click', () => this.renewBook(index));
-        returnBtn.addEventListener('click', () => this.returnBook(index));
+        renewBtn.addEventListener('click', () => this.renewBook(index, renewBtn));
+        returnBtn.addEventListener('click', () => this.returnBook(index, returnBtn));
 
         return bookItem;
     }
 
+    /**
+     * Update the reserved books section with the patron's holds
+     */
+    updateHolds() {
+        const reservedSection = this.dashboardSection.querySelector('.reserved-section .book-list');
+        if (!reservedSection) return;
+
+        const holds = this.dashboardData.holds;
+        reservedSection.innerHTML = '';
+
+        if (holds.length === 0) {
+            reservedSection.innerHTML = '<p class="status-text">You have no books on hold.</p>';
+        }
+
+        holds.forEach((hold, index) => {
+            const title = hold.book ? hold.book.title : (hold.work ? hold.work.title : 'Removed book');
+            const author = hold.book ? hold.book.author : (hold.work ? hold.work.author : '');
+            const cover = hold.book ? hold.book.covers.thumb : `/api/covers/placeholder.svg?${new URLSearchParams({ title, author })}`;
+
+            const holdItem = document.createElement('div');
+            holdItem.className = 'book-item';
+            holdItem.innerHTML = `
+                <img src="${escapeHtml(cover)}" alt="${escapeHtml(title)} cover" class="book-item__cover">
+                <div class="book-item__info">
+                    <h4 class="book-item__title">${escapeHtml(title)}</h4>
+                    <p class="book-item__author">${escapeHtml(author)}</p>
+                    <div class="book-item__status">
+                        ${hold.status === 'Ready' ? `
+                            <span class="status-text">Ready for Pickup! Collect by ${this.formatDate(hold.pickupDeadline)}</span>
+                            <span class="status-badge available">Available</span>
+                        ` : `
+                            <span class="status-text">In Queue: #${hold.queuePosition}</span>
+                        `}
+                    </div>
+                </div>
+                <div class="book-item__actions">
+                    <button class="btn-action btn-cancel-hold">Cancel</button>
+                </div>
+            `;
+
+            const cancelBtn = holdItem.querySelector('.btn-cancel-hold');
+            cancelBtn.addEventListener('click', () => this.cancelHold(index, cancelBtn));
+
+            reservedSection.appendChild(holdItem);
+        });
+    }
+
     /**
      * Add user statistics section
      */
     addUserStats() {
-        // Update existing stats bar with JSON data
         const statsBar = this.dashboardSection.querySelector('.stats-bar');
-        const user = this.dashboardData.user;
-        
+        const { stats, fines, readingGoal } = this.dashboardData;
+        const owed = fines.balance + fines.accruing;
+
         statsBar.innerHTML = `
             <div class="stat-item">
                 <div class="stat-icon">📚</div>
-                <span class="stat-text">${this.dashboardData.borrowedBooks.length} Books Borrowed</span>
+                <span class="stat-text">${stats.borrowed} Books Borrowed</span>
             </div>
             <div class="stat-item">
-                <div class="stat-icon">🎯</div>
-                <span class="stat-text">${user.readingGoal.completed}/${user.readingGoal.yearly} Goal Progress</span>
+                <div class="stat-icon">📅</div>
+                <span class="stat-text">${stats.overdue ? `${stats.overdue} Overdue` : `${stats.dueSoon} Due Soon`}</span>
             </div>
             <div class="stat-item">
-                <div class="stat-icon">⭐</div>
-                <span class="stat-text">${user.membershipType} Member</span>
+                <div class="stat-icon">🔔</div>
+                <span class="stat-text">${stats.holdsReady} Hold${stats.holdsReady === 1 ? '' : 's'} Ready</span>
+            </div>
+            <div class="stat-item">
+                <div class="stat-icon">💰</div>
+                <span class="stat-text">${owed > 0 ? `${this.formatMoney(owed)} in Fines` : 'No Fines'}</span>
+            </div>
+            <div class="stat-item">
+                <div class="stat-icon">🎯</div>
+                <span class="stat-text">${readingGoal.completed}/${readingGoal.yearly} Goal Progress</span>
             </div>
         `;
     }
 
     /**
-     * Add favorite genres section using JSON data
+     * Add favorite genres section
+     * @param {string[]} genres - The genres the patron borrows most
      */
-    addFavoriteGenres() {
-        // Add favorite genres section
+    addFavoriteGenres(genres) {
         const dashboardGrid = this.dashboardSection.querySelector('.dashboard-grid');
-        
+
         const genresSection = document.createElement('div');
         genresSection.style.cssText = `
             background: white;
@@ -208,13 +271,12 @@ class DashboardManager {
             margin-top: 32px;
         `;
 
-        const user = this.dashboardData.user;
         genresSection.innerHTML = `
             <h3 style="font-family: 'Playfair Display', serif; font-size: 24px; color: #0f172a; margin-bottom: 16px;">
                 📖 Favorite Genres
             </h3>
             <div style="display: flex; gap: 12px; flex-wrap: wrap;">
-                ${user.preferences.favoriteGenres.map(genre => `
+                ${genres.map(genre => `
                     <span style="
                         background: linear-gradient(135deg, #f59e0b, #d97706);
                         color: white;
@@ -222,7 +284,7 @@ class DashboardManager {
                         border-radius: 20px;
                         font-size: 14px;
                         font-weight: 600;
-                    ">${genre}</span>
+                    ">${escapeHtml(genre)}</span>
                 `).join('')}
             </div>
         `;
@@ -231,49 +293,146 @@ class DashboardManager {
     }
 
     /**
-     * Renew a book (extends due date)
-     * @param {number} bookIndex - Index of book in the array
+     * Load the logged-in patron's recommendations from the API
+     */
+    async loadRecommendations() {
+        try {
+            const response = await fetch('/api/me/recommendations?limit=8');
+
+            if (response.status === 401) return;
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (result.profile.favoriteGenres.length > 0) {
+                this.addFavoriteGenres(result.profile.favoriteGenres);
+            }
+            if (result.data.length > 0) {
+                this.addRecommendations(result.data);
+            }
+        } catch (error) {
+            console.error('❌ Error loading recommendations:', error);
+        }
+    }
+
+    /**
+     * Add the "Recommended for you" row below the dashboard
+     * @param {Array} books - Recommended books from the API, best first
+     */
+    addRecommendations(books) {
+        const dashboardGrid = this.dashboardSection.querySelector('.dashboard-grid');
+
+        const section = document.createElement('div');
+        section.className = 'recommended-section';
+        section.innerHTML = `
+            <h3 style="font-family: 'Playfair Display', serif; font-size: 24px; color: #0f172a; margin-bottom: 16px;">
+                ✨ Recommended for you
+            </h3>
+            <div class="recommended-row">
+                ${books.map(book => `
+                    <article class="recommended-card" data-book-id="${escapeHtml(book._id)}">
+                        <img src="${escapeHtml(book.covers.card)}" alt="${escapeHtml(book.title)} cover" class="recommended-card__cover">
+                        <h4 class="recommended-card__title">${escapeHtml(book.title)}</h4>
+                        <p class="recommended-card__author">${escapeHtml(book.author)}</p>
+                        <p class="recommended-card__reason">${escapeHtml(book.recommendation.reasons[0])}</p>
+                        <span class="status-badge ${book.recommendation.action === 'borrow' ? 'available' : 'holdable'}">
+                            ${book.recommendation.action === 'borrow' ? 'Available' : 'Place a hold'}
+                        </span>
+                    </article>
+                `).join('')}
+            </div>
+        `;
+
+        dashboardGrid.parentNode.appendChild(section);
+    }
+
+    /**
+     * Send a circulation request and report the server's answer
+     * @param {string} url - API endpoint
+     * @param {string} method - HTTP method
+     * @param {Object} body - JSON body
+     * @returns {Promise<Object|null>} Response data, or null after showing the server's error
      */
-    renewBook(bookIndex) {
-        const book = this.dashboardData.borrowedBooks[bookIndex];
-        
-        if (book.renewalCount >= 2) {
-            this.showMessage('Maximum renewals reached for this book!', 'error');
-            return;
+    async sendAction(url, method, body) {
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                this.showMessage(result.error || `Request failed (status ${response.status})`, 'error');
+                return null;
+            }
+            return result;
+        } catch (error) {
+            console.error('❌ Error sending request:', error);
+            this.showMessage('Could not reach the library. Please try again.', 'error');
+            return null;
         }
+    }
 
-        // Extend due date by 2 weeks
-        const currentDue = new Date(book.dueDate);
-        currentDue.setDate(currentDue.getDate() + 14);
-        book.dueDate = currentDue.toISOString().split('T')[0];
-        book.renewalCount++;
+    /**
+     * Renew a loan (the server extends the due date or explains why it cannot)
+     * @param {number} loanIndex - Index of the loan in the array
+     * @param {HTMLButtonElement} button - Button clicked, disabled while the request runs
+     */
+    async renewBook(loanIndex, button) {
+        const loan = this.dashboardData.loans[loanIndex];
+        if (!loan.book || !loan.copy) return;
+
+        button.disabled = true;
+        const result = await this.sendAction(`/api/books/${loan.book._id}/renew`, 'POST', { copyId: loan.copy._id });
+        button.disabled = false;
 
-        // Refresh display
-        this.updateBorrowedBooks();
-        
-        this.showMessage(`"${book.title}" has been renewed until ${this.formatDate(book.dueDate)}`);
+        if (result) {
+            this.showMessage(`"${loan.book.title}" has been renewed until ${this.formatDate(result.data.dueDate)}`);
+            await this.loadDashboardData();
+        }
     }
 
     /**
-     * Return a book (removes from borrowed list)
-     * @param {number} bookIndex - Index of book in the array
+     * Return a loan
+     * @param {number} loanIndex - Index of the loan in the array
+     * @param {HTMLButtonElement} button - Button clicked, disabled while the request runs
      */
-    returnBook(bookIndex) {
-        const book = this.dashboardData.borrowedBooks[bookIndex];
-        
-        if (confirm(`Are you sure you want to return "${book.title}"?`)) {
-            // Remove book from borrowed array
-            this.dashboardData.borrowedBooks.splice(bookIndex, 1);
-            
-            // Update reading goal
-            this.dashboardData.user.readingGoal.completed++;
-            
-            // Refresh displays
-            this.updateBorrowedBooks();
-            this.updateUserInfo();
-            this.addUserStats();
-            
-            this.showMessage(`"${book.title}" has been returned successfully! 🎉`);
+    async returnBook(loanIndex, button) {
+        const loan = this.dashboardData.loans[loanIndex];
+        if (!loan.book || !loan.copy) return;
+
+        if (!confirm(`Are you sure you want to return "${loan.book.title}"?`)) return;
+
+        button.disabled = true;
+        const result = await this.sendAction(`/api/books/${loan.book._id}/return`, 'POST', { copyId: loan.copy._id });
+        button.disabled = false;
+
+        if (result) {
+            const fine = result.fine ? ` A fine of ${this.formatMoney(result.fine.amount)} was added to your account.` : '';
+            this.showMessage(`"${loan.book.title}" has been returned successfully! 🎉${fine}`);
+            await this.loadDashboardData();
+        }
+    }
+
+    /**
+     * Cancel a hold
+     * @param {number} holdIndex - Index of the hold in the array
+     * @param {HTMLButtonElement} button - Button clicked, disabled while the request runs
+     */
+    async cancelHold(holdIndex, button) {
+        const hold = this.dashboardData.holds[holdIndex];
+        const url = hold.book ? `/api/books/${hold.book._id}/hold` : `/api/works/${hold.work._id}/hold`;
+
+        button.disabled = true;
+        const result = await this.sendAction(url, 'DELETE', { userId: this.dashboardData.user._id });
+        button.disabled = false;
+
+        if (result) {
+            this.showMessage('Your hold has been cancelled');
+            await this.loadDashboardData();
         }
     }
 
@@ -291,6 +450,15 @@ class DashboardManager {
         });
     }
 
+    /**
+     * Format an amount of money for display
+     * @param {number} amount - Amount in dollars
+     * @returns {string} e.g. "$1.50"
+     */
+    formatMoney(amount) {
+        return `$${Number(amount).toFixed(2)}`;
+    }
+
     /**
      * Show notification message
      * @param {string} message - Message to display
@@ -341,24 +509,38 @@ class DashboardManager {
         }, 4000);
     }
 
+    /**
+     * Ask visitors to log in, instead of showing someone else's account
+     */
+    showLoginPrompt() {
+        const welcomeTitle = this.dashboardSection.querySelector('.welcome-title');
+        const welcomeSubtitle = this.dashboardSection.querySelector('.welcome-subtitle');
+        welcomeTitle.textContent = 'Your Library Dashboard';
+        welcomeSubtitle.innerHTML = '<a href="/auth/login">Log in</a> to see your loans, holds and fines.';
+
+        this.dashboardSection.querySelectorAll('.stats-bar, .dashboard-grid').forEach(element => {
+            element.style.display = 'none';
+        });
+    }
+
     /**
      * Show error message to user
      * @param {string} message - Error message to display
      */
     showErrorMessage(message) {
         this.showMessage(message, 'error');
-        
+
         // Show error state in the dashboard
         const welcomeTitle = this.dashboardSection.querySelector('.welcome-title');
         if (welcomeTitle) {
             welcomeTitle.textContent = '❌ Unable to Load Dashboard';
             welcomeTitle.style.color = '#dc2626';
         }
-        
+
         const welcomeSubtitle = this.dashboardSection.querySelector('.welcome-subtitle');
         if (welcomeSubtitle) {
             welcomeSubtitle.innerHTML = `
-                <span style="color: #dc2626;">${message}</span>
+                <span style="color: #dc2626;">${escapeHtml(message)}</span>
                 <br>
                 <button onclick="location.reload()" style="
                     background: #dc2626;
@@ -377,8 +559,8 @@ class DashboardManager {
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', function() {
     // Create instance of DashboardManager
-    // This will automatically load and display user data from JSON
+    // This will automatically load and display the patron's account
     const dashboardManager = new DashboardManager();
-    
-    console.log('👤 JSON Dashboard functionality initialized!');
-});
\ No newline at end of file
+
+    console.log('👤 Dashboard functionality initialized!');
+});
@@ -0,0 +1,117 @@
+/**
+ * FACETS.JS - Genre and status filters in the hero search
+ *
+ * Shows how many books each choice will give, using the faceted search (/api/books/search):
+ * - The genre dropdown lists the genres in the catalog with their counts
+ * - The status dropdown shows a count next to each status
+ * Counts follow the other filters (e.g. the subject), and choosing an option
+ * tells the collection to reload with that filter.
+ */
+
+/**
+ * FacetFilterManager Class
+ * Keeps the genre and status dropdowns in step with the faceted search
+ */
+class FacetFilterManager {
+    constructor() {
+        this.genreSelect = document.querySelector('.filter-select--genre');
+        this.statusSelect = document.querySelector('.filter-select--status');
+        this.filters = {}; // Every catalog filter currently applied, from any dropdown
+        this.init();
+    }
+
+    /**
+     * Initialize the facet filters
+     */
+    async init() {
+        if (!this.genreSelect || !this.statusSelect) return;
+
+        this.genreSelect.addEventListener('change', () => this.applyFilter('genre', this.genreSelect.value));
+        this.statusSelect.addEventListener('change', () => this.applyFilter('status', this.statusSelect.value));
+
+        // Any filter change (including the subject dropdown) changes the counts
+        document.addEventListener('library:filter', (event) => {
+            this.filters = { ...this.filters, ...event.detail };
+            this.loadFacets();
+        });
+
+        await this.loadFacets();
+
+        console.log('🔢 Facet Filter Manager initialized');
+    }
+
+    /**
+     * Fetch the facet counts for the current filters
+     */
+    async loadFacets() {
+        try {
+            // Only the counts are needed, so ask for the smallest page of books
+            const params = new URLSearchParams({ limit: 1, fields: '_id' });
+            Object.entries(this.filters).forEach(([key, value]) => {
+                if (value) params.set(key, value);
+            });
+
+            const response = await fetch(`/api/books/search?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.renderGenres(result.facets.genre);
+            this.renderStatuses(result.facets.status);
+        } catch (error) {
+            console.error('❌ Error loading facet counts:', error);
+        }
+    }
+
+    /**
+     * Replace the genre options with the genres that have books
+     * @param {Array} genres - Genre facet entries ({ value, label, count })
+     */
+    renderGenres(genres) {
+        const current = this.genreSelect.value;
+
+        // Keep the chosen genre listed even when nothing matches it any more
+        const options = genres.some(genre => genre.value === current) || !current
+            ? genres
+            : [{ value: current, label: current, count: 0 }, ...genres];
+
+        this.genreSelect.innerHTML = '<option value="">All Genres</option>' + options.map(genre => `
+            <option value="${escapeHtml(genre.value)}">${escapeHtml(genre.label)} (${genre.count})</option>
+        `).join('');
+
+        this.genreSelect.value = current;
+    }
+
+    /**
+     * Add counts to the fixed status options
+     * @param {Array} statuses - Status facet entries ({ value, label, count })
+     */
+    renderStatuses(statuses) {
+        Array.from(this.statusSelect.options).forEach(option => {
+            if (!option.value) return;
+
+            // Remember the plain label the first time, e.g. "Checked Out"
+            option.dataset.label = option.dataset.label || option.textContent;
+            const facet = statuses.find(status => status.value === option.value);
+            option.textContent = `${option.dataset.label} (${facet ? facet.count : 0})`;
+        });
+    }
+
+    /**
+     * Tell the collection (and the other filters) about a new choice
+     * @param {string} key - Filter name, e.g. genre
+     * @param {string} value - Chosen value, empty for all
+     */
+    applyFilter(key, value) {
+        document.dispatchEvent(new CustomEvent('library:filter', {
+            detail: { [key]: value }
+        }));
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    const facetFilter = new FacetFilterManager();
+});
@@ -0,0 +1,16 @@
+/**
+ * HELPERS.JS - Small functions shared by the page scripts
+ *
+ * Loaded before the other scripts in index.html, so every manager can use them.
+ */
+
+/**
+ * Escape text for safe insertion into HTML (element content or a quoted attribute)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
@@ -0,0 +1,104 @@
+/**
+ * ISBNLOOKUP.JS - Quick ISBN Lookup card
+ *
+ * Sends the entered ISBN-10 or ISBN-13 to the API and shows:
+ * - The matching book's title and author
+ * - How many copies are on the shelf right now
+ */
+
+/**
+ * IsbnLookupManager Class
+ * Looks up books through /api/books/isbn/:isbn
+ */
+class IsbnLookupManager {
+    constructor() {
+        this.input = document.querySelector('.lookup-input');
+        this.button = document.querySelector('.lookup-btn');
+        this.result = document.querySelector('.lookup-result');
+        this.init();
+    }
+
+    /**
+     * Initialize the lookup card
+     */
+    init() {
+        if (!this.input || !this.button || !this.result) return;
+
+        this.button.addEventListener('click', () => this.lookup());
+        this.input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.lookup();
+            }
+        });
+
+        console.log('🔎 ISBN Lookup Manager initialized');
+    }
+
+    /**
+     * Look up the ISBN currently in the input
+     */
+    async lookup() {
+        const isbn = this.input.value.trim();
+        if (!isbn) {
+            this.showError('Enter an ISBN to look up.');
+            return;
+        }
+
+        this.button.disabled = true;
+        this.button.textContent = 'Looking up...';
+
+        try {
+            const response = await fetch(`/api/books/isbn/${encodeURIComponent(isbn)}`);
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                this.showError(result.error || `Lookup failed (status ${response.status})`);
+                return;
+            }
+
+            this.showBook(result);
+        } catch (error) {
+            console.error('❌ Error looking up ISBN:', error);
+            this.showError('Could not reach the catalogue. Please try again.');
+        } finally {
+            this.button.disabled = false;
+            this.button.textContent = 'Scan ISBN';
+        }
+    }
+
+    /**
+     * Render the matching book and its availability
+     * @param {Object} result - API response with data, isbn13 and isbn10
+     */
+    showBook(result) {
+        const book = result.data;
+        const available = book.availableCopies || 0;
+        const total = book.totalCopies || 0;
+        const availability = available > 0
+            ? `${available} of ${total} ${total === 1 ? 'copy' : 'copies'} available`
+            : (total > 0 ? `All ${total} ${total === 1 ? 'copy is' : 'copies are'} ${book.status === 'Reserved' ? 'reserved' : 'on loan'}` : 'No copies in the library');
+
+        this.result.classList.remove('lookup-result--error');
+        this.result.innerHTML = `
+            <div class="lookup-result-title">${escapeHtml(book.title)}</div>
+            <div>by ${escapeHtml(book.author)}</div>
+            <div class="lookup-result-isbn">ISBN-13 ${result.isbn13}${result.isbn10 ? ` · ISBN-10 ${result.isbn10}` : ''}</div>
+            <span class="lookup-availability ${available > 0 ? 'lookup-availability--available' : ''}">${availability}</span>
+        `;
+    }
+
+    /**
+     * Render an error message in the result area
+     * @param {string} message - Message to show
+     */
+    showError(message) {
+        this.result.classList.add('lookup-result--error');
+        this.result.textContent = message;
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    const isbnLookup = new IsbnLookupManager();
+});
@@ -56,32 +56,131 @@ class Book {
     }
 }
 
+/**
+ * Work Class - A title that can have several editions
+ * Each edition is a Book object; this demonstrates composition
+ */
+class Work {
+    /**
+     * @param {Object} workData - Work from /api/works (title, author, editions, ...)
+     */
+    constructor(workData) {
+        this._id = workData._id;
+        this.title = workData.title;
+        this.author = workData.author;
+        this.editions = (workData.editions || []).map(editionData => Work.createEdition(editionData));
+        this.selectedIndex = 0;
+    }
+
+    /**
+     * Build a Book object for one edition
+     * @param {Object} bookData - Edition (book) from the API
+     * @returns {Book} Book object with the edition details attached
+     */
+    static createEdition(bookData) {
+        const book = new Book(
+            bookData.title,
+            bookData.author,
+            bookData.genre || bookData.category,
+            bookData.status || (bookData.available ? 'Available' : 'Borrowed')
+        );
+        // Store additional API data
+        book._id = bookData._id;
+        book.description = bookData.description;
+        book.coverUrl = bookData.coverUrl;
+        book.covers = bookData.covers;
+        book.isbn = bookData.isbn;
+        book.publisher = bookData.publisher;
+        book.format = bookData.format;
+        book.publishedYear = bookData.publishedYear;
+        book.totalCopies = bookData.totalCopies || 0;
+        book.availableCopies = bookData.availableCopies || 0;
+        return book;
+    }
+
+    /**
+     * The edition currently chosen in the card's edition picker
+     * @returns {Book} Selected edition
+     */
+    getSelectedEdition() {
+        return this.editions[this.selectedIndex];
+    }
+
+    /**
+     * Short label for an edition, e.g. "2004 · Scribner · Paperback"
+     * @param {Book} edition - Edition to describe
+     * @returns {string} Edition label
+     */
+    getEditionLabel(edition) {
+        return [edition.publishedYear, edition.publisher, edition.format].filter(Boolean).join(' · ') || 'Edition';
+    }
+
+    /**
+     * Check if any edition has a copy on the shelf
+     * @returns {boolean} True if the work can be borrowed now
+     */
+    isAvailable() {
+        return this.editions.some(edition => edition.availableCopies > 0);
+    }
+}
+
 /**
  * LibraryManager Class - Manages the collection of books
- * This demonstrates composition - using Book objects within another class
+ * This demonstrates composition - using Work and Book objects within another class
  */
 class LibraryManager {
     /**
      * Constructor - initializes the library with books from API
      */
     constructor() {
-        this.books = []; // Array to store Book objects
+        this.works = []; // Array to store Work objects (one per title)
+        this.books = []; // Array to store every edition as a Book object
         this.collectionGrid = document.querySelector('.collection-grid');
+        this.filters = {}; // Catalog filters (e.g. subject) sent with every request
+        this.nextCursor = null; // Cursor for the next page of works, null on the last page
+
+        // The collection arrives a page at a time; "Load more" fetches the next page
+        this.loadMoreButton = document.createElement('button');
+        this.loadMoreButton.type = 'button';
+        this.loadMoreButton.className = 'btn-load-more';
+        this.loadMoreButton.textContent = 'Load more';
+        this.loadMoreButton.hidden = true;
+        this.loadMoreButton.addEventListener('click', () => this.loadBooksFromAPI({ append: true }));
+        this.collectionGrid.after(this.loadMoreButton);
+
+        // Filters such as the subject dropdown (subjects.js) announce changes with a library:filter event
+        document.addEventListener('library:filter', (event) => {
+            this.filters = { ...this.filters, ...event.detail };
+            this.loadBooksFromAPI();
+        });
+
         this.loadBooksFromAPI(); // Load books from MongoDB via API
         console.log('📚 Library Manager initialized - loading books from database');
     }
 
     /**
-     * Load books from the backend API (/api/books)
+     * Load works and their editions from the backend API (/api/works)
      * This replaces the static createSampleBooks() method
-     * Books are now fetched from MongoDB Atlas
+     * Books are now fetched from MongoDB Atlas, one page at a time
+     * @param {Object} options
+     * @param {boolean} options.append - Add the next page to the collection instead of starting over
      */
-    async loadBooksFromAPI() {
+    async loadBooksFromAPI({ append = false } = {}) {
         try {
-            console.log('📥 Fetching books from API...');
+            console.log(append ? '📥 Fetching more books from API...' : '📥 Fetching books from API...');
+            
+            // Fetch works (titles grouped with their editions) matching the current filters
+            const params = new URLSearchParams();
+            Object.entries(this.filters).forEach(([key, value]) => {
+                if (value) params.set(key, value);
+            });
+            if (append && this.nextCursor) {
+                params.set('cursor', this.nextCursor);
+            }
+            const query = params.toString();
             
-            // Fetch books from the backend API
-            const response = await fetch('/api/books');
+            this.loadMoreButton.disabled = true;
+            const response = await fetch(`/api/works${query ? `?${query}` : ''}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -89,95 +188,115 @@ class LibraryManager {
             
             const result = await response.json();
             
-            // API returns { success: true, count: X, data: [...] }
-            const apiBooks = result.data || [];
+            // API returns { success: true, count: X, data: [...], pagination: { nextCursor, hasMore } }
+            const apiWorks = result.data || [];
+            this.nextCursor = result.pagination ? result.pagination.nextCursor : null;
             
-            // Convert API book objects to Book class instances (optional, for OOP consistency)
-            this.books = apiBooks.map(bookData => {
-                const book = new Book(
-                    bookData.title,
-                    bookData.author,
-                    bookData.genre || bookData.category,
-                    bookData.status || (bookData.available ? 'Available' : 'Borrowed')
-                );
-                // Store additional API data
-                book._id = bookData._id;
-                book.description = bookData.description;
-                book.coverUrl = bookData.coverUrl;
-                book.isbn = bookData.isbn;
-                return book;
-            });
+            // Convert API works to Work class instances, each holding Book editions
+            const works = apiWorks.map(workData => new Work(workData));
+            const firstIndex = append ? this.works.length : 0;
+            this.works = append ? this.works.concat(works) : works;
+            this.books = this.works.flatMap(work => work.editions);
             
-            console.log(`✅ Loaded ${this.books.length} books from MongoDB Atlas`);
+            console.log(`✅ Loaded ${this.works.length} titles (${this.books.length} editions) from MongoDB Atlas`);
             
-            // Display the books
-            this.displayBooks();
+            // Display the books (a further page is added below the cards already shown)
+            if (append) {
+                works.forEach((work, index) => {
+                    this.collectionGrid.appendChild(this.createBookCard(work, firstIndex + index));
+                });
+            } else {
+                this.displayBooks();
+            }
             
         } catch (error) {
             console.error('❌ Error loading books from API:', error);
             this.showErrorMessage('Unable to load books from database. Please try again later.');
+        } finally {
+            this.loadMoreButton.disabled = false;
+            this.loadMoreButton.hidden = !this.nextCursor;
         }
     }
 
     /**
-     * Display all books in the collection grid
+     * Display one card per work in the collection grid
      * This method demonstrates working with object arrays
      */
     displayBooks() {
         // Clear existing content
         this.collectionGrid.innerHTML = '';
 
-        // Loop through each Book object and create display elements
-        this.books.forEach((book, index) => {
-            const bookCard = this.createBookCard(book, index);
+        if (this.works.length === 0) {
+            this.collectionGrid.innerHTML = '<p class="collection-empty">No books match these filters.</p>';
+            return;
+        }
+
+        // Loop through each Work object and create display elements
+        this.works.forEach((work, index) => {
+            const bookCard = this.createBookCard(work, index);
             this.collectionGrid.appendChild(bookCard);
         });
 
-        console.log(`📚 Displayed ${this.books.length} books using OOP methods`);
+        console.log(`📚 Displayed ${this.works.length} titles using OOP methods`);
     }
 
     /**
-     * Create a visual card for a Book object
-     * @param {Book} book - The Book object to display
+     * Create a visual card for a Work, showing its selected edition
+     * @param {Work} work - The Work object to display
      * @param {number} index - Index for styling variety
      * @returns {HTMLElement} Book card element
      */
-    createBookCard(book, index) {
+    createBookCard(work, index) {
+        const book = work.getSelectedEdition();
         const bookCard = document.createElement('div');
         bookCard.className = 'book-card';
-        bookCard.dataset.bookId = book.id;
-
-        // Use coverUrl from API if available, otherwise fallback to placeholder images
-        const defaultCoverImages = [
-            'https://images.unsplash.com/photo-1544947950-fa07a98d237f?w=300&h=400&fit=crop&auto=format',
-            'https://images.unsplash.com/photo-1481627834876-b7833e8f5570?w=300&h=400&fit=crop&auto=format',
-            'https://images.unsplash.com/photo-1512820790803-83ca734da794?w=300&h=400&fit=crop&auto=format',
-            'https://images.unsplash.com/photo-1519583272095-6433daf26b6e?w=300&h=400&fit=crop&auto=format',
-            'https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=300&h=400&fit=crop&auto=format',
-            'https://images.unsplash.com/photo-1589829085413-56de8ae18c73?w=300&h=400&fit=crop&auto=format',
-            'https://images.unsplash.com/photo-1516979187457-637abb4f9353?w=300&h=400&fit=crop&auto=format',
-            'https://images.unsplash.com/photo-1543002588-bfa74002ed7e?w=300&h=400&fit=crop&auto=format'
-        ];
+        bookCard.dataset.bookId = book._id;
+        if (work._id) {
+            bookCard.dataset.workId = work._id;
+        }
 
-        const coverImage = book.coverUrl || defaultCoverImages[index % defaultCoverImages.length];
+        // The API picks the uploaded cover, the cover URL or a title/author placeholder
+        const coverImage = book.covers.card;
 
         // Create book card HTML using the Book object's properties and methods
         bookCard.innerHTML = `
             <div class="collection-card__image">
-                <img src="${coverImage}" 
-                     alt="${book.title} cover" 
+                <img src="${escapeHtml(coverImage)}" 
+                     alt="${escapeHtml(book.title)} cover" 
                      class="collection-cover">
                 <div class="collection-status ${book.getStatusClass()}">
-                    ${book.status}
+                    ${escapeHtml(book.status)}
                 </div>
             </div>
             <div class="collection-card__content">
-                <h3 class="collection-title">${book.title}</h3>
-                <p class="collection-author">by ${book.author}</p>
-                <p class="collection-genre">📚 ${book.genre}</p>
+                <h3 class="collection-title">${escapeHtml(book.title)}</h3>
+                <p class="collection-author">by ${escapeHtml(book.author)}</p>
+                <p class="collection-genre">📚 ${escapeHtml(book.genre)}</p>
+                ${work.editions.length > 1 ? `
+                    <label class="collection-editions">
+                        <span>${work.editions.length} editions</span>
+                        <select class="collection-edition-picker" aria-label="Choose an edition of ${escapeHtml(work.title)}">
+                            ${work.editions.map((edition, editionIndex) => `
+                                <option value="${editionIndex}" ${editionIndex === work.selectedIndex ? 'selected' : ''}>
+                                    ${escapeHtml(work.getEditionLabel(edition))}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </label>
+                ` : `<p class="collection-edition">${escapeHtml(work.getEditionLabel(book))}</p>`}
+                <p class="collection-copies">${book.availableCopies} of ${book.totalCopies} copies available</p>
             </div>
         `;
 
+        // Switching edition redraws the card for the chosen edition
+        const picker = bookCard.querySelector('.collection-edition-picker');
+        if (picker) {
+            picker.addEventListener('change', () => {
+                work.selectedIndex = parseInt(picker.value);
+                bookCard.replaceWith(this.createBookCard(work, index));
+            });
+        }
+
         // Add hover effect to demonstrate object interaction
         bookCard.addEventListener('mouseenter', () => {
             console.log(`📖 Viewing: ${book.getBookInfo()}`);
@@ -254,7 +373,7 @@ class LibraryManager {
                 color: #dc2626;
             ">
                 <h3>❌ Unable to Load Books</h3>
-                <p>${message}</p>
+                <p>${escapeHtml(message)}</p>
                 <button onclick="location.reload()" style="
                     background: #dc2626;
                     color: white;
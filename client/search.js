@@ -0,0 +1,209 @@
+/**
+ * SEARCH.JS - Hero search box with search-as-you-type suggestions
+ *
+ * While the patron types, books matching the title, author, ISBN or tags
+ * are suggested below the box (/api/books/suggest):
+ * - Arrow keys move through the suggestions, Enter picks one, Escape closes the list
+ * - Picking a suggestion, pressing Enter or clicking Search filters the collection
+ */
+
+/**
+ * SearchSuggestManager Class
+ * Fetches suggestions as the patron types and shows them in a dropdown
+ */
+class SearchSuggestManager {
+    constructor() {
+        this.container = document.querySelector('.hero__search .search-input');
+        this.input = document.querySelector('.search-field');
+        this.button = document.querySelector('.search-btn');
+        this.suggestions = []; // Books currently listed
+        this.activeIndex = -1; // Highlighted suggestion, -1 for none
+        this.timer = null; // Debounce timer for typing
+        this.controller = null; // Aborts a request that a newer keystroke replaced
+        this.init();
+    }
+
+    /**
+     * Initialize the search box
+     */
+    init() {
+        if (!this.container || !this.input || !this.button) return;
+
+        // The dropdown sits under the search box
+        this.list = document.createElement('ul');
+        this.list.className = 'search-suggestions';
+        this.list.id = 'search-suggestions';
+        this.list.setAttribute('role', 'listbox');
+        this.list.hidden = true;
+        this.container.appendChild(this.list);
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.list.id);
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('autocomplete', 'off');
+
+        this.input.addEventListener('input', () => this.scheduleSuggest());
+        this.input.addEventListener('keydown', (event) => this.handleKey(event));
+        this.input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+        this.button.addEventListener('click', () => this.search(this.input.value));
+
+        console.log('🔍 Search Suggest Manager initialized');
+    }
+
+    /**
+     * Wait for a pause in typing before asking for suggestions
+     */
+    scheduleSuggest() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.loadSuggestions(), 150);
+    }
+
+    /**
+     * Fetch suggestions for the text in the box
+     */
+    async loadSuggestions() {
+        const query = this.input.value.trim();
+        if (query.length < 2) {
+            this.close();
+            return;
+        }
+
+        if (this.controller) this.controller.abort();
+        this.controller = new AbortController();
+
+        try {
+            const response = await fetch(`/api/books/suggest?q=${encodeURIComponent(query)}&limit=8`, {
+                signal: this.controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.render(result.data || []);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('❌ Error loading suggestions:', error);
+        }
+    }
+
+    /**
+     * Show the suggestions in the dropdown
+     * @param {Array} suggestions - Books from the API, best first
+     */
+    render(suggestions) {
+        this.suggestions = suggestions;
+        this.activeIndex = -1;
+
+        if (suggestions.length === 0) {
+            this.list.innerHTML = '<li class="search-suggestion search-suggestion--empty">No matching books</li>';
+        } else {
+            this.list.innerHTML = suggestions.map((book, index) => `
+                <li class="search-suggestion" id="search-suggestion-${index}" role="option" aria-selected="false" data-index="${index}">
+                    <img src="${escapeHtml(book.covers.thumb)}" alt="" class="search-suggestion__cover" width="32" height="48">
+                    <span class="search-suggestion__text">
+                        <strong>${escapeHtml(book.title)}</strong>
+                        <small>${escapeHtml(book.author)}${book.matchedOn === 'isbn' ? ` · ISBN ${escapeHtml(book.isbn)}` : ''}</small>
+                    </span>
+                </li>
+            `).join('');
+
+            this.list.querySelectorAll('.search-suggestion[data-index]').forEach(item => {
+                // mousedown fires before the input loses focus and closes the list
+                item.addEventListener('mousedown', (event) => {
+                    event.preventDefault();
+                    this.choose(parseInt(item.dataset.index));
+                });
+            });
+        }
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Keyboard navigation of the dropdown
+     * @param {KeyboardEvent} event - Key pressed in the search box
+     */
+    handleKey(event) {
+        const open = !this.list.hidden && this.suggestions.length > 0;
+
+        if (event.key === 'ArrowDown' && open) {
+            event.preventDefault();
+            this.highlight((this.activeIndex + 1) % this.suggestions.length);
+        } else if (event.key === 'ArrowUp' && open) {
+            event.preventDefault();
+            this.highlight(this.activeIndex <= 0 ? this.suggestions.length - 1 : this.activeIndex - 1);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            if (open && this.activeIndex >= 0) {
+                this.choose(this.activeIndex);
+            } else {
+                this.search(this.input.value);
+            }
+        } else if (event.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    /**
+     * Highlight a suggestion
+     * @param {number} index - Suggestion to highlight
+     */
+    highlight(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('.search-suggestion[data-index]').forEach(item => {
+            const active = parseInt(item.dataset.index) === index;
+            item.classList.toggle('search-suggestion--active', active);
+            item.setAttribute('aria-selected', String(active));
+            if (active) item.scrollIntoView({ block: 'nearest' });
+        });
+        this.input.setAttribute('aria-activedescendant', `search-suggestion-${index}`);
+    }
+
+    /**
+     * Search for the chosen suggestion's title
+     * @param {number} index - Suggestion picked
+     */
+    choose(index) {
+        const book = this.suggestions[index];
+        if (!book) return;
+
+        this.input.value = book.title;
+        this.search(book.title);
+    }
+
+    /**
+     * Filter the collection by the search text and bring it into view
+     * @param {string} text - Search text (empty shows everything again)
+     */
+    search(text) {
+        this.close();
+        document.dispatchEvent(new CustomEvent('library:filter', {
+            detail: { q: text.trim() }
+        }));
+
+        const collection = document.getElementById('collection');
+        if (collection && text.trim()) {
+            collection.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    /**
+     * Hide the dropdown
+     */
+    close() {
+        clearTimeout(this.timer);
+        this.list.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    const searchSuggest = new SearchSuggestManager();
+});
@@ -0,0 +1,79 @@
+/**
+ * SUBJECTS.JS - Subject filter in the hero search
+ *
+ * Fills the subject dropdown from the library's subject vocabulary:
+ * - Broader terms first, with their narrower terms indented below them
+ * - The number of books under each subject (including narrower terms)
+ * Choosing a subject tells the collection to reload with that filter.
+ */
+
+/**
+ * SubjectFilterManager Class
+ * Loads subjects from /api/subjects and announces the chosen one
+ */
+class SubjectFilterManager {
+    constructor() {
+        this.select = document.querySelector('.filter-select--subject');
+        this.init();
+    }
+
+    /**
+     * Initialize the subject filter
+     */
+    async init() {
+        if (!this.select) return;
+
+        this.select.addEventListener('change', () => this.applyFilter());
+        await this.loadSubjects();
+
+        console.log('🏷️ Subject Filter Manager initialized');
+    }
+
+    /**
+     * Fetch the subject tree with live book counts
+     */
+    async loadSubjects() {
+        try {
+            const response = await fetch('/api/subjects?hideEmpty=true');
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.renderOptions(result.data || []);
+        } catch (error) {
+            console.error('❌ Error loading subjects:', error);
+        }
+    }
+
+    /**
+     * Replace the dropdown options with the subjects
+     * @param {Array} subjects - Subjects in tree order from the API
+     */
+    renderOptions(subjects) {
+        const current = this.select.value;
+
+        this.select.innerHTML = '<option value="">All Subjects</option>' + subjects.map(subject => `
+            <option value="${escapeHtml(subject.slug)}">
+                ${'&nbsp;&nbsp;'.repeat(subject.depth)}${escapeHtml(subject.name)} (${subject.totalCount})
+            </option>
+        `).join('');
+
+        this.select.value = subjects.some(subject => subject.slug === current) ? current : '';
+    }
+
+    /**
+     * Tell the collection which subject to show
+     */
+    applyFilter() {
+        document.dispatchEvent(new CustomEvent('library:filter', {
+            detail: { subject: this.select.value }
+        }));
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    const subjectFilter = new SubjectFilterManager();
+});
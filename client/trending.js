@@ -1,60 +1,57 @@
 /**
- * TRENDING.JS - JSON Implementation for Trending Books Section
+ * TRENDING.JS - Trending Books Section
  * 
- * This file demonstrates JSON data handling:
- * - Fetching data from external JSON files
- * - Working with JSON objects and arrays
+ * Shows the books trending in the library right now (/api/books/trending):
+ * - Ranked by recent borrows, holds and reviews, newer activity counting more
+ * - Each card belongs to a real book in the catalog (data-book-id)
  * - Async/await for handling promises
- * - Dynamic content loading from JSON
- * - Error handling for JSON operations
+ * - Error handling for failed requests
  */
 
 /**
  * TrendingBooksManager Class
- * Manages fetching and displaying trending books from JSON file
+ * Manages fetching and displaying trending books from the API
  */
 class TrendingBooksManager {
     constructor() {
         this.trendingSection = document.querySelector('.trending-section .container');
         this.booksGrid = document.querySelector('.trending-section .books-grid');
-        this.trendingData = null; // Will store JSON data
+        this.trendingData = null; // Will store the API response
         this.init();
     }
 
     /**
      * Initialize the trending books functionality
-     * Automatically load books from JSON file when page loads
+     * Automatically load books from the API when page loads
      */
     init() {
+        if (!this.booksGrid) return;
         this.loadTrendingBooks();
-        console.log('📊 Trending Books Manager initialized - loading from JSON file');
+        console.log('📊 Trending Books Manager initialized - loading from API');
     }
 
     /**
-     * Load trending books data from JSON file
-     * Demonstrates async/await and fetch API for JSON operations
+     * Load the trending books from the API
      */
     async loadTrendingBooks() {
         try {
-            console.log('📥 Fetching trending books from JSON file...');
+            console.log('📥 Fetching trending books from API...');
             
-            // Fetch data from JSON file using fetch API
-            const response = await fetch('trending.json');
+            const response = await fetch('/api/books/trending?limit=6');
             
             // Check if request was successful
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             
-            // Parse JSON data
             this.trendingData = await response.json();
             
             // Display the books on the page
             this.displayTrendingBooks();
             
             // Log success message
-            console.log('✅ Successfully loaded trending books from JSON');
-            console.log('📊 JSON Data:', this.trendingData);
+            console.log('✅ Successfully loaded trending books from API');
+            console.log('📊 Trending Data:', this.trendingData);
             
         } catch (error) {
             console.error('❌ Error loading trending books:', error);
@@ -63,17 +60,26 @@ class TrendingBooksManager {
     }
 
     /**
-     * Display trending books from JSON data
-     * Creates book cards dynamically from fetched JSON data
+     * Display trending books from the API response
+     * Creates book cards dynamically from the ranked books
      */
     displayTrendingBooks() {
         // Clear existing content
         this.booksGrid.innerHTML = '';
 
-        // Get books array from JSON data
-        const books = this.trendingData.books;
+        const books = this.trendingData.data;
 
-        // Loop through JSON data and create book cards
+        // Nothing borrowed, held or reviewed lately
+        if (books.length === 0) {
+            this.booksGrid.innerHTML = `
+                <div style="grid-column: 1 / -1; text-align: center; padding: 40px; color: #64748b;">
+                    Nothing is trending yet. Borrow, hold or review a book to get things started!
+                </div>
+            `;
+            return;
+        }
+
+        // Loop through the ranked books and create book cards
         books.forEach((bookData, index) => {
             const bookCard = this.createTrendingBookCard(bookData, index);
             this.booksGrid.appendChild(bookCard);
@@ -81,12 +87,12 @@ class TrendingBooksManager {
 
         // Add animation and show success message
         this.animateCardsIn();
-        this.showMessage(`Successfully loaded ${books.length} trending books from JSON!`, 'success');
+        this.showMessage(`Successfully loaded ${books.length} trending books!`, 'success');
     }
 
     /**
-     * Create a book card from JSON data
-     * @param {Object} bookData - Book data from JSON
+     * Create a book card for a trending book
+     * @param {Object} bookData - Book from the API, with its trending stats
      * @param {number} index - Index for animation delay
      * @returns {HTMLElement} Book card element
      */
@@ -94,29 +100,23 @@ class TrendingBooksManager {
         // Create article element
         const article = document.createElement('article');
         article.className = 'book-card trending-book-card';
+        article.dataset.bookId = bookData._id;
         article.style.setProperty('--card-index', index);
         article.style.opacity = '0';
         article.style.transform = 'translateY(30px)';
 
         // Generate star rating display
-        const starsDisplay = this.generateStarRating(bookData.rating);
-
-        // Random book cover images
-        const coverImages = [
-            'https://images.unsplash.com/photo-1544947950-fa07a98d237f?w=300&h=400&fit=crop&auto=format',
-            'https://images.unsplash.com/photo-1481627834876-b7833e8f5570?w=300&h=400&fit=crop&auto=format',
-            'https://images.unsplash.com/photo-1621351183012-e2f9972dd9bf?w=300&h=400&fit=crop&auto=format',
-            'https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=300&h=400&fit=crop&auto=format',
-            'https://images.unsplash.com/photo-1497633762265-9d179a990aa6?w=300&h=400&fit=crop&auto=format'
-        ];
-        const coverImage = coverImages[index % coverImages.length];
-
-        // Create book card HTML using JSON data
+        const starsDisplay = this.generateStarRating(bookData.rating, bookData.totalReviews);
+
+        // The API picks the uploaded cover, the cover URL or a title/author placeholder
+        const coverImage = bookData.covers.card;
+
+        // Create book card HTML using the book's data
         article.innerHTML = `
             <div class="book-card__image">
                 <img src="${coverImage}" alt="${bookData.title} book cover" class="book-cover">
                 <div class="book-card__overlay">
-                    <button class="btn-quick-view" onclick="alert('Quick view for: ${bookData.title}\\n${bookData.description}')">
+                    <button class="btn-quick-view">
                         Quick View
                     </button>
                 </div>
@@ -142,7 +142,6 @@ class TrendingBooksManager {
                         color: #f59e0b;
                     ">
                         ${starsDisplay}
-                        <span style="color: #475569; margin-left: 4px;">${bookData.rating}</span>
                     </div>
                 </div>
                 <h3 class="book-title">${bookData.title}</h3>
@@ -156,24 +155,52 @@ class TrendingBooksManager {
                     -webkit-line-clamp: 2;
                     -webkit-box-orient: vertical;
                     overflow: hidden;
-                ">${bookData.description}</p>
+                ">${bookData.description || ''}</p>
                 <div class="book-status available" style="margin-top: 12px;">
-                    📈 Trending Now
+                    📈 ${this.describeActivity(bookData.trending)}
                 </div>
             </div>
         `;
 
+        article.querySelector('.btn-quick-view').addEventListener('click', () => {
+            alert(`Quick view for: ${bookData.title}\n${bookData.description || ''}`);
+        });
+
         return article;
     }
 
     /**
-     * Generate star rating display from numeric rating
-     * @param {number} rating - Numeric rating (e.g., 4.5)
-     * @returns {string} HTML string with star icons
+     * Summarize why a book is trending
+     * @param {Object} trending - Activity counts from the API ({ borrows, holds, reviews })
+     * @returns {string} e.g. "12 borrows · 3 holds"
+     */
+    describeActivity(trending) {
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const parts = [];
+
+        if (trending.borrows) parts.push(plural(trending.borrows, 'borrow'));
+        if (trending.holds) parts.push(plural(trending.holds, 'hold'));
+        if (trending.reviews) parts.push(plural(trending.reviews, 'review'));
+
+        return parts.length ? parts.join(' · ') : 'Trending Now';
+    }
+
+    /**
+     * Generate star rating display from a book's computed review rating
+     * The average is rounded to the nearest half star
+     * @param {number} rating - Average of the published reviews (e.g., 4.3)
+     * @param {number} totalReviews - Number of published reviews
+     * @returns {string} HTML string with star icons, the average and the review count
      */
-    generateStarRating(rating) {
-        const fullStars = Math.floor(rating);
-        const hasHalfStar = rating % 1 !== 0;
+    generateStarRating(rating, totalReviews = 0) {
+        if (!totalReviews) {
+            return '<span style="color: #94a3b8; font-weight: 500;">No reviews yet</span>';
+        }
+
+        const average = Math.min(Math.max(Number(rating) || 0, 0), 5);
+        const rounded = Math.round(average * 2) / 2;
+        const fullStars = Math.floor(rounded);
+        const hasHalfStar = rounded % 1 !== 0;
         const emptyStars = 5 - fullStars - (hasHalfStar ? 1 : 0);
 
         let starsHTML = '';
@@ -193,6 +220,10 @@ class TrendingBooksManager {
             starsHTML += '⚪';
         }
 
+        const reviewLabel = totalReviews === 1 ? 'review' : 'reviews';
+        starsHTML += `<span style="color: #475569; margin-left: 4px;">${average.toFixed(1)}</span>`;
+        starsHTML += `<span style="color: #94a3b8; font-weight: 500;">(${totalReviews} ${reviewLabel})</span>`;
+
         return starsHTML;
     }
 
@@ -300,8 +331,8 @@ class TrendingBooksManager {
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', function() {
     // Create instance of TrendingBooksManager
-    // This will automatically load and display books from JSON
+    // This will automatically load and display the trending books
     const trendingManager = new TrendingBooksManager();
     
-    console.log('📊 JSON Trending Books functionality initialized!');
+    console.log('📊 Trending Books functionality initialized!');
 });
\ No newline at end of file
@@ -0,0 +1,60 @@
+/**
+ * Fines Configuration
+ * Overdue fine rates and limits, read from environment variables
+ */
+
+/**
+ * Parse a JSON map of rates from an environment variable
+ * @param {string} value - e.g. '{"Reference": 1, "Fiction": 0.25}'
+ * @param {string} name - Variable name for error messages
+ * @returns {Object} Map of name -> daily rate
+ */
+const parseRates = (value, name) => {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`⚠️  Ignoring invalid ${name}: ${error.message}`);
+    return {};
+  }
+};
+
+const parseAmount = (value, fallback) => {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : fallback;
+};
+
+const fines = {
+  // Charged per day late when no genre or category rate applies
+  dailyRate: parseAmount(process.env.FINE_DAILY_RATE, 0.25),
+
+  // Per-genre and per-category daily rates; genre wins over category
+  genreRates: parseRates(process.env.FINE_GENRE_RATES, 'FINE_GENRE_RATES'),
+  categoryRates: parseRates(process.env.FINE_CATEGORY_RATES, 'FINE_CATEGORY_RATES'),
+
+  // Days late that are forgiven before a fine starts
+  graceDays: parseAmount(process.env.FINE_GRACE_DAYS, 2),
+
+  // Maximum fine for a single loan
+  maxAmount: parseAmount(process.env.FINE_MAX_AMOUNT, 10),
+
+  // Unpaid balance above which a patron can no longer borrow
+  blockThreshold: parseAmount(process.env.FINE_BLOCK_THRESHOLD, 5)
+};
+
+/**
+ * Daily rate that applies to a book
+ * @param {Object} book - Book with genre and category
+ * @returns {number} Rate per day late
+ */
+fines.rateFor = (book = {}) => {
+  if (book.genre && fines.genreRates[book.genre] !== undefined) {
+    return fines.genreRates[book.genre];
+  }
+  if (book.category && fines.categoryRates[book.category] !== undefined) {
+    return fines.categoryRates[book.category];
+  }
+  return fines.dailyRate;
+};
+
+module.exports = fines;
@@ -0,0 +1,32 @@
+/**
+ * Mailer Configuration
+ * Nodemailer SMTP transport, configurable through environment variables
+ * Defaults point at a local SMTP sink such as MailHog or smtp4dev (localhost:1025)
+ */
+
+const nodemailer = require('nodemailer');
+
+const transport = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'localhost',
+  port: parseInt(process.env.SMTP_PORT) || 1025,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined,
+  // Certificates are always checked unless turned off explicitly, e.g. for a local sink without one
+  tls: { rejectUnauthorized: process.env.SMTP_ALLOW_INSECURE_TLS !== 'true' }
+});
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, html, text }
+ * @returns {Promise<Object>} Nodemailer delivery info
+ */
+const sendMail = (message) => {
+  return transport.sendMail({
+    from: process.env.MAIL_FROM || 'Bibliotheca <no-reply@bibliotheca.local>',
+    ...message
+  });
+};
+
+module.exports = { transport, sendMail };
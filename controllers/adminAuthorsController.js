@@ -0,0 +1,240 @@
+/**
+ * Admin Authors Controller
+ * Server-rendered CRUD operations for author profiles
+ */
+
+const Author = require('../models/Author');
+const Book = require('../models/Book');
+
+/**
+ * Build author fields from the submitted form
+ * @param {Object} body - Form body
+ * @returns {Object} Author data
+ */
+const buildAuthorData = (body) => ({
+  name: body.name.trim(),
+  nameVariants: body.nameVariants
+    ? body.nameVariants.split(/[,\n]/).map(v => v.trim()).filter(Boolean)
+    : [],
+  bio: body.bio?.trim() || '',
+  photoUrl: body.photoUrl?.trim() || undefined,
+  birthYear: body.birthYear ? parseInt(body.birthYear) : undefined,
+  deathYear: body.deathYear ? parseInt(body.deathYear) : undefined
+});
+
+/**
+ * Turn a Mongoose ValidationError into a field -> message map
+ * @param {Error} error - Validation error
+ * @returns {Object} Errors keyed by field
+ */
+const validationErrors = (error) => {
+  const errors = {};
+  Object.keys(error.errors).forEach(key => {
+    errors[key] = error.errors[key].message;
+  });
+  return errors;
+};
+
+/**
+ * @desc    List all authors (admin view)
+ * @route   GET /admin/authors
+ * @access  Public (should be protected in production)
+ */
+exports.listAuthors = async (req, res) => {
+  try {
+    const authors = await Author.find().sort({ name: 1 });
+    
+    // Count linked books per author
+    const counts = await Book.aggregate([
+      { $match: { authorId: { $ne: null } } },
+      { $group: { _id: '$authorId', count: { $sum: 1 } } }
+    ]);
+    const bookCounts = {};
+    counts.forEach(c => { bookCounts[c._id] = c.count; });
+    
+    res.render('admin/authors', {
+      authors,
+      bookCounts,
+      successMessage: req.query.success || null,
+      errorMessage: req.query.error || null
+    });
+  } catch (error) {
+    console.error('Error listing authors:', error);
+    res.status(500).render('admin/authors', {
+      authors: [],
+      bookCounts: {},
+      successMessage: null,
+      errorMessage: 'Failed to load authors. Please try again.'
+    });
+  }
+};
+
+/**
+ * @desc    Show add author form
+ * @route   GET /admin/authors/add
+ * @access  Public (should be protected in production)
+ */
+exports.showAddForm = (req, res) => {
+  res.render('admin/addAuthor', {
+    author: {},
+    errors: {},
+    errorMessage: null
+  });
+};
+
+/**
+ * @desc    Create new author and link matching books
+ * @route   POST /admin/authors/add
+ * @access  Public (should be protected in production)
+ */
+exports.createAuthor = async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.name.trim()) {
+      return res.status(400).render('admin/addAuthor', {
+        author: req.body,
+        errors: { name: 'Name is required' },
+        errorMessage: 'Please fix the errors below'
+      });
+    }
+    
+    const author = await Author.create(buildAuthorData(req.body));
+    const linked = await author.linkBooks();
+    
+    res.redirect(`/admin/authors?success=Author created and linked to ${linked} book(s)`);
+  } catch (error) {
+    console.error('Error creating author:', error);
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).render('admin/addAuthor', {
+        author: req.body,
+        errors: validationErrors(error),
+        errorMessage: 'Validation failed. Please check your inputs.'
+      });
+    }
+    
+    res.status(500).render('admin/addAuthor', {
+      author: req.body,
+      errors: {},
+      errorMessage: 'Failed to create author. Please try again.'
+    });
+  }
+};
+
+/**
+ * @desc    Show edit author form
+ * @route   GET /admin/authors/:id/edit
+ * @access  Public (should be protected in production)
+ */
+exports.showEditForm = async (req, res) => {
+  try {
+    const author = await Author.findById(req.params.id);
+    
+    if (!author) {
+      return res.redirect('/admin/authors?error=Author not found');
+    }
+    
+    const books = await Book.find({ authorId: author._id }).sort({ title: 1 });
+    
+    res.render('admin/editAuthor', {
+      author,
+      books,
+      errors: {},
+      errorMessage: null
+    });
+  } catch (error) {
+    console.error('Error loading author for edit:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/authors?error=Invalid author ID');
+    }
+    
+    res.redirect('/admin/authors?error=Failed to load author');
+  }
+};
+
+/**
+ * @desc    Update author and re-link books to the new names
+ * @route   POST /admin/authors/:id/edit
+ * @access  Public (should be protected in production)
+ */
+exports.updateAuthor = async (req, res) => {
+  try {
+    const author = await Author.findById(req.params.id);
+    
+    if (!author) {
+      return res.redirect('/admin/authors?error=Author not found');
+    }
+    
+    if (!req.body.name || !req.body.name.trim()) {
+      const books = await Book.find({ authorId: author._id }).sort({ title: 1 });
+      Object.assign(author, req.body);
+      
+      return res.status(400).render('admin/editAuthor', {
+        author,
+        books,
+        errors: { name: 'Name is required' },
+        errorMessage: 'Please fix the errors below'
+      });
+    }
+    
+    author.set(buildAuthorData(req.body));
+    await author.save();
+    
+    // Names may have changed, so rebuild the links from scratch
+    await Book.updateMany({ authorId: author._id }, { $unset: { authorId: 1 } });
+    await author.linkBooks();
+    
+    res.redirect('/admin/authors?success=Author updated successfully');
+  } catch (error) {
+    console.error('Error updating author:', error);
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const author = await Author.findById(req.params.id);
+      const books = await Book.find({ authorId: req.params.id }).sort({ title: 1 });
+      Object.assign(author, req.body);
+      
+      return res.status(400).render('admin/editAuthor', {
+        author,
+        books,
+        errors: validationErrors(error),
+        errorMessage: 'Validation failed. Please check your inputs.'
+      });
+    }
+    
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/authors?error=Invalid author ID');
+    }
+    
+    res.redirect('/admin/authors?error=Failed to update author');
+  }
+};
+
+/**
+ * @desc    Delete author (books keep their free-text author name)
+ * @route   POST /admin/authors/:id/delete
+ * @access  Public (should be protected in production)
+ */
+exports.deleteAuthor = async (req, res) => {
+  try {
+    const author = await Author.findByIdAndDelete(req.params.id);
+    
+    if (!author) {
+      return res.redirect('/admin/authors?error=Author not found');
+    }
+    
+    await Book.updateMany({ authorId: author._id }, { $unset: { authorId: 1 } });
+    
+    res.redirect('/admin/authors?success=Author deleted successfully');
+  } catch (error) {
+    console.error('Error deleting author:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/authors?error=Invalid author ID');
+    }
+    
+    res.redirect('/admin/authors?error=Failed to delete author');
+  }
+};
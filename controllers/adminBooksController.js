@@ -3,22 +3,49 @@
  * Server-rendered CRUD operations for books management
  */
 
+const AuditEntry = require('../models/AuditEntry');
 const Book = require('../models/Book');
+const Copy = require('../models/Copy');
+const Hold = require('../models/Hold');
+const Subject = require('../models/Subject');
+const Work = require('../models/Work');
+const { buildBookData, subjectIds, EDIT_FIELDS, editValues, mergeEdits } = require('../utils/bookData');
+const { normalizeIsbn } = require('../utils/isbn');
+const { buildBookQuery, filterQueryString } = require('../utils/bookQuery');
+const { saveCover, removeCover } = require('../utils/covers');
+const { RETENTION_DAYS, purgeDate, purgeBook } = require('../jobs/trashPurgeJob');
+const { recordAudit } = require('../utils/audit');
+
+/**
+ * Make the subject vocabulary available to the book forms (as subjectOptions)
+ * Runs before the add/edit handlers so every render of those forms has it
+ */
+exports.loadSubjectOptions = async (req, res, next) => {
+  try {
+    res.locals.subjectOptions = await Subject.findTree();
+  } catch (error) {
+    console.error('Error loading subjects:', error);
+    res.locals.subjectOptions = [];
+  }
+  next();
+};
 
 /**
  * @desc    List all books (admin view)
+ *          The search box takes the catalog query language (?query=), e.g. author:orwell -genre:romance
  * @route   GET /admin/books
  * @access  Public (should be protected in production)
  */
 exports.listBooks = async (req, res) => {
+  const { q, query: advanced, subject = '', page = 1, limit = 20 } = req.query;
+  const searchQuery = advanced || q || '';
+  let subjects = [];
+  
   try {
-    const { q, page = 1, limit = 20 } = req.query;
+    subjects = await Subject.findTree();
     
-    // Build query
-    let query = {};
-    if (q && q.trim()) {
-      query.$text = { $search: q.trim() };
-    }
+    // Build query (same filters as the API and the exports)
+    const query = await buildBookQuery(req.query);
     
     // Calculate pagination
     const skip = (page - 1) * limit;
@@ -34,21 +61,47 @@ exports.listBooks = async (req, res) => {
     
     res.render('admin/books', {
       books,
-      searchQuery: q || '',
+      searchQuery,
+      queryErrorPosition: null,
+      subjects,
+      currentSubject: subject,
       currentPage: parseInt(page),
       totalPages,
       totalBooks,
+      filterQuery: filterQueryString(req.query),
       successMessage: req.query.success || null,
       errorMessage: req.query.error || null
     });
   } catch (error) {
     console.error('Error listing books:', error);
+    
+    // Keep a search that cannot be read in the box and point at the problem
+    if (error.name === 'QuerySyntaxError') {
+      return res.status(400).render('admin/books', {
+        books: [],
+        searchQuery,
+        queryErrorPosition: error.position,
+        subjects,
+        currentSubject: subject,
+        currentPage: 1,
+        totalPages: 1,
+        totalBooks: 0,
+        filterQuery: '',
+        successMessage: null,
+        errorMessage: error.message
+      });
+    }
+    
     res.status(500).render('admin/books', {
       books: [],
       searchQuery: '',
+      queryErrorPosition: null,
+      subjects: [],
+      currentSubject: '',
       currentPage: 1,
       totalPages: 1,
       totalBooks: 0,
+      filterQuery: '',
       successMessage: null,
       errorMessage: 'Failed to load books. Please try again.'
     });
@@ -74,14 +127,23 @@ exports.showAddForm = (req, res) => {
  * @access  Public (should be protected in production)
  */
 exports.createBook = async (req, res) => {
+  let coverImage;
+  
   try {
-    // Validate required fields
-    const errors = {};
-    if (!req.body.title || !req.body.title.trim()) {
-      errors.title = 'Title is required';
+    // Validate required fields (shared with the CSV import)
+    const { data: bookData, copies: copyCount, shelfLocation, errors } = buildBookData(req.body);
+    if (req.coverError) {
+      errors.coverFile = req.coverError;
     }
-    if (!req.body.author || !req.body.author.trim()) {
-      errors.author = 'Author is required';
+    
+    // Resize the uploaded cover once the rest of the form is valid
+    if (Object.keys(errors).length === 0 && req.file) {
+      try {
+        coverImage = await saveCover(req.file.buffer);
+        bookData.coverImage = coverImage;
+      } catch (coverError) {
+        errors.coverFile = coverError.message;
+      }
     }
     
     // If validation fails, re-render form with errors
@@ -94,34 +156,28 @@ exports.createBook = async (req, res) => {
     }
     
     // Create book
-    const bookData = {
-      title: req.body.title.trim(),
-      author: req.body.author.trim(),
-      description: req.body.description?.trim() || '',
-      genre: req.body.genre?.trim() || 'General',
-      category: req.body.category?.trim() || req.body.genre?.trim() || 'General',
-      isbn: req.body.isbn?.trim() || undefined,
-      coverUrl: req.body.coverUrl?.trim() || 'https://images.unsplash.com/photo-1544947950-fa07a98d237f?w=300&h=400&fit=crop&auto=format',
-      publishedYear: req.body.publishedYear ? parseInt(req.body.publishedYear) : undefined,
-      rating: req.body.rating ? parseFloat(req.body.rating) : 0,
-      available: req.body.available === 'true' || req.body.available === true,
-      status: req.body.status || 'Available',
-      tags: req.body.tags ? req.body.tags.split(',').map(t => t.trim()).filter(Boolean) : []
-    };
-    
-    await Book.create(bookData);
+    const book = await Book.create(bookData);
+    await Copy.createForBook(book._id, copyCount, { shelfLocation });
+    await recordAudit(req, 'Create', null, await Book.findById(book._id));
     
     // Redirect with success message
     res.redirect('/admin/books?success=Book created successfully');
   } catch (error) {
     console.error('Error creating book:', error);
     
-    // Handle duplicate ISBN
+    // The book was not saved, so its cover files are not needed
+    await removeCover(coverImage).catch(() => {});
+    
+    // Handle duplicate ISBN (the other book may be in the Trash)
     if (error.code === 11000) {
+      const trashed = await Book.exists({ isbn: normalizeIsbn(req.body.isbn), deletedAt: { $ne: null } });
+      const message = trashed
+        ? 'A book with this ISBN is in the Trash - restore it instead'
+        : 'A book with this ISBN already exists';
       return res.status(400).render('admin/addBook', {
         book: req.body,
-        errors: { isbn: 'A book with this ISBN already exists' },
-        errorMessage: 'A book with this ISBN already exists'
+        errors: { isbn: message },
+        errorMessage: message
       });
     }
     
@@ -147,22 +203,85 @@ exports.createBook = async (req, res) => {
 };
 
 /**
- * @desc    Show edit book form
+ * Version and original values the edit form sends back, so a save can tell
+ * whether someone else changed the book in the meantime
+ * @param {Book} book - Book as the editor sees it
+ * @returns {{editVersion: number, editOriginal: string}} View locals
+ */
+const editState = (book) => ({
+  editVersion: book.__v,
+  editOriginal: JSON.stringify(editValues(book))
+});
+
+/**
+ * Original values posted by the edit form
+ * @param {string} value - JSON from the hidden "original" field
+ * @returns {Object|null} Values, or null if missing or unreadable
+ */
+const parseOriginal = (value) => {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Names for the subject and work IDs that appear in a list of field changes
+ * @param {Array<{field: string, from: *, to: *}>} changes - Changes from the history or an edit conflict
+ * @returns {Promise<Object>} Name keyed by ID
+ */
+const changeLabels = async (changes) => {
+  const ids = { subjects: new Set(), work: new Set() };
+  changes.forEach(change => {
+    if (!ids[change.field]) return;
+    [].concat(change.from || [], change.to || []).forEach(id => ids[change.field].add(String(id)));
+  });
+
+  const [subjects, works] = await Promise.all([
+    Subject.find({ _id: { $in: [...ids.subjects] } }).select('name'),
+    Work.find({ _id: { $in: [...ids.work] } }).select('title')
+  ]);
+
+  const labels = {};
+  subjects.forEach(subject => { labels[subject._id] = subject.name; });
+  works.forEach(work => { labels[work._id] = work.title; });
+  return labels;
+};
+
+/**
+ * @desc    Show edit book form, or its change history (?tab=history)
  * @route   GET /admin/books/:id/edit
  * @access  Public (should be protected in production)
  */
 exports.showEditForm = async (req, res) => {
   try {
-    const book = await Book.findById(req.params.id);
+    const book = await Book.findById(req.params.id).populate('copies');
     
     if (!book) {
       return res.redirect('/admin/books?error=Book not found');
     }
     
+    // Works this book could be an edition of: its own and others by the same author
+    const works = await Work.findByAuthor(book.author);
+    if (book.work && !works.some(work => work._id.equals(book.work))) {
+      const current = await Work.findById(book.work);
+      if (current) works.unshift(current);
+    }
+    
+    const activeTab = req.query.tab === 'history' ? 'history' : 'details';
+    const history = activeTab === 'history' ? await AuditEntry.findHistory(book._id).limit(100) : [];
+    
     res.render('admin/editBook', {
       book,
+      works,
+      activeTab,
+      history,
+      historyLabels: await changeLabels(history.flatMap(entry => entry.changes)),
+      ...editState(book),
       errors: {},
-      errorMessage: null
+      successMessage: req.query.success || null,
+      errorMessage: req.query.error || null
     });
   } catch (error) {
     console.error('Error loading book for edit:', error);
@@ -177,10 +296,16 @@ exports.showEditForm = async (req, res) => {
 
 /**
  * @desc    Update book
+ *          Changes someone else saved since the form was opened are merged in; fields
+ *          both editors changed are shown side by side for the editor to choose (409)
  * @route   POST /admin/books/:id/edit
  * @access  Public (should be protected in production)
  */
 exports.updateBook = async (req, res) => {
+  let coverImage;
+  // The form sends back the version it was opened at and the values it showed
+  const submitted = { editVersion: req.body.version, editOriginal: req.body.original };
+  
   try {
     // Validate required fields
     const errors = {};
@@ -190,14 +315,70 @@ exports.updateBook = async (req, res) => {
     if (!req.body.author || !req.body.author.trim()) {
       errors.author = 'Author is required';
     }
+    if (req.coverError) {
+      errors.coverFile = req.coverError;
+    }
+    
+    const current = await Book.findById(req.params.id).populate('copies');
+    
+    if (!current) {
+      return res.redirect('/admin/books?error=Book not found');
+    }
+    
+    // Fields where the editor chose the other librarian's value when resolving a conflict
+    const original = parseOriginal(req.body.original);
+    Object.keys(req.body.keep || {}).forEach(field => {
+      if (req.body.keep[field] === 'theirs' && original && field in EDIT_FIELDS) {
+        req.body[field] = original[field];
+      }
+    });
+    
+    // Someone else saved the book after this form was opened
+    if (Object.keys(errors).length === 0 && req.body.version !== undefined && Number(req.body.version) !== current.__v) {
+      const mine = editValues(req.body);
+      if (req.body.work === undefined && original) {
+        mine.work = original.work; // The form had no work picker, so the work was not edited
+      }
+      const theirs = editValues(current);
+      const { merged, conflicts } = mergeEdits(original, mine, theirs);
+      
+      if (conflicts.length > 0) {
+        const changes = conflicts.map(field => ({ field, label: EDIT_FIELDS[field], from: theirs[field], to: mine[field] }));
+        const state = editState(current);
+        Object.assign(current, req.body, merged);
+        
+        return res.status(409).render('admin/editBook', {
+          book: current,
+          conflicts: changes,
+          conflictLabels: await changeLabels(changes),
+          ...state,
+          errors: {},
+          errorMessage: req.file
+            ? 'Someone else saved this book while you were editing it. Choose which values to keep, pick the cover file again, and save.'
+            : 'Someone else saved this book while you were editing it. Choose which values to keep and save again.'
+        });
+      }
+      
+      // No field was changed on both sides: their changes are kept along with this edit
+      Object.assign(req.body, merged);
+    }
+    
+    // Resize the uploaded cover once the rest of the form is valid
+    if (Object.keys(errors).length === 0 && req.file) {
+      try {
+        coverImage = await saveCover(req.file.buffer);
+      } catch (coverError) {
+        errors.coverFile = coverError.message;
+      }
+    }
     
     // If validation fails, re-render form with errors
     if (Object.keys(errors).length > 0) {
-      const book = await Book.findById(req.params.id);
-      Object.assign(book, req.body); // Merge form data
+      Object.assign(current, req.body); // Merge form data
       
       return res.status(400).render('admin/editBook', {
-        book,
+        book: current,
+        ...submitted,
         errors,
         errorMessage: 'Please fix the errors below'
       });
@@ -208,40 +389,77 @@ exports.updateBook = async (req, res) => {
       title: req.body.title.trim(),
       author: req.body.author.trim(),
       description: req.body.description?.trim() || '',
-      genre: req.body.genre?.trim() || 'General',
-      category: req.body.category?.trim() || req.body.genre?.trim() || 'General',
+      subjects: subjectIds(req.body.subjects),
       isbn: req.body.isbn?.trim() || undefined,
       coverUrl: req.body.coverUrl?.trim() || undefined,
       publishedYear: req.body.publishedYear ? parseInt(req.body.publishedYear) : undefined,
-      rating: req.body.rating ? parseFloat(req.body.rating) : undefined,
-      available: req.body.available === 'true' || req.body.available === true,
-      status: req.body.status || 'Available',
+      publisher: req.body.publisher?.trim() || undefined,
+      format: req.body.format || undefined,
       tags: req.body.tags ? req.body.tags.split(',').map(t => t.trim()).filter(Boolean) : []
     };
     
-    // Update book
-    const book = await Book.findByIdAndUpdate(
-      req.params.id,
+    // Genre and category follow the first subject (and are left alone when none are chosen)
+    const labels = await Subject.labelsFor(updateData.subjects);
+    if (labels) {
+      Object.assign(updateData, labels);
+    }
+    
+    // A new upload replaces the stored cover; "Remove uploaded cover" falls back to the URL or placeholder
+    if (coverImage) {
+      updateData.coverImage = coverImage;
+    } else if (req.body.removeCover === 'true') {
+      updateData.$unset = { coverImage: 1 };
+    }
+    
+    // Move the edition to another work, or give it a work of its own
+    if (req.body.work === 'new') {
+      const work = await Work.create({
+        title: updateData.title,
+        author: updateData.author,
+        description: updateData.description,
+        firstPublishedYear: updateData.publishedYear
+      });
+      updateData.work = work._id;
+    } else if (req.body.work) {
+      updateData.work = req.body.work;
+    }
+    
+    // Update book unless it was saved again since it was read
+    // (the previous version is returned so its old cover can be deleted)
+    const previous = await Book.findOneAndUpdate(
+      { _id: current._id, __v: current.__v },
       updateData,
-      { new: true, runValidators: true }
+      { new: false, runValidators: true }
     );
     
-    if (!book) {
-      return res.redirect('/admin/books?error=Book not found');
+    if (!previous) {
+      await removeCover(coverImage);
+      const message = encodeURIComponent('Someone else saved this book at the same moment. Please make your changes again.');
+      return res.redirect(`/admin/books/${req.params.id}/edit?error=${message}`);
+    }
+    
+    if (previous.coverImage && (coverImage || updateData.$unset)) {
+      await removeCover(previous.coverImage);
     }
     
+    await recordAudit(req, 'Update', previous, await Book.findById(req.params.id));
+    
     // Redirect with success message
     res.redirect('/admin/books?success=Book updated successfully');
   } catch (error) {
     console.error('Error updating book:', error);
     
+    // The update did not go through, so the new cover files are not needed
+    await removeCover(coverImage).catch(() => {});
+    
     // Handle duplicate ISBN
     if (error.code === 11000) {
-      const book = await Book.findById(req.params.id);
+      const book = await Book.findById(req.params.id).populate('copies');
       Object.assign(book, req.body);
       
       return res.status(400).render('admin/editBook', {
         book,
+        ...submitted,
         errors: { isbn: 'A book with this ISBN already exists' },
         errorMessage: 'A book with this ISBN already exists'
       });
@@ -249,7 +467,7 @@ exports.updateBook = async (req, res) => {
     
     // Handle validation errors
     if (error.name === 'ValidationError') {
-      const book = await Book.findById(req.params.id);
+      const book = await Book.findById(req.params.id).populate('copies');
       Object.assign(book, req.body);
       
       const errors = {};
@@ -259,6 +477,7 @@ exports.updateBook = async (req, res) => {
       
       return res.status(400).render('admin/editBook', {
         book,
+        ...submitted,
         errors,
         errorMessage: 'Validation failed. Please check your inputs.'
       });
@@ -274,19 +493,96 @@ exports.updateBook = async (req, res) => {
 };
 
 /**
- * @desc    Delete book
+ * @desc    Roll a book back to an earlier version from its history
+ *          (status, copy counts and the cover upload are left as they are)
+ * @route   POST /admin/books/:id/history/:entryId/rollback
+ * @access  Public (should be protected in production)
+ */
+exports.rollbackBook = async (req, res) => {
+  const historyUrl = `/admin/books/${req.params.id}/edit?tab=history`;
+  
+  try {
+    const book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.redirect('/admin/books?error=Book not found');
+    }
+    
+    const entry = await AuditEntry.findOne({ _id: req.params.entryId, book: book._id });
+    
+    if (!entry) {
+      return res.redirect(`${historyUrl}&error=Version not found`);
+    }
+    
+    const values = await AuditEntry.valuesAt(entry);
+    
+    if (Object.keys(values).length === 0) {
+      return res.redirect(`${historyUrl}&error=The book already matches this version`);
+    }
+    
+    // Saving (rather than updating) runs the ISBN, author and subject hooks
+    const previous = book.toObject();
+    Object.entries(values).forEach(([field, value]) => {
+      book.set(field, value === null ? undefined : value);
+    });
+    await book.save();
+    await recordAudit(req, 'Rollback', previous, book, { rolledBackTo: entry._id });
+    
+    res.redirect(`${historyUrl}&success=${encodeURIComponent(`Book rolled back to the version of ${entry.createdAt.toLocaleString()}`)}`);
+  } catch (error) {
+    console.error('Error rolling back book:', error);
+    
+    // Handle duplicate ISBN
+    if (error.code === 11000) {
+      return res.redirect(`${historyUrl}&error=Another book now has the ISBN of that version`);
+    }
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.redirect(`${historyUrl}&error=${encodeURIComponent(messages.join('; '))}`);
+    }
+
+    // The book was saved by someone else between reading and saving it
+    if (error.name === 'VersionError') {
+      return res.redirect(`${historyUrl}&error=The book changed while rolling back. Please try again`);
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/books?error=Invalid book ID');
+    }
+
+    res.redirect(`${historyUrl}&error=Failed to roll back book`);
+  }
+};
+
+/**
+ * @desc    Move a book to the Trash (it is purged after the retention period)
  * @route   POST /admin/books/:id/delete
  * @access  Public (should be protected in production)
  */
 exports.deleteBook = async (req, res) => {
   try {
-    const book = await Book.findByIdAndDelete(req.params.id);
+    const book = await Book.findById(req.params.id);
     
     if (!book) {
       return res.redirect('/admin/books?error=Book not found');
     }
     
-    res.redirect('/admin/books?success=Book deleted successfully');
+    // Copies on loan must come back first, or the loans would point at a missing book
+    if (await Copy.exists({ book: book._id, status: 'Borrowed' })) {
+      return res.redirect(`/admin/books?error=${encodeURIComponent(`"${book.title}" has copies on loan and cannot be deleted`)}`);
+    }
+    
+    const previous = book.toObject();
+    book.deletedAt = new Date();
+    await book.save();
+    await recordAudit(req, 'Delete', previous, book);
+    
+    // Nobody can pick up a book from the Trash; copies set aside for holds go back on the shelf
+    await Hold.cancelForBook(book._id);
+    
+    res.redirect(`/admin/books?success=${encodeURIComponent(`"${book.title}" moved to the Trash`)}`);
   } catch (error) {
     console.error('Error deleting book:', error);
     
@@ -297,3 +593,162 @@ exports.deleteBook = async (req, res) => {
     res.redirect('/admin/books?error=Failed to delete book');
   }
 };
+
+/**
+ * @desc    List books in the Trash (admin view)
+ * @route   GET /admin/books/trash
+ * @access  Public (should be protected in production)
+ */
+exports.listTrash = async (req, res) => {
+  try {
+    const books = await Book.findTrashed();
+    
+    res.render('admin/trash', {
+      books,
+      purgeDate,
+      retentionDays: RETENTION_DAYS,
+      successMessage: req.query.success || null,
+      errorMessage: req.query.error || null
+    });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).render('admin/trash', {
+      books: [],
+      purgeDate,
+      retentionDays: RETENTION_DAYS,
+      successMessage: null,
+      errorMessage: 'Failed to load the Trash. Please try again.'
+    });
+  }
+};
+
+/**
+ * @desc    Restore a book from the Trash
+ * @route   POST /admin/books/:id/restore
+ * @access  Public (should be protected in production)
+ */
+exports.restoreBook = async (req, res) => {
+  try {
+    const book = await Book.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    
+    if (!book) {
+      return res.redirect('/admin/books/trash?error=Book not found in the Trash');
+    }
+    
+    const previous = book.toObject();
+    book.deletedAt = null;
+    await book.save();
+    await recordAudit(req, 'Restore', previous, book);
+    
+    res.redirect(`/admin/books/trash?success=${encodeURIComponent(`"${book.title}" restored`)}`);
+  } catch (error) {
+    console.error('Error restoring book:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/books/trash?error=Invalid book ID');
+    }
+    
+    res.redirect('/admin/books/trash?error=Failed to restore book');
+  }
+};
+
+/**
+ * @desc    Remove a book in the Trash for good, without waiting for the purge
+ * @route   POST /admin/books/:id/purge
+ * @access  Public (should be protected in production)
+ */
+exports.purgeBook = async (req, res) => {
+  try {
+    const book = await Book.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    
+    if (!book) {
+      return res.redirect('/admin/books/trash?error=Book not found in the Trash');
+    }
+    
+    await purgeBook(book);
+    await recordAudit(req, 'Purge', book, book);
+    
+    res.redirect(`/admin/books/trash?success=${encodeURIComponent(`"${book.title}" deleted permanently`)}`);
+  } catch (error) {
+    console.error('Error purging book:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/books/trash?error=Invalid book ID');
+    }
+    
+    res.redirect('/admin/books/trash?error=Failed to delete book');
+  }
+};
+
+/**
+ * @desc    Add a physical copy to a book
+ * @route   POST /admin/books/:id/copies
+ * @access  Public (should be protected in production)
+ */
+exports.addCopy = async (req, res) => {
+  const editUrl = `/admin/books/${req.params.id}/edit`;
+  
+  try {
+    const book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.redirect('/admin/books?error=Book not found');
+    }
+    
+    await Copy.createForBook(book._id, 1, {
+      barcode: req.body.barcode?.trim() || undefined,
+      shelfLocation: req.body.shelfLocation?.trim() || undefined,
+      condition: req.body.condition || undefined,
+      acquisitionDate: req.body.acquisitionDate || undefined
+    });
+    
+    res.redirect(`${editUrl}?success=Copy added successfully`);
+  } catch (error) {
+    console.error('Error adding copy:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/books?error=Invalid book ID');
+    }
+    
+    if (error.code === 11000) {
+      return res.redirect(`${editUrl}?error=A copy with this barcode already exists`);
+    }
+    
+    res.redirect(`${editUrl}?error=Failed to add copy`);
+  }
+};
+
+/**
+ * @desc    Remove a physical copy from a book
+ * @route   POST /admin/books/:id/copies/:copyId/delete
+ * @access  Public (should be protected in production)
+ */
+exports.removeCopy = async (req, res) => {
+  const editUrl = `/admin/books/${req.params.id}/edit`;
+  
+  try {
+    const copy = await Copy.findOne({ _id: req.params.copyId, book: req.params.id });
+    
+    if (!copy) {
+      return res.redirect(`${editUrl}?error=Copy not found`);
+    }
+    
+    // Only a copy still on the shelf is removed, not one borrowed or reserved in the meantime
+    const { deletedCount } = await Copy.deleteOne({ _id: copy._id, available: true, status: 'Available' });
+    if (deletedCount === 0) {
+      return res.redirect(`${editUrl}?error=Cannot remove a copy that is on loan or reserved`);
+    }
+    
+    await Copy.syncBook(copy.book);
+    
+    res.redirect(`${editUrl}?success=Copy removed successfully`);
+  } catch (error) {
+    console.error('Error removing copy:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.redirect(`${editUrl}?error=Invalid copy ID`);
+    }
+    
+    res.redirect(`${editUrl}?error=Failed to remove copy`);
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * Admin Export Controller
+ * Stream the catalog (or the filtered admin list) as CSV or NDJSON
+ */
+
+const Book = require('../models/Book');
+const { buildBookQuery, filterQueryString, FILTER_KEYS } = require('../utils/bookQuery');
+const {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  exportPipeline,
+  exportRecord,
+  csvLine,
+  writeChunk
+} = require('../utils/bookExport');
+
+/**
+ * @desc    Show export options for the current admin list filters
+ * @route   GET /admin/books/export
+ * @access  Public (should be protected in production)
+ */
+exports.showExportForm = async (req, res) => {
+  try {
+    const totalBooks = await Book.countDocuments(await buildBookQuery(req.query));
+
+    res.render('admin/exportBooks', {
+      totalBooks,
+      filters: FILTER_KEYS.filter(key => req.query[key]).map(key => ({ key, value: req.query[key] })),
+      filterQuery: filterQueryString(req.query),
+      columns: EXPORT_COLUMNS,
+      defaultColumns: DEFAULT_COLUMNS
+    });
+  } catch (error) {
+    console.error('Error loading export options:', error);
+    res.redirect('/admin/books?error=Failed to load export options');
+  }
+};
+
+/**
+ * @desc    Download books as CSV or NDJSON, honouring the admin list filters
+ * @route   GET /admin/books/export/download?format=csv|ndjson&columns=title,author,...
+ * @access  Public (should be protected in production)
+ */
+exports.exportBooks = async (req, res) => {
+  const format = req.query.format === 'ndjson' ? 'ndjson' : 'csv';
+  const columns = parseColumns(req.query.columns);
+
+  try {
+    const query = await buildBookQuery(req.query);
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="catalog-${stamp}.csv"`);
+      // Byte order mark so spreadsheet apps read the file as UTF-8
+      res.write('\uFEFF' + csvLine(columns.map(column => EXPORT_COLUMNS[column].label)));
+    } else {
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="catalog-${stamp}.ndjson"`);
+    }
+
+    // Stream one book at a time so large catalogs are never held in memory
+    const cursor = Book.aggregate(exportPipeline(query, columns)).cursor();
+
+    for await (const book of cursor) {
+      const record = exportRecord(book, columns);
+      const line = format === 'csv'
+        ? csvLine(columns.map(column => record[column]))
+        : JSON.stringify(record) + '\n';
+
+      if (!(await writeChunk(res, line))) {
+        await cursor.close();
+        return;
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Error exporting books:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.redirect('/admin/books?error=Failed to export books');
+  }
+};
@@ -0,0 +1,245 @@
+/**
+ * Admin Import Controller
+ * Bulk CSV import of books with a dry-run report and batched processing
+ */
+
+const { parse } = require('csv-parse/sync');
+const ImportJob = require('../models/ImportJob');
+const { BOOK_FIELDS } = require('../utils/bookData');
+const { runDryRun, runImportJob, isImportRunning } = require('../jobs/importJob');
+const { auditContext } = require('../utils/audit');
+
+/**
+ * @desc    Show CSV upload form and recent imports
+ * @route   GET /admin/books/import
+ * @access  Public (should be protected in production)
+ */
+exports.showCsvImportForm = async (req, res) => {
+  try {
+    const jobs = await ImportJob.find()
+      .select('filename status report.creates report.updates report.invalid progress createdAt')
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.render('admin/importBooks', {
+      jobs,
+      errorMessage: req.query.error || null
+    });
+  } catch (error) {
+    console.error('Error loading imports:', error);
+    res.render('admin/importBooks', {
+      jobs: [],
+      errorMessage: 'Failed to load recent imports'
+    });
+  }
+};
+
+/**
+ * @desc    Upload a CSV, map its columns and run the dry-run
+ * @route   POST /admin/books/import
+ * @access  Public (should be protected in production)
+ */
+exports.uploadCsv = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.redirect('/admin/books/import?error=Please choose a CSV file');
+    }
+
+    let records;
+    try {
+      records = parse(req.file.buffer, {
+        bom: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        trim: true
+      });
+    } catch (error) {
+      return res.redirect(`/admin/books/import?error=${encodeURIComponent(`Could not read ${req.file.originalname}: ${error.message}`)}`);
+    }
+
+    if (records.length < 2) {
+      return res.redirect('/admin/books/import?error=The CSV needs a header row and at least one book');
+    }
+
+    const [headers, ...rows] = records;
+    const job = new ImportJob({
+      filename: req.file.originalname,
+      headers,
+      rows,
+      mapping: ImportJob.autoMap(headers)
+    });
+
+    await runDryRun(job);
+
+    res.redirect(`/admin/books/import/${job._id}`);
+  } catch (error) {
+    console.error('Error uploading CSV import:', error);
+    res.redirect('/admin/books/import?error=Failed to import CSV. Please try again');
+  }
+};
+
+/**
+ * @desc    Show the dry-run report, or the progress of a running import
+ * @route   GET /admin/books/import/:id
+ * @access  Public (should be protected in production)
+ */
+exports.showImportJob = async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id).select('-rows');
+
+    if (!job) {
+      return res.redirect('/admin/books/import?error=Import not found');
+    }
+
+    res.render('admin/importJob', {
+      job,
+      fields: BOOK_FIELDS,
+      active: isImportRunning(job._id),
+      successMessage: req.query.success || null,
+      errorMessage: req.query.error || null
+    });
+  } catch (error) {
+    console.error('Error loading import:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/books/import?error=Invalid import ID');
+    }
+
+    res.redirect('/admin/books/import?error=Failed to load import');
+  }
+};
+
+/**
+ * @desc    Change the column mapping and re-run the dry-run
+ * @route   POST /admin/books/import/:id/mapping
+ * @access  Public (should be protected in production)
+ */
+exports.updateMapping = async (req, res) => {
+  const jobUrl = `/admin/books/import/${req.params.id}`;
+
+  try {
+    const job = await ImportJob.findById(req.params.id);
+
+    if (!job) {
+      return res.redirect('/admin/books/import?error=Import not found');
+    }
+
+    if (job.status !== 'Preview') {
+      return res.redirect(`${jobUrl}?error=The mapping cannot change once the import has started`);
+    }
+
+    const mapping = {};
+    BOOK_FIELDS.forEach(field => {
+      const column = parseInt(req.body[`map-${field}`]);
+      if (Number.isInteger(column) && column >= 0 && column < job.headers.length) {
+        mapping[field] = column;
+      }
+    });
+
+    job.mapping = mapping;
+    await runDryRun(job);
+
+    res.redirect(`${jobUrl}?success=Mapping updated`);
+  } catch (error) {
+    console.error('Error updating import mapping:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/books/import?error=Invalid import ID');
+    }
+
+    res.redirect(`${jobUrl}?error=Failed to update mapping`);
+  }
+};
+
+/**
+ * @desc    Start (or resume) importing the rows in the background
+ * @route   POST /admin/books/import/:id/start
+ * @access  Public (should be protected in production)
+ */
+exports.startImport = async (req, res) => {
+  const jobUrl = `/admin/books/import/${req.params.id}`;
+
+  try {
+    const job = await ImportJob.findById(req.params.id).select('-rows');
+
+    if (!job) {
+      return res.redirect('/admin/books/import?error=Import not found');
+    }
+
+    if (job.status === 'Completed' || isImportRunning(job._id)) {
+      return res.redirect(jobUrl);
+    }
+
+    if (job.status === 'Preview' && !job.mapping.has('title')) {
+      return res.redirect(`${jobUrl}?error=Map a column to Title before importing`);
+    }
+
+    job.status = 'Running';
+    job.startedBy = job.startedBy?.name ? job.startedBy : auditContext(req).actor;
+    job.startedAt = job.startedAt || new Date();
+    job.finishedAt = undefined;
+    job.failureReason = undefined;
+    await job.save();
+
+    // Runs after the response; progress is read back from the job
+    runImportJob(job._id).catch(error => {
+      console.error(`❌ CSV import ${job._id} failed:`, error.message);
+    });
+
+    res.redirect(jobUrl);
+  } catch (error) {
+    console.error('Error starting import:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/books/import?error=Invalid import ID');
+    }
+
+    res.redirect(`${jobUrl}?error=Failed to start import`);
+  }
+};
+
+/**
+ * @desc    Progress of an import (polled by the progress view)
+ * @route   GET /admin/books/import/:id/status
+ * @access  Public (should be protected in production)
+ */
+exports.getImportStatus = async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id)
+      .select('status progress report.creates report.updates report.invalid finishedAt');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: job.status,
+        total: job.report.creates + job.report.updates + job.report.invalid,
+        processed: job.progress.processed,
+        created: job.progress.created,
+        updated: job.progress.updated,
+        failed: job.progress.failed,
+        finishedAt: job.finishedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching import status:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching import status'
+    });
+  }
+};
@@ -0,0 +1,211 @@
+/**
+ * Admin MARC Controller
+ * Import MARC21 / MARCXML records into the catalog and export it as MARCXML
+ */
+
+const Book = require('../models/Book');
+const Copy = require('../models/Copy');
+const Subject = require('../models/Subject');
+const MarcImport = require('../models/MarcImport');
+const {
+  MARCXML_NAMESPACE,
+  parseMarcFile,
+  recordToBook,
+  bookToMarcXml
+} = require('../utils/marc');
+const { buildBookQuery } = require('../utils/bookQuery');
+const { writeChunk } = require('../utils/bookExport');
+const { recordAudit } = require('../utils/audit');
+
+/**
+ * @desc    Show MARC upload form
+ * @route   GET /admin/books/import/marc
+ * @access  Public (should be protected in production)
+ */
+exports.showImportForm = (req, res) => {
+  res.render('admin/importMarc', {
+    errorMessage: req.query.error || null
+  });
+};
+
+/**
+ * @desc    Parse an uploaded MARC file and show the mapping preview
+ * @route   POST /admin/books/import/marc
+ * @access  Public (should be protected in production)
+ */
+exports.previewImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).render('admin/importMarc', {
+        errorMessage: 'Please choose a MARC21 (.mrc) or MARCXML (.xml) file'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseMarcFile(req.file.buffer);
+    } catch (error) {
+      return res.status(400).render('admin/importMarc', {
+        errorMessage: `Could not read ${req.file.originalname}: ${error.message}`
+      });
+    }
+
+    if (parsed.length === 0) {
+      return res.status(400).render('admin/importMarc', {
+        errorMessage: `No MARC records found in ${req.file.originalname}`
+      });
+    }
+
+    const records = parsed.map(recordToBook);
+
+    // Flag records whose ISBN is already in the catalog or earlier in the file
+    const isbns = records.map(r => r.book.isbn).filter(Boolean);
+    const existing = await Book.find({ isbn: { $in: isbns } }).select('title author isbn');
+    const existingByIsbn = new Map(existing.map(book => [book.isbn, book]));
+    const seen = new Set();
+
+    records.forEach(record => {
+      const isbn = record.book.isbn;
+      record.importable = Boolean(record.book.title && record.book.author);
+      if (!isbn) return;
+
+      const match = existingByIsbn.get(isbn);
+      if (match) {
+        record.existing = { _id: String(match._id), title: match.title, author: match.author };
+      } else if (seen.has(isbn)) {
+        record.problems.push('Same ISBN as an earlier record in this file');
+        record.importable = false;
+      }
+      seen.add(isbn);
+    });
+
+    // Keep the mapped records until the cataloguer confirms; the session only holds the id,
+    // and a preview replaced by a new upload is dropped
+    if (req.session.marcImportId) {
+      await MarcImport.deleteOne({ _id: req.session.marcImportId });
+    }
+    const pending = await MarcImport.create({
+      filename: req.file.originalname,
+      records
+    });
+    req.session.marcImportId = String(pending._id);
+
+    res.render('admin/marcPreview', {
+      filename: req.file.originalname,
+      records
+    });
+  } catch (error) {
+    console.error('Error previewing MARC import:', error);
+    res.status(500).render('admin/importMarc', {
+      errorMessage: 'Failed to read MARC file. Please try again.'
+    });
+  }
+};
+
+/**
+ * @desc    Import the previewed records using the chosen duplicate actions
+ * @route   POST /admin/books/import/marc/confirm
+ * @access  Public (should be protected in production)
+ */
+exports.confirmImport = async (req, res) => {
+  // Taken out in one step, so a form sent twice imports the records once
+  const pending = req.session.marcImportId
+    ? await MarcImport.findByIdAndDelete(req.session.marcImportId).catch(() => null)
+    : null;
+  delete req.session.marcImportId;
+
+  if (!pending) {
+    return res.redirect('/admin/books/import/marc?error=Import session expired. Please upload the file again');
+  }
+
+  const counts = { created: 0, updated: 0, skipped: 0, failed: 0 };
+  const failures = [];
+  const missing = [];
+
+  for (const [index, record] of pending.records.entries()) {
+    // New records default to create, duplicates to skip
+    const action = req.body[`action-${index}`] || (record.existing ? 'skip' : 'create');
+
+    if (action === 'skip' || !record.importable) {
+      counts.skipped++;
+      continue;
+    }
+
+    try {
+      // Subject headings that match the vocabulary become the book's subjects
+      const data = await Subject.classify(record.book);
+
+      if (record.existing && action === 'update') {
+        // The book may have been trashed or purged since the preview
+        const previous = await Book.findById(record.existing._id);
+        const book = previous && await Book.findByIdAndUpdate(previous._id, data, { new: true, runValidators: true });
+        if (!book) {
+          counts.skipped++;
+          missing.push(record.existing.title);
+          continue;
+        }
+        await recordAudit(req, 'Update', previous, book);
+        counts.updated++;
+      } else if (!record.existing && action === 'create') {
+        const book = await Book.create(data);
+        await Copy.createForBook(book._id, 1);
+        await recordAudit(req, 'Create', null, await Book.findById(book._id));
+        counts.created++;
+      } else {
+        counts.skipped++;
+      }
+    } catch (error) {
+      counts.failed++;
+      failures.push(`${record.book.title || `Record ${index + 1}`}: ${error.code === 11000 ? 'duplicate ISBN' : error.message}`);
+    }
+  }
+
+  let summary = `MARC import from ${pending.filename}: ${counts.created} created, ${counts.updated} updated, ${counts.skipped} skipped`;
+  if (missing.length > 0) {
+    summary += ` (${missing.length} no longer in the catalog: ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', ...' : ''})`;
+  }
+  console.log(`📥 ${summary}, ${counts.failed} failed`);
+
+  if (failures.length > 0) {
+    const shown = failures.slice(0, 5).join('; ');
+    const more = failures.length > 5 ? ` and ${failures.length - 5} more` : '';
+    return res.redirect(`/admin/books?error=${encodeURIComponent(`${summary}. ${counts.failed} failed - ${shown}${more}`)}`);
+  }
+
+  res.redirect(`/admin/books?success=${encodeURIComponent(summary)}`);
+};
+
+/**
+ * @desc    Export the catalog as MARCXML, honouring the admin list filters
+ * @route   GET /admin/books/export/marc
+ * @access  Public (should be protected in production)
+ */
+exports.exportMarc = async (req, res) => {
+  try {
+    // Same filters as the admin book list
+    const query = await buildBookQuery(req.query);
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/marcxml+xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="catalog-${stamp}.xml"`);
+    res.write(`<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARCXML_NAMESPACE}">\n`);
+
+    // Stream one record at a time so large catalogs are never held in memory
+    const cursor = Book.find(query).sort({ title: 1 }).cursor();
+    for await (const book of cursor) {
+      if (!(await writeChunk(res, `${bookToMarcXml(book)}\n`))) {
+        await cursor.close();
+        return;
+      }
+    }
+
+    res.end('</collection>\n');
+  } catch (error) {
+    console.error('Error exporting MARCXML:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.redirect('/admin/books?error=Failed to export MARCXML');
+  }
+};
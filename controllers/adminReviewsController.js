@@ -0,0 +1,115 @@
+/**
+ * Admin Reviews Controller
+ * Moderation of patron reviews - hiding a review takes it out of the book's rating
+ */
+
+const Review = require('../models/Review');
+
+const REVIEW_STATUSES = ['Published', 'Hidden'];
+
+/**
+ * @desc    List reviews for moderation, newest first
+ * @route   GET /admin/reviews?status=Published|Hidden
+ * @access  Public (should be protected in production)
+ */
+exports.listReviews = async (req, res) => {
+  const status = REVIEW_STATUSES.includes(req.query.status) ? req.query.status : '';
+
+  try {
+    const query = status ? { status } : {};
+    const reviews = await Review.find(query)
+      .populate('book', 'title author')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.render('admin/reviews', {
+      reviews,
+      status,
+      statuses: REVIEW_STATUSES,
+      successMessage: req.query.success || null,
+      errorMessage: req.query.error || null
+    });
+  } catch (error) {
+    console.error('Error listing reviews:', error);
+    res.status(500).render('admin/reviews', {
+      reviews: [],
+      status,
+      statuses: REVIEW_STATUSES,
+      successMessage: null,
+      errorMessage: 'Failed to load reviews. Please try again.'
+    });
+  }
+};
+
+/**
+ * Change a review's status and recompute its book's rating
+ * @param {string} status - Published or Hidden
+ * @param {string} message - Success message
+ * @returns {Function} Express handler
+ */
+const setStatus = (status, message) => async (req, res) => {
+  try {
+    const review = await Review.findByIdAndUpdate(
+      req.params.id,
+      { status, moderatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!review) {
+      return res.redirect('/admin/reviews?error=Review not found');
+    }
+
+    await Review.syncBook(review.book);
+
+    res.redirect(`/admin/reviews?success=${message}`);
+  } catch (error) {
+    console.error('Error moderating review:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/reviews?error=Invalid review ID');
+    }
+
+    res.redirect('/admin/reviews?error=Failed to update review');
+  }
+};
+
+/**
+ * @desc    Hide a review from the public and from the book's rating
+ * @route   POST /admin/reviews/:id/hide
+ * @access  Public (should be protected in production)
+ */
+exports.hideReview = setStatus('Hidden', 'Review hidden');
+
+/**
+ * @desc    Publish a hidden review again
+ * @route   POST /admin/reviews/:id/publish
+ * @access  Public (should be protected in production)
+ */
+exports.publishReview = setStatus('Published', 'Review published');
+
+/**
+ * @desc    Delete a review
+ * @route   POST /admin/reviews/:id/delete
+ * @access  Public (should be protected in production)
+ */
+exports.deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findByIdAndDelete(req.params.id);
+
+    if (!review) {
+      return res.redirect('/admin/reviews?error=Review not found');
+    }
+
+    await Review.syncBook(review.book);
+
+    res.redirect('/admin/reviews?success=Review deleted successfully');
+  } catch (error) {
+    console.error('Error deleting review:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/reviews?error=Invalid review ID');
+    }
+
+    res.redirect('/admin/reviews?error=Failed to delete review');
+  }
+};
@@ -0,0 +1,252 @@
+/**
+ * Admin Subjects Controller
+ * Server-rendered management of the subject vocabulary
+ */
+
+const Book = require('../models/Book');
+const Subject = require('../models/Subject');
+
+/**
+ * Build subject fields from the submitted form
+ * @param {Object} body - Form body
+ * @returns {Object} Subject data
+ */
+const buildSubjectData = (body) => ({
+  name: body.name.trim(),
+  parent: body.parent || null,
+  synonyms: body.synonyms
+    ? body.synonyms.split(/[,\n]/).map(s => s.trim()).filter(Boolean)
+    : [],
+  description: body.description?.trim() || ''
+});
+
+/**
+ * Turn a Mongoose ValidationError into a field -> message map
+ * @param {Error} error - Validation error
+ * @returns {Object} Errors keyed by field
+ */
+const validationErrors = (error) => {
+  const errors = {};
+  Object.keys(error.errors).forEach(key => {
+    errors[key] = error.errors[key].message;
+  });
+  return errors;
+};
+
+/**
+ * Terms a subject may be filed under: everything except itself and its narrower terms
+ * @param {Subject} [subject] - Subject being edited
+ * @returns {Promise<Subject[]>} Parent options in tree order
+ */
+const parentOptions = async (subject) => {
+  const tree = await Subject.findTree();
+  if (!subject || !subject._id) return tree;
+
+  return tree.filter(term => !term._id.equals(subject._id) && !term.ancestors.some(id => id.equals(subject._id)));
+};
+
+/**
+ * @desc    List the subject tree with book counts (admin view)
+ * @route   GET /admin/subjects
+ * @access  Public (should be protected in production)
+ */
+exports.listSubjects = async (req, res) => {
+  try {
+    const [subjects, counts] = await Promise.all([Subject.findTree(), Subject.countBooks()]);
+
+    res.render('admin/subjects', {
+      subjects,
+      counts,
+      successMessage: req.query.success || null,
+      errorMessage: req.query.error || null
+    });
+  } catch (error) {
+    console.error('Error listing subjects:', error);
+    res.status(500).render('admin/subjects', {
+      subjects: [],
+      counts: new Map(),
+      successMessage: null,
+      errorMessage: 'Failed to load subjects. Please try again.'
+    });
+  }
+};
+
+/**
+ * @desc    Show add subject form
+ * @route   GET /admin/subjects/add
+ * @access  Public (should be protected in production)
+ */
+exports.showAddForm = async (req, res) => {
+  try {
+    res.render('admin/addSubject', {
+      subject: { parent: req.query.parent || '' },
+      parents: await parentOptions(),
+      errors: {},
+      errorMessage: null
+    });
+  } catch (error) {
+    console.error('Error loading subject form:', error);
+    res.redirect('/admin/subjects?error=Failed to load subject form');
+  }
+};
+
+/**
+ * @desc    Create new subject
+ * @route   POST /admin/subjects/add
+ * @access  Public (should be protected in production)
+ */
+exports.createSubject = async (req, res) => {
+  const renderForm = async (status, errors, errorMessage) => res.status(status).render('admin/addSubject', {
+    subject: req.body,
+    parents: await parentOptions(),
+    errors,
+    errorMessage
+  });
+
+  try {
+    if (!req.body.name || !req.body.name.trim()) {
+      return renderForm(400, { name: 'Name is required' }, 'Please fix the errors below');
+    }
+
+    await Subject.create(buildSubjectData(req.body));
+
+    res.redirect('/admin/subjects?success=Subject created successfully');
+  } catch (error) {
+    console.error('Error creating subject:', error);
+
+    // Handle duplicate name
+    if (error.code === 11000) {
+      return renderForm(400, { name: 'A subject with this name already exists' }, 'A subject with this name already exists');
+    }
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return renderForm(400, validationErrors(error), 'Validation failed. Please check your inputs.');
+    }
+
+    renderForm(500, {}, 'Failed to create subject. Please try again.');
+  }
+};
+
+/**
+ * @desc    Show edit subject form
+ * @route   GET /admin/subjects/:id/edit
+ * @access  Public (should be protected in production)
+ */
+exports.showEditForm = async (req, res) => {
+  try {
+    const subject = await Subject.findById(req.params.id);
+
+    if (!subject) {
+      return res.redirect('/admin/subjects?error=Subject not found');
+    }
+
+    res.render('admin/editSubject', {
+      subject,
+      parents: await parentOptions(subject),
+      errors: {},
+      errorMessage: null
+    });
+  } catch (error) {
+    console.error('Error loading subject for edit:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/subjects?error=Invalid subject ID');
+    }
+
+    res.redirect('/admin/subjects?error=Failed to load subject');
+  }
+};
+
+/**
+ * @desc    Update subject (moving it moves its narrower terms too)
+ * @route   POST /admin/subjects/:id/edit
+ * @access  Public (should be protected in production)
+ */
+exports.updateSubject = async (req, res) => {
+  let subject;
+  const renderForm = async (status, errors, errorMessage) => res.status(status).render('admin/editSubject', {
+    subject: Object.assign(subject, req.body),
+    parents: await parentOptions(subject),
+    errors,
+    errorMessage
+  });
+
+  try {
+    subject = await Subject.findById(req.params.id);
+
+    if (!subject) {
+      return res.redirect('/admin/subjects?error=Subject not found');
+    }
+
+    if (!req.body.name || !req.body.name.trim()) {
+      return renderForm(400, { name: 'Name is required' }, 'Please fix the errors below');
+    }
+
+    const renamed = subject.name !== req.body.name.trim();
+    subject.set(buildSubjectData(req.body));
+    await subject.save();
+
+    // Books filed under this subject carry its name as their category (and genre, for top-level terms)
+    if (renamed) {
+      const books = await Book.find({ subjects: { $in: await Subject.branchIds(subject._id) } });
+      for (const book of books) {
+        book.markModified('subjects');
+        await book.save();
+      }
+    }
+
+    res.redirect('/admin/subjects?success=Subject updated successfully');
+  } catch (error) {
+    console.error('Error updating subject:', error);
+
+    // Handle duplicate name
+    if (error.code === 11000) {
+      return renderForm(400, { name: 'A subject with this name already exists' }, 'A subject with this name already exists');
+    }
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return renderForm(400, validationErrors(error), 'Validation failed. Please check your inputs.');
+    }
+
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/subjects?error=Invalid subject ID');
+    }
+
+    res.redirect('/admin/subjects?error=Failed to update subject');
+  }
+};
+
+/**
+ * @desc    Delete a subject that has no narrower terms (books keep their other subjects)
+ * @route   POST /admin/subjects/:id/delete
+ * @access  Public (should be protected in production)
+ */
+exports.deleteSubject = async (req, res) => {
+  try {
+    const subject = await Subject.findById(req.params.id);
+
+    if (!subject) {
+      return res.redirect('/admin/subjects?error=Subject not found');
+    }
+
+    if (await Subject.exists({ parent: subject._id })) {
+      return res.redirect('/admin/subjects?error=Move or delete the narrower terms of this subject first');
+    }
+
+    await subject.deleteOne();
+    await Book.updateMany({ subjects: subject._id }, { $pull: { subjects: subject._id } });
+
+    res.redirect('/admin/subjects?success=Subject deleted successfully');
+  } catch (error) {
+    console.error('Error deleting subject:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.redirect('/admin/subjects?error=Invalid subject ID');
+    }
+
+    res.redirect('/admin/subjects?error=Failed to delete subject');
+  }
+};
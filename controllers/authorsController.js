@@ -0,0 +1,111 @@
+/**
+ * Authors Controller
+ * Public author profiles and their books
+ */
+
+const Author = require('../models/Author');
+const Book = require('../models/Book');
+const { withCovers } = require('../utils/covers');
+
+/**
+ * @desc    Get all authors
+ * @route   GET /api/authors
+ * @access  Public
+ */
+exports.getAllAuthors = async (req, res) => {
+  try {
+    const authors = await Author.find().sort({ name: 1 });
+    
+    res.status(200).json({
+      success: true,
+      count: authors.length,
+      data: authors
+    });
+  } catch (error) {
+    console.error('Error fetching authors:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching authors'
+    });
+  }
+};
+
+/**
+ * @desc    Get a featured author (has a bio and at least one book) with their books
+ * @route   GET /api/authors/featured
+ * @access  Public
+ */
+exports.getFeaturedAuthor = async (req, res) => {
+  try {
+    const linkedIds = await Book.distinct('authorId', { authorId: { $ne: null } });
+    const [featured] = await Author.aggregate([
+      { $match: { _id: { $in: linkedIds }, bio: { $nin: [null, ''] } } },
+      { $sample: { size: 1 } }
+    ]);
+    
+    if (!featured) {
+      return res.status(404).json({
+        success: false,
+        error: 'No featured author available'
+      });
+    }
+    
+    const author = await Author.findById(featured._id);
+    const books = await Book.find({ authorId: author._id })
+      .sort({ publishedYear: -1 })
+      .lean();
+    
+    res.status(200).json({
+      success: true,
+      data: { ...author.toJSON(), books: books.map(withCovers) }
+    });
+  } catch (error) {
+    console.error('Error fetching featured author:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching featured author'
+    });
+  }
+};
+
+/**
+ * @desc    Get an author with their bio and books
+ * @route   GET /api/authors/:id
+ * @access  Public
+ */
+exports.getAuthorById = async (req, res) => {
+  try {
+    const author = await Author.findById(req.params.id);
+    
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        error: 'Author not found'
+      });
+    }
+    
+    const books = await Book.find({ authorId: author._id })
+      .sort({ publishedYear: -1 })
+      .lean();
+    
+    res.status(200).json({
+      success: true,
+      data: { ...author.toJSON(), books: books.map(withCovers) }
+    });
+  } catch (error) {
+    console.error('Error fetching author:', error);
+    
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Author not found'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching author'
+    });
+  }
+};
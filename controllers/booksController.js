@@ -3,72 +3,268 @@
  * Business logic for book CRUD operations
  */
 
+const mongoose = require('mongoose');
 const Book = require('../models/Book');
+const Copy = require('../models/Copy');
+const Hold = require('../models/Hold');
+const Loan = require('../models/Loan');
+const LedgerEntry = require('../models/LedgerEntry');
+const Subject = require('../models/Subject');
+const fines = require('../config/fines');
+const { compact, normalizeIsbn, toIsbn10 } = require('../utils/isbn');
+const { buildBookQuery, pageOptions, findBookPage } = require('../utils/bookQuery');
+const { facetedSearch } = require('../utils/bookSearch');
+const { suggest } = require('../utils/suggestIndex');
+const { purgeDate } = require('../jobs/trashPurgeJob');
+const { WINDOW_DAYS, HALF_LIFE_DAYS, getTrending } = require('../jobs/trendingJob');
+const { recordAudit } = require('../utils/audit');
+const { CirculationError } = require('../utils/circulation');
 
 /**
- * @desc    Get all books with optional filtering
+ * Find the copy of a book a circulation request refers to
+ * Accepts copyId or barcode, and falls back to the copy borrowed by userId
+ * @param {string} bookId - Book ID from the route
+ * @param {Object} body - Request body
+ * @returns {Promise<Copy|null>} Matching copy, if any
+ */
+const findCopyForRequest = (bookId, { copyId, barcode, userId } = {}) => {
+  if (copyId) {
+    return Copy.findOne({ _id: copyId, book: bookId });
+  }
+  if (barcode) {
+    return Copy.findOne({ barcode: barcode.trim(), book: bookId });
+  }
+  if (userId) {
+    return Copy.findOne({ book: bookId, available: false, 'borrowedBy.userId': userId });
+  }
+  return null;
+};
+
+/**
+ * Check the copyId and userId of a return or renewal before they reach a query
+ * @param {Object} body - Request body ({ copyId, barcode, userId })
+ * @returns {string|null} Error message, or null when the IDs are well formed
+ */
+const invalidCopyRequest = ({ copyId, userId } = {}) => {
+  if (copyId && !mongoose.Types.ObjectId.isValid(copyId)) {
+    return 'Invalid copy ID';
+  }
+  if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+    return 'Invalid user ID';
+  }
+  return null;
+};
+
+/**
+ * Send a refused circulation action as 409 Conflict with its error code
+ * @param {Object} res - Express response
+ * @param {CirculationError} error - Error from a copy or hold transition
+ */
+const circulationConflict = (res, error) => res.status(409).json({
+  success: false,
+  code: error.code,
+  error: error.message
+});
+
+/**
+ * Point a Link header (rel="next") at the next page of a list
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string|null} nextCursor - Cursor of the next page (no header on the last page)
+ */
+const setNextLink = (req, res, nextCursor) => {
+  if (!nextCursor) return;
+  
+  const next = new URLSearchParams({ ...req.query, cursor: nextCursor });
+  res.set('Link', `<${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}?${next}>; rel="next"`);
+};
+
+/**
+ * @desc    Get books with optional filtering, one page at a time
+ *          ?limit= (default 20, max 100), ?sort=title|author|year|rating|added (prefix - for descending),
+ *          ?fields= (comma-separated) and ?cursor= (pagination.nextCursor of the previous page);
+ *          the next page is also given as a Link header (rel="next").
+ *          ?query= takes the catalog query language, e.g. author:orwell year:1940..1960 -genre:romance
  * @route   GET /api/books
  * @access  Public
  */
 exports.getAllBooks = async (req, res) => {
   try {
-    const { q, category, genre, available, status } = req.query;
+    const options = pageOptions(req.query);
     
-    // Build query object
-    let query = {};
-    
-    // Text search on title, author, description
-    if (q) {
-      query.$text = { $search: q };
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error
+      });
     }
     
-    // Filter by category
-    if (category) {
-      query.category = category;
+    // Build query object (q, query, subject, category, genre, available, status)
+    const query = await buildBookQuery(req.query);
+    
+    // Execute query
+    const { books, nextCursor } = await findBookPage(query, options);
+    
+    setNextLink(req, res, nextCursor);
+    
+    res.status(200).json({
+      success: true,
+      count: books.length,
+      data: books,
+      pagination: {
+        limit: options.limit,
+        sort: options.sort.key,
+        nextCursor,
+        hasMore: Boolean(nextCursor)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching books:', error);
+    
+    // Handle a query-language search that cannot be read
+    if (error.name === 'QuerySyntaxError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        position: error.position
+      });
     }
     
-    // Filter by genre
-    if (genre) {
-      query.genre = genre;
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching books'
+    });
+  }
+};
+
+/**
+ * @desc    Search books and count the choices of each facet (genre, category, status,
+ *          publishedYear, tags, rating) in one aggregation
+ *          ?q=, ?subject= and ?available= narrow the search; ?genre=, ?category=, ?status=,
+ *          ?year= (bucket start or "unknown"), ?tag= and ?rating= (band start or "unrated") pick facet choices.
+ *          Each facet counts its options alongside the choices made in the other facets.
+ *          Paged like GET /api/books (?limit=, ?sort=, ?fields=, ?cursor=)
+ * @route   GET /api/books/search
+ * @access  Public
+ */
+exports.searchBooks = async (req, res) => {
+  try {
+    const options = pageOptions(req.query);
+    
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error
+      });
     }
     
-    // Filter by availability
-    if (available !== undefined) {
-      query.available = available === 'true';
+    const { books, total, nextCursor, facets } = await facetedSearch(req.query, options);
+    
+    setNextLink(req, res, nextCursor);
+    
+    res.status(200).json({
+      success: true,
+      count: books.length,
+      total,
+      data: books,
+      facets,
+      pagination: {
+        limit: options.limit,
+        sort: options.sort.key,
+        nextCursor,
+        hasMore: Boolean(nextCursor)
+      }
+    });
+  } catch (error) {
+    console.error('Error searching books:', error);
+    
+    // Handle a query-language search that cannot be read
+    if (error.name === 'QuerySyntaxError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        position: error.position
+      });
     }
     
-    // Filter by status
-    if (status) {
-      query.status = status;
+    res.status(500).json({
+      success: false,
+      error: 'Server error while searching books'
+    });
+  }
+};
+
+/**
+ * @desc    Suggest books while a search is typed: prefix and typo-tolerant matches
+ *          on titles, authors, ISBNs and tags, best first (?q=, ?limit= up to 20)
+ *          Answered from an in-memory index, so it is quick enough to call on every keystroke
+ * @route   GET /api/books/suggest
+ * @access  Public
+ */
+exports.suggestBooks = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    
+    if (q.length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search text cannot exceed 100 characters'
+      });
     }
     
-    // Execute query
-    const books = await Book.find(query)
-      .sort({ createdAt: -1 })
-      .lean();
+    const suggestions = q ? await suggest(q, req.query.limit) : [];
+    
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+  } catch (error) {
+    console.error('Error suggesting books:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while suggesting books'
+    });
+  }
+};
+
+/**
+ * @desc    Get the books trending now, ranked by recent borrows, holds and reviews
+ *          (older activity counts for less); ?limit= up to 50, default 10.
+ *          Served from a ranking that is recomputed every few minutes
+ * @route   GET /api/books/trending
+ * @access  Public
+ */
+exports.getTrendingBooks = async (req, res) => {
+  try {
+    const { books, refreshedAt } = await getTrending(req.query.limit);
     
     res.status(200).json({
       success: true,
       count: books.length,
-      data: books
+      data: books,
+      windowDays: WINDOW_DAYS,
+      halfLifeDays: HALF_LIFE_DAYS,
+      refreshedAt
     });
   } catch (error) {
-    console.error('Error fetching books:', error);
+    console.error('Error fetching trending books:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching books'
+      error: 'Server error while fetching trending books'
     });
   }
 };
 
 /**
  * @desc    Get single book by ID
+ *          The ETag header identifies this version; send it back as If-Match when updating
  * @route   GET /api/books/:id
  * @access  Public
  */
 exports.getBookById = async (req, res) => {
   try {
-    const book = await Book.findById(req.params.id);
+    const book = await Book.findById(req.params.id).populate('copies');
     
     if (!book) {
       return res.status(404).json({
@@ -77,6 +273,7 @@ exports.getBookById = async (req, res) => {
       });
     }
     
+    res.set('ETag', book.etag());
     res.status(200).json({
       success: true,
       data: book
@@ -99,6 +296,51 @@ exports.getBookById = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Look up a book by ISBN-10 or ISBN-13, in any notation
+ * @route   GET /api/books/isbn/:isbn
+ * @access  Public
+ */
+exports.getBookByIsbn = async (req, res) => {
+  try {
+    const isbn13 = normalizeIsbn(req.params.isbn);
+    
+    if (!isbn13) {
+      const length = compact(req.params.isbn).length;
+      return res.status(400).json({
+        success: false,
+        error: length === 10 || length === 13
+          ? 'Invalid ISBN: the check digit does not match'
+          : 'Invalid ISBN: expected 10 or 13 characters'
+      });
+    }
+    
+    const book = await Book.findOne({ isbn: isbn13 });
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'No book found with this ISBN',
+        isbn13,
+        isbn10: toIsbn10(isbn13)
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      isbn13,
+      isbn10: toIsbn10(isbn13),
+      data: book
+    });
+  } catch (error) {
+    console.error('Error looking up ISBN:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while looking up ISBN'
+    });
+  }
+};
+
 /**
  * @desc    Create new book
  * @route   POST /api/books
@@ -108,6 +350,8 @@ exports.createBook = async (req, res) => {
   try {
     // Validate required fields
     const { title, author } = req.body;
+    // rating and totalReviews are computed from patron reviews
+    const { copies = 1, rating, totalReviews, ...bookData } = req.body;
     
     if (!title || !author) {
       return res.status(400).json({
@@ -116,8 +360,19 @@ exports.createBook = async (req, res) => {
       });
     }
     
-    // Create book
-    const book = await Book.create(req.body);
+    const copyCount = parseInt(copies);
+    if (!Number.isInteger(copyCount) || copyCount < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'copies must be a positive number'
+      });
+    }
+    
+    // Create book and its physical copies
+    const book = await Book.create(bookData);
+    await Copy.createForBook(book._id, copyCount);
+    await book.populate('copies');
+    await recordAudit(req, 'Create', null, await Book.findById(book._id));
     
     res.status(201).json({
       success: true,
@@ -135,11 +390,14 @@ exports.createBook = async (req, res) => {
       });
     }
     
-    // Handle duplicate ISBN
+    // Handle duplicate ISBN (the other book may be in the Trash)
     if (error.code === 11000) {
+      const trashed = await Book.exists({ isbn: normalizeIsbn(req.body.isbn), deletedAt: { $ne: null } });
       return res.status(400).json({
         success: false,
-        error: 'A book with this ISBN already exists'
+        error: trashed
+          ? 'A book with this ISBN is in the Trash - restore it instead'
+          : 'A book with this ISBN already exists'
       });
     }
     
@@ -152,27 +410,80 @@ exports.createBook = async (req, res) => {
 
 /**
  * @desc    Update book by ID
+ *          With an If-Match header the update is refused (412) if the book has changed since it was read
  * @route   PUT /api/books/:id
  * @access  Public (should be protected in production)
  */
 exports.updateBook = async (req, res) => {
   try {
-    const book = await Book.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    // Availability is derived from the copies and the rating from reviews, so they cannot be edited directly.
+    // Trashing and restoring go through their own endpoints (with their checks and audit entries),
+    // the work is assigned from the title and author, and covers are uploaded in the admin
+    const {
+      copies, totalCopies, availableCopies, available, status, rating, totalReviews,
+      deletedAt, work, coverImage,
+      ...updates
+    } = req.body;
+    // The version is moved on by every write; clients send the ETag instead
+    delete updates.__v;
+    // Plain fields only, so an update operator cannot reach the fields above
+    Object.keys(updates).filter(key => key.startsWith('$')).forEach(key => delete updates[key]);
+    
+    // Genre and category follow the first subject
+    if (updates.subjects) {
+      Object.assign(updates, await Subject.labelsFor([].concat(updates.subjects)));
+    }
+    
+    // Keep the current version for the audit trail
+    const previous = await Book.findById(req.params.id);
+    
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    // Only write over the version the client has seen
+    const ifMatch = req.get('If-Match');
+    const stale = async () => {
+      const current = await Book.findById(previous._id);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: 'Book not found'
+        });
+      }
+      
+      res.set('ETag', current.etag());
+      return res.status(412).json({
+        success: false,
+        error: 'The book has been changed since it was fetched. Fetch it again and reapply your changes.',
+        data: current
+      });
+    };
+    
+    if (ifMatch && !previous.matchesEtag(ifMatch)) {
+      return stale();
+    }
+    
+    const book = await Book.findOneAndUpdate(
+      ifMatch ? { _id: previous._id, __v: previous.__v } : { _id: previous._id },
+      updates,
       {
         new: true, // Return updated document
         runValidators: true // Run model validators
       }
     );
     
+    // Changed by someone else between the read and the write
     if (!book) {
-      return res.status(404).json({
-        success: false,
-        error: 'Book not found'
-      });
+      return stale();
     }
     
+    await recordAudit(req, 'Update', previous, book);
+    
+    res.set('ETag', book.etag());
     res.status(200).json({
       success: true,
       data: book
@@ -205,13 +516,13 @@ exports.updateBook = async (req, res) => {
 };
 
 /**
- * @desc    Delete book by ID
+ * @desc    Move a book to the Trash (it is purged after the retention period)
  * @route   DELETE /api/books/:id
  * @access  Public (should be protected in production)
  */
 exports.deleteBook = async (req, res) => {
   try {
-    const book = await Book.findByIdAndDelete(req.params.id);
+    const book = await Book.findById(req.params.id);
     
     if (!book) {
       return res.status(404).json({
@@ -220,10 +531,26 @@ exports.deleteBook = async (req, res) => {
       });
     }
     
+    // Copies on loan must come back first, or the loans would point at a missing book
+    if (await Copy.exists({ book: book._id, status: 'Borrowed' })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delete a book that has copies on loan'
+      });
+    }
+    
+    const previous = book.toObject();
+    book.deletedAt = new Date();
+    await book.save();
+    await recordAudit(req, 'Delete', previous, book);
+    
+    // Nobody can pick up a book from the Trash; copies set aside for holds go back on the shelf
+    await Hold.cancelForBook(book._id);
+    
     res.status(200).json({
       success: true,
       data: {},
-      message: 'Book deleted successfully'
+      message: `Book moved to the Trash; it will be removed for good on ${purgeDate(book).toDateString()}`
     });
   } catch (error) {
     console.error('Error deleting book:', error);
@@ -243,8 +570,53 @@ exports.deleteBook = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Restore a book from the Trash
+ * @route   POST /api/books/:id/restore
+ * @access  Public (should be protected in production)
+ */
+exports.restoreBook = async (req, res) => {
+  try {
+    const book = await Book.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found in the Trash'
+      });
+    }
+    
+    const previous = book.toObject();
+    book.deletedAt = null;
+    await book.save();
+    await recordAudit(req, 'Restore', previous, book);
+    
+    res.status(200).json({
+      success: true,
+      data: book
+    });
+  } catch (error) {
+    console.error('Error restoring book:', error);
+    
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found in the Trash'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server error while restoring book'
+    });
+  }
+};
+
 /**
  * @desc    Borrow a book
+ *          The copy is lent in a single conditional update; a copy taken by a simultaneous
+ *          request gives 409 with an error code (e.g. COPY_ALREADY_BORROWED)
  * @route   POST /api/books/:id/borrow
  * @access  Public (should be protected in production)
  */
@@ -259,6 +631,13 @@ exports.borrowBook = async (req, res) => {
       });
     }
     
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+    
     const book = await Book.findById(req.params.id);
     
     if (!book) {
@@ -268,22 +647,65 @@ exports.borrowBook = async (req, res) => {
       });
     }
     
-    if (!book.available) {
-      return res.status(400).json({
+    // Patrons with too many unpaid fines cannot borrow
+    const balance = await LedgerEntry.balanceFor(userId);
+    if (balance > fines.blockThreshold) {
+      return res.status(403).json({
         success: false,
-        error: 'Book is not available for borrowing'
+        error: `Borrowing is blocked until unpaid fines of ${balance.toFixed(2)} are below ${fines.blockThreshold.toFixed(2)}`
       });
     }
     
-    await book.borrowBook(userId, userName, userEmail, weeks);
+    // Free up copies whose pickup window has passed
+    await Hold.expireStale(book._id);
+    
+    // Borrow the requested copy, the copy reserved for this patron,
+    // or the first available one
+    let copy;
+    if (req.body.copyId || req.body.barcode) {
+      copy = await findCopyForRequest(book._id, req.body);
+      
+      if (!copy) {
+        return res.status(404).json({
+          success: false,
+          error: 'Copy not found for this book'
+        });
+      }
+    } else {
+      const readyHold = await Hold.findOne({ book: book._id, 'patron.userId': userId, status: 'Ready' });
+      if (readyHold) {
+        copy = await Copy.findById(readyHold.copy);
+      }
+    }
+    
+    if (copy) {
+      copy = await copy.borrowCopy(userId, userName, userEmail, weeks);
+    } else {
+      copy = await Copy.borrowFirstAvailable(book._id, userId, userName, userEmail, weeks);
+    }
+    
+    if (!copy) {
+      const reserved = await Copy.exists({ book: book._id, status: 'Reserved' });
+      return circulationConflict(res, reserved
+        ? new CirculationError('BOOK_RESERVED', 'This book is reserved for another patron')
+        : new CirculationError('NO_COPY_AVAILABLE', 'No copy of this book is available for borrowing'));
+    }
+    
+    const loan = await Loan.openForCopy(copy);
     
     res.status(200).json({
       success: true,
-      data: book,
+      data: copy,
+      loan,
       message: 'Book borrowed successfully'
     });
   } catch (error) {
     console.error('Error borrowing book:', error);
+    
+    if (error.name === 'CirculationError') {
+      return circulationConflict(res, error);
+    }
+    
     res.status(500).json({
       success: false,
       error: error.message || 'Server error while borrowing book'
@@ -293,6 +715,7 @@ exports.borrowBook = async (req, res) => {
 
 /**
  * @desc    Return a book
+ *          Returning a copy that is not on loan (or was just returned) gives 409 COPY_NOT_BORROWED
  * @route   POST /api/books/:id/return
  * @access  Public (should be protected in production)
  */
@@ -307,22 +730,61 @@ exports.returnBook = async (req, res) => {
       });
     }
     
-    if (book.available) {
+    if (!req.body.copyId && !req.body.barcode && !req.body.userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide copyId, barcode, or userId'
+      });
+    }
+    
+    const invalid = invalidCopyRequest(req.body);
+    if (invalid) {
       return res.status(400).json({
         success: false,
-        error: 'Book is not currently borrowed'
+        error: invalid
+      });
+    }
+    
+    const copy = await findCopyForRequest(book._id, req.body);
+    
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Copy not found for this book'
       });
     }
     
-    await book.returnBook();
+    const loan = await Loan.findActiveForCopy(copy._id);
+    const { copy: returned, hold } = await copy.returnCopy();
+    let fine = null;
+    if (loan) {
+      await loan.close();
+      fine = await loan.assessFine(book);
+    }
     
     res.status(200).json({
       success: true,
-      data: book,
-      message: 'Book returned successfully'
+      data: returned,
+      loan,
+      fine,
+      message: hold
+        ? `Book returned successfully and reserved for ${hold.patron.name || 'the next patron'}`
+        : 'Book returned successfully'
     });
   } catch (error) {
     console.error('Error returning book:', error);
+    
+    if (error.name === 'CirculationError') {
+      return circulationConflict(res, error);
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: error.message || 'Server error while returning book'
@@ -332,6 +794,7 @@ exports.returnBook = async (req, res) => {
 
 /**
  * @desc    Renew a book
+ *          A copy that is not on loan or has no renewals left gives 409 with an error code
  * @route   POST /api/books/:id/renew
  * @access  Public (should be protected in production)
  */
@@ -348,18 +811,412 @@ exports.renewBook = async (req, res) => {
       });
     }
     
-    await book.renewBook(weeks);
+    if (!req.body.copyId && !req.body.barcode && !req.body.userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide copyId, barcode, or userId'
+      });
+    }
+    
+    const invalid = invalidCopyRequest(req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+    
+    const copy = await findCopyForRequest(book._id, req.body);
+    
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Copy not found for this book'
+      });
+    }
+    
+    const renewed = await copy.renewCopy(weeks);
+    
+    const loan = await Loan.findActiveForCopy(copy._id);
+    if (loan) {
+      await loan.recordRenewal(renewed.dueDate);
+    }
     
     res.status(200).json({
       success: true,
-      data: book,
+      data: renewed,
+      loan,
       message: 'Book renewed successfully'
     });
   } catch (error) {
     console.error('Error renewing book:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message || 'Server error while renewing book'
+    
+    if (error.name === 'CirculationError') {
+      return circulationConflict(res, error);
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Server error while renewing book'
+    });
+  }
+};
+
+/**
+ * @desc    List the physical copies of a book
+ * @route   GET /api/books/:id/copies
+ * @access  Public
+ */
+exports.getBookCopies = async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    const copies = await Copy.find({ book: book._id }).sort({ acquisitionDate: 1 });
+    
+    res.status(200).json({
+      success: true,
+      count: copies.length,
+      totalCopies: book.totalCopies,
+      availableCopies: book.availableCopies,
+      data: copies
+    });
+  } catch (error) {
+    console.error('Error fetching copies:', error);
+    
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching copies'
+    });
+  }
+};
+
+/**
+ * @desc    Add a physical copy to a book
+ * @route   POST /api/books/:id/copies
+ * @access  Public (should be protected in production)
+ */
+exports.addCopy = async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    const { barcode, shelfLocation, condition, acquisitionDate } = req.body;
+    const [copy] = await Copy.createForBook(book._id, 1, {
+      barcode,
+      shelfLocation,
+      condition,
+      acquisitionDate
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: copy
+    });
+  } catch (error) {
+    console.error('Error adding copy:', error);
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages
+      });
+    }
+    
+    // Handle duplicate barcode
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A copy with this barcode already exists'
+      });
+    }
+    
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server error while adding copy'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a physical copy from a book
+ * @route   DELETE /api/books/:id/copies/:copyId
+ * @access  Public (should be protected in production)
+ */
+exports.removeCopy = async (req, res) => {
+  try {
+    const copy = await Copy.findOne({ _id: req.params.copyId, book: req.params.id });
+    
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Copy not found for this book'
+      });
+    }
+    
+    // Only a copy still on the shelf is removed, not one borrowed or reserved in the meantime
+    const { deletedCount } = await Copy.deleteOne({ _id: copy._id, available: true, status: 'Available' });
+    if (deletedCount === 0) {
+      return circulationConflict(res, new CirculationError('COPY_IN_USE', 'Cannot remove a copy that is on loan or reserved'));
+    }
+    
+    await Copy.syncBook(copy.book);
+    
+    res.status(200).json({
+      success: true,
+      data: {},
+      message: 'Copy removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing copy:', error);
+    
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Copy not found for this book'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server error while removing copy'
+    });
+  }
+};
+
+/**
+ * @desc    List the active hold queue for a book
+ * @route   GET /api/books/:id/holds
+ * @access  Public (should be protected in production)
+ */
+exports.getBookHolds = async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    await Hold.expireStale(book._id);
+    
+    const holds = await Hold.find({ book: book._id, status: { $in: ['Waiting', 'Ready'] } })
+      .sort({ createdAt: 1 });
+    
+    res.status(200).json({
+      success: true,
+      count: holds.length,
+      data: holds
+    });
+  } catch (error) {
+    console.error('Error fetching holds:', error);
+    
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching holds'
+    });
+  }
+};
+
+/**
+ * @desc    Place a hold on a book
+ * @route   POST /api/books/:id/hold
+ * @access  Public (should be protected in production)
+ */
+exports.placeHold = async (req, res) => {
+  try {
+    const { userId, userName, userEmail } = req.body;
+    
+    if (!userId || !userName || !userEmail) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide userId, userName, and userEmail'
+      });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+    
+    const book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    await Hold.expireStale(book._id);
+    
+    if (book.totalCopies === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'This book has no copies that can be reserved'
+      });
+    }
+    
+    if (await Copy.exists({ book: book._id, available: true })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A copy of this book is available - borrow it instead of placing a hold'
+      });
+    }
+    
+    if (await Hold.findActive(book._id, userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have a hold on this book'
+      });
+    }
+    
+    if (book.work && await Hold.findActiveForWork(book.work, userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have a hold on this title that any edition can fill'
+      });
+    }
+    
+    if (await Copy.exists({ book: book._id, status: 'Borrowed', 'borrowedBy.userId': userId })) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have this book on loan'
+      });
+    }
+    
+    const hold = await Hold.create({
+      book: book._id,
+      patron: { userId, name: userName, email: userEmail }
+    });
+    const position = await hold.queuePosition();
+    
+    res.status(201).json({
+      success: true,
+      data: hold,
+      position,
+      message: `Hold placed - you are number ${position} in the queue`
+    });
+  } catch (error) {
+    console.error('Error placing hold:', error);
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error while placing hold'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a patron's hold on a book
+ * @route   DELETE /api/books/:id/hold
+ * @access  Public (should be protected in production)
+ */
+exports.cancelHold = async (req, res) => {
+  try {
+    const userId = req.body.userId || req.query.userId;
+    
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide userId'
+      });
+    }
+    
+    const hold = await Hold.findActive(req.params.id, userId);
+    
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active hold found for this patron'
+      });
+    }
+    
+    // A cancelled ready hold passes its copy on to the next patron
+    const cancelled = await hold.cancel();
+    
+    res.status(200).json({
+      success: true,
+      data: cancelled,
+      message: 'Hold cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Error cancelling hold:', error);
+    
+    if (error.name === 'CirculationError') {
+      return circulationConflict(res, error);
+    }
+    
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'No active hold found for this patron'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server error while cancelling hold'
     });
   }
 };
@@ -0,0 +1,19 @@
+/**
+ * Covers Controller
+ * Generated placeholder covers for books without a cover image
+ */
+
+const { placeholderSvg } = require('../utils/covers');
+
+/**
+ * @desc    Placeholder cover showing a title and author
+ * @route   GET /api/covers/placeholder.svg?title=&author=&size=thumb|card
+ * @access  Public
+ */
+exports.getPlaceholder = (req, res) => {
+  const { title, author, size } = req.query;
+
+  // The image only depends on the query string, so browsers may keep it for a week
+  res.set('Cache-Control', 'public, max-age=604800');
+  res.type('image/svg+xml').send(placeholderSvg({ title, author, size }));
+};
@@ -0,0 +1,129 @@
+/**
+ * Fines Controller
+ * Patron account ledger: overdue fines, payments and waivers
+ */
+
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const LedgerEntry = require('../models/LedgerEntry');
+const fines = require('../config/fines');
+
+/**
+ * @desc    Get a patron's ledger, balance and fines still accruing on open loans
+ * @route   GET /api/users/:id/fines
+ * @access  Public (should be protected in production)
+ */
+exports.getUserFines = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+    
+    const userId = req.params.id;
+    const [entries, balance, activeLoans] = await Promise.all([
+      LedgerEntry.find({ 'patron.userId': userId }).sort({ createdAt: -1 }),
+      LedgerEntry.balanceFor(userId),
+      Loan.find({ 'patron.userId': userId, status: 'Active', dueDate: { $lt: new Date() } })
+        .populate('book', 'title genre category')
+    ]);
+    
+    // Fines on books that are still out are shown but not yet charged
+    const accruing = activeLoans
+      .map(loan => ({
+        loan: loan._id,
+        book: loan.book,
+        dueDate: loan.dueDate,
+        daysOverdue: loan.daysOverdue(),
+        amount: loan.calculateFine(loan.book || {})
+      }))
+      .filter(item => item.amount > 0);
+    
+    res.status(200).json({
+      success: true,
+      balance,
+      blocked: balance > fines.blockThreshold,
+      blockThreshold: fines.blockThreshold,
+      accruing,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error fetching fines:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching fines'
+    });
+  }
+};
+
+/**
+ * @desc    Record a payment or waiver against a patron's balance
+ * @route   POST /api/users/:id/payments
+ * @access  Public (should be protected in production)
+ */
+exports.recordPayment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+    
+    const { type = 'Payment', description } = req.body;
+    const amount = parseFloat(req.body.amount);
+    
+    if (!['Payment', 'Waiver'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'type must be Payment or Waiver'
+      });
+    }
+    
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a positive amount'
+      });
+    }
+    
+    const balance = await LedgerEntry.balanceFor(req.params.id);
+    if (amount > balance) {
+      return res.status(400).json({
+        success: false,
+        error: `Amount exceeds the outstanding balance of ${balance.toFixed(2)}`
+      });
+    }
+    
+    const entry = await LedgerEntry.create({
+      patron: { userId: req.params.id },
+      type,
+      amount,
+      description
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: entry,
+      balance: await LedgerEntry.balanceFor(req.params.id)
+    });
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server error while recording payment'
+    });
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * Loans Controller
+ * Read access to the circulation history of books and patrons
+ */
+
+const Book = require('../models/Book');
+const Loan = require('../models/Loan');
+
+/**
+ * Build the loan filter shared by the history endpoints
+ * @param {Object} base - Book or patron condition
+ * @param {Object} query - Request query (status)
+ * @returns {Object} Mongo filter
+ */
+const buildLoanQuery = (base, { status } = {}) => {
+  const query = { ...base };
+  if (status) {
+    query.status = status;
+  }
+  return query;
+};
+
+/**
+ * @desc    Get loan history for a book, most recent first
+ * @route   GET /api/books/:id/loans
+ * @access  Public (should be protected in production)
+ */
+exports.getBookLoans = async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    const loans = await Loan.find(buildLoanQuery({ book: book._id }, req.query))
+      .populate('copy', 'barcode shelfLocation')
+      .sort({ checkedOutAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: loans.length,
+      data: loans
+    });
+  } catch (error) {
+    console.error('Error fetching book loans:', error);
+    
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching loans'
+    });
+  }
+};
+
+/**
+ * @desc    Get loan history for a patron, most recent first
+ * @route   GET /api/users/:id/loans
+ * @access  Public (should be protected in production)
+ */
+exports.getUserLoans = async (req, res) => {
+  try {
+    const loans = await Loan.find(buildLoanQuery({ 'patron.userId': req.params.id }, req.query))
+      .populate('book', 'title author isbn coverUrl coverImage')
+      .populate('copy', 'barcode')
+      .sort({ checkedOutAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: loans.length,
+      data: loans
+    });
+  } catch (error) {
+    console.error('Error fetching user loans:', error);
+    
+    // Handle invalid ObjectId
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching loans'
+    });
+  }
+};
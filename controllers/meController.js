@@ -0,0 +1,162 @@
+/**
+ * Me Controller
+ * The logged-in patron's own views of the library
+ */
+
+const User = require('../models/User');
+const Loan = require('../models/Loan');
+const Hold = require('../models/Hold');
+const LedgerEntry = require('../models/LedgerEntry');
+const fines = require('../config/fines');
+const { withCovers } = require('../utils/covers');
+const { recommendBooks } = require('../utils/recommendations');
+const { DUE_SOON_DAYS } = require('../jobs/reminderJob');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Where a loan stands against its due date
+ * "due-soon" uses the same number of days as the reminder emails
+ * @param {Date} dueDate - Loan due date
+ * @param {Date} now - Current time
+ * @returns {{daysLeft: number, dueStatus: string}} Whole days left (negative when late)
+ *   and overdue, due-today, due-soon or on-time
+ */
+const dueStatus = (dueDate, now) => {
+  const daysLeft = Math.ceil((dueDate - now) / MS_PER_DAY);
+  if (dueDate < now) return { daysLeft, dueStatus: 'overdue' };
+  if (dueDate.toDateString() === now.toDateString()) return { daysLeft: 0, dueStatus: 'due-today' };
+  if (daysLeft <= DUE_SOON_DAYS) return { daysLeft, dueStatus: 'due-soon' };
+  return { daysLeft, dueStatus: 'on-time' };
+};
+
+/**
+ * @desc    The logged-in patron's dashboard: current loans with their due status and renewals,
+ *          holds with their queue position, fines and this year's reading goal
+ * @route   GET /api/me/dashboard
+ * @access  Private (logged-in patrons)
+ */
+exports.getDashboard = async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const now = new Date();
+    const yearStart = new Date(now.getFullYear(), 0, 1);
+    
+    const [user, loans, holds, balance, readThisYear] = await Promise.all([
+      User.findById(userId),
+      Loan.find({ 'patron.userId': userId, status: 'Active' })
+        .populate('book', 'title author isbn genre category coverUrl coverImage')
+        .populate('copy', 'barcode renewalCount maxRenewals')
+        .sort({ dueDate: 1 }),
+      Hold.find({ 'patron.userId': userId, status: { $in: ['Waiting', 'Ready'] } })
+        .populate('book', 'title author coverUrl coverImage')
+        .populate('work', 'title author')
+        .sort({ createdAt: 1 }),
+      LedgerEntry.balanceFor(userId),
+      Loan.distinct('book', { 'patron.userId': userId, status: 'Returned', returnedAt: { $gte: yearStart } })
+    ]);
+    
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Please log in to continue'
+      });
+    }
+    
+    const currentLoans = loans.map(loan => {
+      const book = loan.book ? withCovers(loan.book.toObject()) : null;
+      const copy = loan.copy || {};
+      return {
+        _id: loan._id,
+        book,
+        copy: loan.copy ? { _id: copy._id, barcode: copy.barcode } : null,
+        checkedOutAt: loan.checkedOutAt,
+        dueDate: loan.dueDate,
+        ...dueStatus(loan.dueDate, now),
+        renewalCount: copy.renewalCount || 0,
+        maxRenewals: copy.maxRenewals || 0,
+        canRenew: (copy.renewalCount || 0) < (copy.maxRenewals || 0),
+        fine: loan.calculateFine(loan.book || {})
+      };
+    });
+    
+    const currentHolds = await Promise.all(holds.map(async hold => ({
+      _id: hold._id,
+      book: hold.book ? withCovers(hold.book.toObject()) : null,
+      work: hold.work,
+      status: hold.status,
+      queuePosition: await hold.queuePosition(),
+      pickupDeadline: hold.pickupDeadline,
+      placedAt: hold.createdAt
+    })));
+    
+    const accruing = Math.round(currentLoans.reduce((sum, loan) => sum + loan.fine, 0) * 100) / 100;
+    
+    // Patrons are known by email; the name comes from their latest loan or hold
+    const named = loans.find(loan => loan.patron.name) || holds.find(hold => hold.patron.name);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          _id: user._id,
+          email: user.email,
+          name: named ? named.patron.name : user.email.split('@')[0],
+          memberSince: user.createdAt
+        },
+        loans: currentLoans,
+        holds: currentHolds,
+        fines: {
+          balance,
+          accruing,
+          blocked: balance > fines.blockThreshold,
+          blockThreshold: fines.blockThreshold
+        },
+        readingGoal: {
+          year: now.getFullYear(),
+          yearly: user.readingGoal,
+          completed: readThisYear.length
+        },
+        stats: {
+          borrowed: currentLoans.length,
+          overdue: currentLoans.filter(loan => loan.dueStatus === 'overdue').length,
+          dueSoon: currentLoans.filter(loan => ['due-today', 'due-soon'].includes(loan.dueStatus)).length,
+          holdsReady: currentHolds.filter(hold => hold.status === 'Ready').length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching dashboard:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching dashboard'
+    });
+  }
+};
+
+/**
+ * @desc    Books recommended for the logged-in patron, best first (?limit= up to 30, default 10)
+ *          From co-borrowing ("patrons who borrowed X also borrowed Y"), favourite genres and
+ *          authors in the loan history, and trending books when the history is short.
+ *          Leaves out books already read or held, and books with no copies to borrow or hold
+ * @route   GET /api/me/recommendations
+ * @access  Private (logged-in patrons)
+ */
+exports.getRecommendations = async (req, res) => {
+  try {
+    const { books, profile } = await recommendBooks(req.session.userId, req.query.limit);
+    
+    res.status(200).json({
+      success: true,
+      count: books.length,
+      data: books,
+      profile
+    });
+  } catch (error) {
+    console.error('Error fetching recommendations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching recommendations'
+    });
+  }
+};
@@ -0,0 +1,145 @@
+/**
+ * Reviews Controller
+ * Patron star ratings and reviews; a book's rating is computed from them
+ */
+
+const Book = require('../models/Book');
+const Loan = require('../models/Loan');
+const Review = require('../models/Review');
+
+/**
+ * @desc    Get the published reviews of a book, newest first
+ * @route   GET /api/books/:id/reviews
+ * @access  Public
+ */
+exports.getBookReviews = async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id);
+
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+
+    const reviews = await Review.find({ book: book._id, status: 'Published' })
+      .select('-reviewer.userId')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      rating: book.rating,
+      totalReviews: book.totalReviews,
+      data: reviews
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching reviews'
+    });
+  }
+};
+
+/**
+ * @desc    Rate and review a book the logged-in patron has borrowed before
+ *          Posting again replaces the patron's earlier review
+ * @route   POST /api/books/:id/reviews
+ * @access  Private (logged-in patrons)
+ */
+exports.createReview = async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const rating = Number(req.body.rating);
+
+    if (!req.body.rating || !Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a rating from 1 to 5 stars'
+      });
+    }
+
+    const book = await Book.findById(req.params.id);
+
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+
+    // Only patrons who have borrowed and returned the book may review it
+    const pastLoan = await Loan.exists({ book: book._id, 'patron.userId': userId, status: 'Returned' });
+    if (!pastLoan) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can review a book after you have borrowed and returned it'
+      });
+    }
+
+    const name = req.body.name?.trim() || String(req.session.userEmail || '').split('@')[0];
+    let review = await Review.findOne({ book: book._id, 'reviewer.userId': userId });
+    const isNew = !review;
+
+    if (isNew) {
+      review = new Review({ book: book._id, reviewer: { userId } });
+    }
+    review.reviewer.name = name;
+    review.rating = rating;
+    review.text = req.body.text?.trim() || '';
+    await review.save();
+
+    const { rating: average, totalReviews } = await Review.syncBook(book._id);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      data: review,
+      rating: average,
+      totalReviews,
+      message: isNew ? 'Thanks for your review' : 'Your review has been updated'
+    });
+  } catch (error) {
+    console.error('Error saving review:', error);
+
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages
+      });
+    }
+
+    // Two submissions at once for the same patron and book
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Your review is already being saved'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error while saving review'
+    });
+  }
+};
@@ -0,0 +1,114 @@
+/**
+ * Subjects Controller
+ * The controlled subject vocabulary, with live book counts for the catalog filters
+ */
+
+const Subject = require('../models/Subject');
+const { buildBookQuery } = require('../utils/bookQuery');
+
+/**
+ * Plain subject with its book counts
+ * @param {Subject} subject - Subject document
+ * @param {Map} counts - Counts from Subject.countBooks
+ * @returns {Object} Subject for the API
+ */
+const withCounts = (subject, counts) => {
+  const { count = 0, totalCount = 0 } = counts.get(String(subject._id)) || {};
+  return {
+    _id: subject._id,
+    name: subject.name,
+    slug: subject.slug,
+    parent: subject.parent,
+    depth: subject.depth,
+    synonyms: subject.synonyms,
+    description: subject.description,
+    count,
+    totalCount
+  };
+};
+
+/**
+ * @desc    Get every subject in tree order with book counts
+ *          Counts respect the other catalog filters (q, available, status, ...)
+ * @route   GET /api/subjects
+ * @access  Public
+ */
+exports.getSubjects = async (req, res) => {
+  try {
+    // The subject filter itself would zero out every other branch
+    const { subject, ...filters } = req.query;
+    const [subjects, counts] = await Promise.all([
+      Subject.findTree(),
+      buildBookQuery(filters).then(match => Subject.countBooks(match))
+    ]);
+
+    const data = subjects.map(term => withCounts(term, counts));
+    const hideEmpty = req.query.hideEmpty === 'true';
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: hideEmpty ? data.filter(term => term.totalCount > 0) : data
+    });
+  } catch (error) {
+    console.error('Error fetching subjects:', error);
+
+    // Handle a query-language search that cannot be read
+    if (error.name === 'QuerySyntaxError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        position: error.position
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching subjects'
+    });
+  }
+};
+
+/**
+ * @desc    Get a subject by ID, slug, name or synonym, with its broader and narrower terms
+ * @route   GET /api/subjects/:id
+ * @access  Public
+ */
+exports.getSubject = async (req, res) => {
+  try {
+    const subject = await Subject.resolve(req.params.id);
+
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const [ancestors, children, counts] = await Promise.all([
+      Subject.find({ _id: { $in: subject.ancestors } }),
+      Subject.find({ parent: subject._id }).sort({ name: 1 }),
+      Subject.countBooks()
+    ]);
+
+    // Ancestors come back in any order; show them root first
+    const path = subject.ancestors
+      .map(id => ancestors.find(term => term._id.equals(id)))
+      .filter(Boolean);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...withCounts(subject, counts),
+        ancestors: path.map(term => ({ _id: term._id, name: term.name, slug: term.slug })),
+        children: children.map(term => withCounts(term, counts))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching subject:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching subject'
+    });
+  }
+};
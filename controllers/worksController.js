@@ -0,0 +1,400 @@
+/**
+ * Works Controller
+ * Works group the editions of a title; holds on a work are filled by any edition
+ */
+
+const Work = require('../models/Work');
+const Book = require('../models/Book');
+const Copy = require('../models/Copy');
+const Hold = require('../models/Hold');
+const mongoose = require('mongoose');
+const { buildBookQuery, pageOptions, encodeCursor } = require('../utils/bookQuery');
+const { withCovers } = require('../utils/covers');
+
+// Edition fields returned with each work
+const EDITION_FIELDS = {
+  _id: '$_id',
+  title: '$title',
+  author: '$author',
+  description: '$description',
+  genre: '$genre',
+  category: '$category',
+  isbn: '$isbn',
+  publisher: '$publisher',
+  format: '$format',
+  publishedYear: '$publishedYear',
+  coverUrl: '$coverUrl',
+  coverImage: '$coverImage',
+  rating: '$rating',
+  status: '$status',
+  available: '$available',
+  totalCopies: '$totalCopies',
+  availableCopies: '$availableCopies'
+};
+
+/**
+ * Summary status of a work from its editions
+ * @param {Object[]} editions - Editions with status and availableCopies
+ * @returns {string} Available, Reserved or Borrowed
+ */
+const workStatus = (editions) => {
+  if (editions.some(edition => edition.availableCopies > 0)) return 'Available';
+  if (editions.some(edition => edition.status === 'Reserved')) return 'Reserved';
+  return 'Borrowed';
+};
+
+/**
+ * @desc    Get works with their editions (one entry per title), most recently added first
+ *          ?limit= (default 20, max 100) and ?cursor= (pagination.nextCursor of the previous page)
+ * @route   GET /api/works
+ * @access  Public
+ */
+exports.getAllWorks = async (req, res) => {
+  try {
+    const options = pageOptions({ limit: req.query.limit, cursor: req.query.cursor });
+
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error
+      });
+    }
+
+    // Works after the cursor: added earlier, or at the same time with a lower ID
+    const after = options.after
+      ? [{
+        $match: {
+          $or: [
+            { latest: { $lt: new Date(options.after.value) } },
+            { latest: new Date(options.after.value), _id: { $lt: new mongoose.Types.ObjectId(options.after.id) } }
+          ]
+        }
+      }]
+      : [];
+
+    // Filters apply to editions (q, subject, category, genre, available, status)
+    const query = await buildBookQuery(req.query);
+    const found = await Book.aggregate([
+      { $match: query },
+      { $sort: { publishedYear: -1, createdAt: -1 } },
+      {
+        $group: {
+          // Books not yet linked to a work stand alone
+          _id: { $ifNull: ['$work', '$_id'] },
+          work: { $first: '$work' },
+          editions: { $push: EDITION_FIELDS },
+          totalCopies: { $sum: '$totalCopies' },
+          availableCopies: { $sum: '$availableCopies' },
+          latest: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { latest: -1, _id: -1 } },
+      ...after,
+      { $limit: options.limit + 1 },
+      { $lookup: { from: 'works', localField: 'work', foreignField: '_id', as: 'workDoc' } }
+    ]);
+
+    const groups = found.slice(0, options.limit);
+    const last = groups[groups.length - 1];
+    const nextCursor = found.length > options.limit
+      ? encodeCursor({ sort: options.sort.key, value: last.latest, id: last._id })
+      : null;
+
+    const works = groups.map(group => {
+      const work = group.workDoc[0];
+      const first = group.editions[0];
+
+      return {
+        _id: work ? work._id : null,
+        title: work ? work.title : first.title,
+        author: work ? work.author : first.author,
+        description: (work && work.description) || first.description,
+        firstPublishedYear: work ? work.firstPublishedYear : first.publishedYear,
+        status: workStatus(group.editions),
+        totalCopies: group.totalCopies,
+        availableCopies: group.availableCopies,
+        editions: group.editions.map(withCovers)
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: works.length,
+      data: works,
+      pagination: {
+        limit: options.limit,
+        nextCursor,
+        hasMore: Boolean(nextCursor)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching works:', error);
+
+    // Handle a query-language search that cannot be read
+    if (error.name === 'QuerySyntaxError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        position: error.position
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching works'
+    });
+  }
+};
+
+/**
+ * @desc    Get a work with all of its editions
+ * @route   GET /api/works/:id
+ * @access  Public
+ */
+exports.getWorkById = async (req, res) => {
+  try {
+    const work = await Work.findById(req.params.id);
+
+    if (!work) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work not found'
+      });
+    }
+
+    const editions = await Book.find({ work: work._id })
+      .sort({ publishedYear: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...work.toJSON(),
+        status: workStatus(editions),
+        totalCopies: editions.reduce((sum, edition) => sum + (edition.totalCopies || 0), 0),
+        availableCopies: editions.reduce((sum, edition) => sum + (edition.availableCopies || 0), 0),
+        editions: editions.map(withCovers)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching work:', error);
+
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Work not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching work'
+    });
+  }
+};
+
+/**
+ * @desc    List the active holds placed on a work
+ * @route   GET /api/works/:id/holds
+ * @access  Public (should be protected in production)
+ */
+exports.getWorkHolds = async (req, res) => {
+  try {
+    const work = await Work.findById(req.params.id);
+
+    if (!work) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work not found'
+      });
+    }
+
+    const editionIds = await Book.find({ work: work._id }).distinct('_id');
+    await Hold.expireStale(editionIds);
+
+    const holds = await Hold.find({ work: work._id, status: { $in: ['Waiting', 'Ready'] } })
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: holds.length,
+      data: holds
+    });
+  } catch (error) {
+    console.error('Error fetching work holds:', error);
+
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Work not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching holds'
+    });
+  }
+};
+
+/**
+ * @desc    Place a hold on a work - the first copy of any edition to come back fills it
+ * @route   POST /api/works/:id/hold
+ * @access  Public (should be protected in production)
+ */
+exports.placeWorkHold = async (req, res) => {
+  try {
+    const { userId, userName, userEmail } = req.body;
+
+    if (!userId || !userName || !userEmail) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide userId, userName, and userEmail'
+      });
+    }
+
+    const work = await Work.findById(req.params.id);
+
+    if (!work) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work not found'
+      });
+    }
+
+    const editionIds = await Book.find({ work: work._id }).distinct('_id');
+    await Hold.expireStale(editionIds);
+
+    if (!(await Copy.exists({ book: { $in: editionIds } }))) {
+      return res.status(400).json({
+        success: false,
+        error: 'No edition of this title has copies that can be reserved'
+      });
+    }
+
+    if (await Copy.exists({ book: { $in: editionIds }, available: true })) {
+      return res.status(400).json({
+        success: false,
+        error: 'An edition of this title is available - borrow it instead of placing a hold'
+      });
+    }
+
+    const existing = await Hold.findOne({
+      $or: [{ work: work._id }, { book: { $in: editionIds } }],
+      'patron.userId': userId,
+      status: { $in: ['Waiting', 'Ready'] }
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have a hold on this title'
+      });
+    }
+
+    if (await Copy.exists({ book: { $in: editionIds }, status: 'Borrowed', 'borrowedBy.userId': userId })) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have this title on loan'
+      });
+    }
+
+    const hold = await Hold.create({
+      work: work._id,
+      patron: { userId, name: userName, email: userEmail }
+    });
+    const position = await hold.queuePosition();
+
+    res.status(201).json({
+      success: true,
+      data: hold,
+      position,
+      message: `Hold placed on any edition - you are number ${position} in the queue`
+    });
+  } catch (error) {
+    console.error('Error placing work hold:', error);
+
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Work not found'
+      });
+    }
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error while placing hold'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a patron's hold on a work
+ * @route   DELETE /api/works/:id/hold
+ * @access  Public (should be protected in production)
+ */
+exports.cancelWorkHold = async (req, res) => {
+  try {
+    const userId = req.body.userId || req.query.userId;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide userId'
+      });
+    }
+
+    const hold = await Hold.findActiveForWork(req.params.id, userId);
+
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active hold found for this patron'
+      });
+    }
+
+    // A cancelled ready hold passes its copy on to the next patron
+    const cancelled = await hold.cancel();
+
+    res.status(200).json({
+      success: true,
+      data: cancelled,
+      message: 'Hold cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Error cancelling work hold:', error);
+
+    // Collected, cancelled or expired by another request in the meantime
+    if (error.name === 'CirculationError') {
+      return res.status(409).json({
+        success: false,
+        code: error.code,
+        error: error.message
+      });
+    }
+
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'No active hold found for this patron'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error while cancelling hold'
+    });
+  }
+};
@@ -0,0 +1,267 @@
+/**
+ * Import Job
+ * Dry-run and batched background processing of bulk CSV imports
+ */
+
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const Copy = require('../models/Copy');
+const ImportJob = require('../models/ImportJob');
+const Subject = require('../models/Subject');
+const { buildBookData, schemaErrors } = require('../utils/bookData');
+const { normalizeIsbn } = require('../utils/isbn');
+const { recordChange } = require('../utils/audit');
+
+// Rows whose existing books are looked up together; progress is saved after every row,
+// so a resumed import never writes a row twice
+const BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE) || 100;
+
+// Jobs being processed by this server process
+const running = new Set();
+
+/**
+ * Decide what to do with one row: create a new book or update the one with its ISBN
+ * @param {Object} input - Row values keyed by Book field
+ * @param {Book|null} existing - Book that already has this ISBN
+ * @returns {{action: string, data: Object, copies: number, shelfLocation: string, messages: string[]}}
+ */
+const planRow = (input, existing) => {
+  const built = existing
+    ? buildBookData(input, { partial: true })
+    : buildBookData(input);
+
+  // Copies are only added to new books
+  if (existing) {
+    delete built.errors.copies;
+  }
+
+  const errors = { ...schemaErrors(built.data), ...built.errors };
+  const messages = Object.values(errors);
+
+  return {
+    ...built,
+    action: messages.length > 0 ? 'error' : (existing ? 'update' : 'create'),
+    messages
+  };
+};
+
+/**
+ * Rows whose ISBN already appeared on an earlier row
+ * @param {ImportJob} job - Import job
+ * @returns {Map<number, number>} Row index -> index of the first row with that ISBN
+ */
+const repeatedIsbns = (job) => {
+  const first = new Map();
+  const repeats = new Map();
+
+  job.rows.forEach((row, index) => {
+    const isbn = normalizeIsbn(job.rowInput(index).isbn);
+    if (!isbn) return;
+
+    if (first.has(isbn)) {
+      repeats.set(index, first.get(isbn));
+    } else {
+      first.set(isbn, index);
+    }
+  });
+  return repeats;
+};
+
+/**
+ * Books that already exist for the ISBNs in a set of rows
+ * @param {ImportJob} job - Import job
+ * @param {number[]} indexes - Row indexes
+ * @returns {Promise<Map<string, Book>>} Canonical ISBN -> Book
+ */
+const existingBooks = async (job, indexes) => {
+  const isbns = indexes
+    .map(index => normalizeIsbn(job.rowInput(index).isbn))
+    .filter(Boolean);
+
+  const books = await Book.find({ isbn: { $in: isbns } }).select('isbn');
+  return new Map(books.map(book => [book.isbn, book]));
+};
+
+/**
+ * Validate every row without writing anything and store the report on the job
+ * @param {ImportJob} job - Import job in Preview
+ * @returns {Promise<ImportJob>} Saved job
+ */
+const runDryRun = async (job) => {
+  const indexes = job.rows.map((row, index) => index);
+  const existing = await existingBooks(job, indexes);
+  const repeats = repeatedIsbns(job);
+  const report = { creates: 0, updates: 0, invalid: 0, rows: [] };
+
+  indexes.forEach(index => {
+    const input = job.rowInput(index);
+    const isbn = normalizeIsbn(input.isbn);
+    const plan = planRow(input, existing.get(isbn) || null);
+
+    if (repeats.has(index)) {
+      plan.action = 'error';
+      plan.messages.push(`Same ISBN as line ${job.lineNumber(repeats.get(index))}`);
+    }
+
+    if (plan.action === 'create') report.creates++;
+    if (plan.action === 'update') report.updates++;
+    if (plan.action === 'error') report.invalid++;
+
+    report.rows.push({
+      line: job.lineNumber(index),
+      action: plan.action,
+      title: plan.data.title || input.title || '',
+      isbn: isbn || input.isbn || '',
+      messages: plan.messages
+    });
+  });
+
+  job.report = report;
+  return job.save();
+};
+
+/**
+ * Write one row to the catalog and record it in the book's history
+ * @param {Object} plan - Row plan from planRow
+ * @param {Book|null} existing - Book with the row's ISBN (for updates)
+ * @param {Object} audit - Audit context ({ actor, source: 'Import' })
+ * @returns {Promise<string>} 'created' or 'updated'
+ */
+const importRow = async (plan, existing, audit) => {
+  // File the book under any subjects its genre, category or tags name
+  const data = await Subject.classify(plan.data);
+
+  if (plan.action === 'update') {
+    const previous = await Book.findById(existing._id);
+    const book = previous && await Book.findByIdAndUpdate(previous._id, data, { new: true, runValidators: true });
+    if (!book) {
+      throw new Error('The book with this ISBN is no longer in the catalog');
+    }
+    await recordChange(audit, 'Update', previous, book);
+    return 'updated';
+  }
+
+  const book = await Book.create(data);
+  await Copy.createForBook(book._id, plan.copies, { shelfLocation: plan.shelfLocation });
+  await recordChange(audit, 'Create', null, await Book.findById(book._id));
+  return 'created';
+};
+
+/**
+ * Import the rows of a job in batches, resuming from its saved progress
+ * A failing row is logged on the job and the import carries on
+ * @param {ObjectId|string} jobId - Import job ID
+ */
+const runImportJob = async (jobId) => {
+  const id = String(jobId);
+  if (running.has(id)) return;
+  running.add(id);
+
+  try {
+    const job = await ImportJob.findById(id);
+    if (!job || job.status !== 'Running') return;
+
+    const repeats = repeatedIsbns(job);
+    const audit = {
+      actor: { userId: job.startedBy?.userId, name: job.startedBy?.name || 'Anonymous' },
+      source: 'Import'
+    };
+
+    for (let start = job.progress.processed; start < job.rows.length; start += BATCH_SIZE) {
+      const indexes = [];
+      for (let index = start; index < Math.min(start + BATCH_SIZE, job.rows.length); index++) {
+        indexes.push(index);
+      }
+
+      const existing = await existingBooks(job, indexes);
+
+      for (const index of indexes) {
+        const input = job.rowInput(index);
+        const book = existing.get(normalizeIsbn(input.isbn)) || null;
+        const plan = planRow(input, book);
+        let result = 'failed';
+        let rowError = null;
+
+        if (repeats.has(index)) {
+          plan.action = 'error';
+          plan.messages.push(`Same ISBN as line ${job.lineNumber(repeats.get(index))}`);
+        }
+
+        if (plan.action === 'error') {
+          rowError = { line: job.lineNumber(index), message: plan.messages.join('; ') };
+        } else {
+          try {
+            result = await importRow(plan, book, audit);
+          } catch (error) {
+            rowError = {
+              line: job.lineNumber(index),
+              message: error.code === 11000 ? 'A book with this ISBN already exists' : error.message
+            };
+          }
+        }
+
+        await ImportJob.updateOne(
+          { _id: job._id },
+          {
+            $inc: { 'progress.processed': 1, [`progress.${result}`]: 1 },
+            ...(rowError ? { $push: { rowErrors: rowError } } : {})
+          }
+        );
+      }
+
+      // Let requests (and the progress poll) through between batches
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    await ImportJob.updateOne({ _id: job._id }, { status: 'Completed', finishedAt: new Date() });
+    console.log(`📥 CSV import ${job.filename} complete (${job.rows.length} rows)`);
+  } catch (error) {
+    console.error(`❌ CSV import ${id} failed:`, error.message);
+    try {
+      await ImportJob.updateOne({ _id: id }, { status: 'Failed', failureReason: error.message, finishedAt: new Date() });
+    } catch (statusError) {
+      // Left Running; it is marked Failed when the server next starts
+      console.error(`❌ Could not mark CSV import ${id} as failed:`, statusError.message);
+    }
+  } finally {
+    running.delete(id);
+  }
+};
+
+/**
+ * Whether this process is currently working on a job
+ * @param {ObjectId|string} jobId - Import job ID
+ * @returns {boolean} True while the job is running here
+ */
+const isImportRunning = (jobId) => running.has(String(jobId));
+
+/**
+ * Mark imports left Running by a previous server process as Failed, so they can be resumed
+ * Waits for the database connection if it is not open yet
+ * @returns {Promise<number>} Number of imports marked
+ */
+const recoverInterruptedImports = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    await new Promise(resolve => mongoose.connection.once('connected', resolve));
+  }
+
+  try {
+    const result = await ImportJob.updateMany(
+      { status: 'Running' },
+      {
+        status: 'Failed',
+        failureReason: 'The server restarted while the import was running',
+        finishedAt: new Date()
+      }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`📥 ${result.modifiedCount} interrupted CSV import(s) marked as Failed; resume them from the import page`);
+    }
+    return result.modifiedCount;
+  } catch (error) {
+    console.error('❌ Recovering interrupted imports failed:', error.message);
+    return 0;
+  }
+};
+
+module.exports = { runDryRun, runImportJob, isImportRunning, recoverInterruptedImports };
@@ -0,0 +1,140 @@
+/**
+ * Reminder Job
+ * Background scan that emails patrons about loans that are due soon or overdue
+ */
+
+const path = require('path');
+const ejs = require('ejs');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Reminder = require('../models/Reminder');
+const { sendMail } = require('../config/mailer');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'emails');
+
+// Days before the due date that the "due soon" reminder is sent
+const DUE_SOON_DAYS = parseInt(process.env.REMINDER_DUE_SOON_DAYS) || 3;
+
+// How often the scan runs
+const INTERVAL_MINUTES = parseInt(process.env.REMINDER_INTERVAL_MINUTES) || 60;
+
+/**
+ * Render an email template; the first line holds the subject
+ * @param {string} name - Template name in templates/emails
+ * @param {Object} data - Template variables
+ * @returns {Promise<{subject: string, html: string}>} Rendered email
+ */
+const renderEmail = async (name, data) => {
+  const output = await ejs.renderFile(path.join(TEMPLATE_DIR, `${name}.ejs`), data);
+  const [firstLine, ...rest] = output.split('\n');
+
+  return {
+    subject: firstLine.replace(/^Subject:\s*/, '').trim(),
+    html: rest.join('\n')
+  };
+};
+
+const formatDate = (date) => date.toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * Send one reminder, recording it first so it is never sent twice
+ * @param {Loan} loan - Active loan with book and copy populated
+ * @param {string} type - 'due-soon' or 'overdue'
+ * @returns {Promise<boolean>} True if an email was sent
+ */
+const sendReminder = async (loan, type) => {
+  if (!loan.patron.email || !loan.book) return false;
+
+  // Claim the reminder; the unique index rejects one that was already sent
+  let reminder;
+  try {
+    reminder = await Reminder.create({
+      loan: loan._id,
+      type,
+      dueDate: loan.dueDate,
+      email: loan.patron.email
+    });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  try {
+    const maxRenewals = loan.copy ? loan.copy.maxRenewals : 0;
+    const email = await renderEmail(type, {
+      book: loan.book,
+      patron: loan.patron,
+      dueDate: formatDate(loan.dueDate),
+      daysLeft: Math.max(0, Math.ceil((loan.dueDate - new Date()) / MS_PER_DAY)),
+      daysOverdue: loan.daysOverdue(),
+      renewalsLeft: Math.max(0, maxRenewals - loan.renewals.length)
+    });
+
+    await sendMail({ to: loan.patron.email, ...email });
+    return true;
+  } catch (error) {
+    // Release the claim so the next scan retries
+    await reminder.deleteOne();
+    throw error;
+  }
+};
+
+/**
+ * Scan active loans and send any reminders that are due
+ * @returns {Promise<{dueSoon: number, overdue: number, failed: number}>} Counts
+ */
+const runReminderScan = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + DUE_SOON_DAYS * MS_PER_DAY);
+  const counts = { dueSoon: 0, overdue: 0, failed: 0 };
+
+  const cursor = Loan.find({ status: 'Active', dueDate: { $lte: horizon } })
+    .populate('book', 'title author')
+    .populate('copy', 'maxRenewals')
+    .cursor();
+
+  for await (const loan of cursor) {
+    const type = loan.dueDate < now ? 'overdue' : 'due-soon';
+    try {
+      if (await sendReminder(loan, type)) {
+        counts[type === 'overdue' ? 'overdue' : 'dueSoon'] += 1;
+      }
+    } catch (error) {
+      counts.failed += 1;
+      console.error(`❌ Reminder for loan ${loan._id} failed:`, error.message);
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Start the periodic reminder scan
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startReminderJob = () => {
+  const tick = async () => {
+    // Skip while the database is not connected
+    if (mongoose.connection.readyState !== 1) return;
+
+    try {
+      const counts = await runReminderScan();
+      if (counts.dueSoon || counts.overdue || counts.failed) {
+        console.log(`📧 Reminders sent: ${counts.dueSoon} due soon, ${counts.overdue} overdue, ${counts.failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Reminder scan failed:', error.message);
+    }
+  };
+
+  console.log(`📧 Reminder job scheduled every ${INTERVAL_MINUTES} minutes`);
+  setTimeout(tick, 10 * 1000); // First scan shortly after startup
+  return setInterval(tick, INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = { DUE_SOON_DAYS, runReminderScan, startReminderJob };
@@ -0,0 +1,93 @@
+/**
+ * Trash Purge Job
+ * Background removal of books that have been in the Trash longer than the retention period
+ */
+
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const Copy = require('../models/Copy');
+const Hold = require('../models/Hold');
+const Review = require('../models/Review');
+const { removeCover } = require('../utils/covers');
+const { recordChange } = require('../utils/audit');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Days a deleted book stays in the Trash before it is removed for good
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// How often the purge runs
+const INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 360;
+
+// Recorded as the actor of scheduled purges in book history
+const PURGE_AUDIT = { actor: { name: 'Trash purge' }, source: 'Job' };
+
+/**
+ * When a trashed book will be purged
+ * @param {Book} book - Book in the Trash
+ * @returns {Date} Purge date
+ */
+const purgeDate = (book) => new Date(book.deletedAt.getTime() + RETENTION_DAYS * MS_PER_DAY);
+
+/**
+ * Remove a trashed book for good, with its copies, reviews, holds and cover files
+ * Loans are kept so patrons' borrowing history survives
+ * @param {Book} book - Book in the Trash
+ */
+const purgeBook = async (book) => {
+  await Copy.deleteMany({ book: book._id });
+  await Review.deleteMany({ book: book._id });
+  await Hold.deleteMany({ book: book._id });
+  await Book.deleteOne({ _id: book._id });
+  await removeCover(book.coverImage);
+};
+
+/**
+ * Purge every book whose retention period is over
+ * @returns {Promise<{purged: number, failed: number}>} Counts
+ */
+const runTrashPurge = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * MS_PER_DAY);
+  const counts = { purged: 0, failed: 0 };
+
+  const cursor = Book.find({ deletedAt: { $ne: null, $lte: cutoff } }).cursor();
+
+  for await (const book of cursor) {
+    try {
+      await purgeBook(book);
+      await recordChange(PURGE_AUDIT, 'Purge', book, book);
+      counts.purged += 1;
+    } catch (error) {
+      counts.failed += 1;
+      console.error(`❌ Purging book ${book._id} failed:`, error.message);
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Start the periodic Trash purge
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startTrashPurgeJob = () => {
+  const tick = async () => {
+    // Skip while the database is not connected
+    if (mongoose.connection.readyState !== 1) return;
+
+    try {
+      const counts = await runTrashPurge();
+      if (counts.purged || counts.failed) {
+        console.log(`🗑️ Trash purged: ${counts.purged} books removed, ${counts.failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Trash purge failed:', error.message);
+    }
+  };
+
+  console.log(`🗑️ Trash purge scheduled every ${INTERVAL_MINUTES} minutes (keeping books ${RETENTION_DAYS} days)`);
+  setTimeout(tick, 30 * 1000); // First purge shortly after startup
+  return setInterval(tick, INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = { RETENTION_DAYS, purgeDate, purgeBook, runTrashPurge, startTrashPurgeJob };
@@ -0,0 +1,158 @@
+/**
+ * Trending Job
+ * Ranks books by recent circulation: borrows, holds and reviews within a window,
+ * each counting less the older it is (halving every TRENDING_HALF_LIFE_DAYS).
+ * The ranking is kept in memory and recomputed on a schedule
+ */
+
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const Loan = require('../models/Loan');
+const Hold = require('../models/Hold');
+const Review = require('../models/Review');
+const { withCovers } = require('../utils/covers');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Days of activity that count towards the ranking
+const WINDOW_DAYS = parseInt(process.env.TRENDING_WINDOW_DAYS) || 30;
+
+// Days after which an event counts half as much
+const HALF_LIFE_DAYS = parseFloat(process.env.TRENDING_HALF_LIFE_DAYS) || 7;
+
+// How often the ranking is recomputed
+const INTERVAL_MINUTES = parseInt(process.env.TRENDING_REFRESH_MINUTES) || 15;
+
+// What each kind of event is worth when it has just happened
+const EVENT_WEIGHTS = {
+  borrows: 3,
+  holds: 2,
+  reviews: 1
+};
+
+// Books kept in the ranking; GET /api/books/trending returns up to this many
+const MAX_BOOKS = 50;
+
+const ranking = {
+  books: [],          // Lean books with covers and their trending stats, best first
+  refreshedAt: null,
+  refreshing: null    // Promise of the refresh in progress
+};
+
+/**
+ * Count recent events per book, with their decayed score
+ * @param {Model} Model - Loan, Hold or Review
+ * @param {string} dateField - When the event happened
+ * @param {Object} match - Events to count
+ * @param {Date} now - Time the ranking is computed for
+ * @returns {Promise<Array<{_id: ObjectId, count: number, decayed: number}>>} Per book
+ */
+const decayedCounts = (Model, dateField, match, now) => {
+  const since = new Date(now.getTime() - WINDOW_DAYS * MS_PER_DAY);
+
+  return Model.aggregate([
+    { $match: { ...match, [dateField]: { $gte: since, $lte: now } } },
+    {
+      $group: {
+        _id: '$book',
+        count: { $sum: 1 },
+        // 0.5 ^ (age / half-life): 1 for an event just now, 0.5 one half-life ago
+        decayed: {
+          $sum: {
+            $pow: [0.5, { $divide: [{ $subtract: [now, `$${dateField}`] }, HALF_LIFE_DAYS * MS_PER_DAY] }]
+          }
+        }
+      }
+    }
+  ]);
+};
+
+/**
+ * Recompute the ranking from loans, holds and published reviews
+ * Work holds count once a copy of an edition is set aside for them
+ * @returns {Promise<number>} Number of books ranked
+ */
+const refreshTrending = async () => {
+  const now = new Date();
+
+  const [borrows, holds, reviews] = await Promise.all([
+    decayedCounts(Loan, 'checkedOutAt', {}, now),
+    decayedCounts(Hold, 'createdAt', { book: { $ne: null } }, now),
+    decayedCounts(Review, 'createdAt', { status: 'Published' }, now)
+  ]);
+
+  const stats = new Map();
+  Object.entries({ borrows, holds, reviews }).forEach(([kind, groups]) => {
+    groups.forEach(group => {
+      const id = String(group._id);
+      if (!stats.has(id)) stats.set(id, { score: 0, borrows: 0, holds: 0, reviews: 0 });
+      const entry = stats.get(id);
+      entry[kind] = group.count;
+      entry.score += EVENT_WEIGHTS[kind] * group.decayed;
+    });
+  });
+
+  // Books in the Trash are left out by the Book query hooks
+  const books = await Book.find({ _id: { $in: [...stats.keys()] } }).lean();
+
+  ranking.books = books
+    .map(book => {
+      const entry = stats.get(String(book._id));
+      return { ...withCovers(book), trending: { ...entry, score: Math.round(entry.score * 100) / 100 } };
+    })
+    .sort((a, b) => b.trending.score - a.trending.score || (b.rating || 0) - (a.rating || 0))
+    .slice(0, MAX_BOOKS);
+  ranking.refreshedAt = now;
+
+  return ranking.books.length;
+};
+
+/**
+ * The current ranking, computed first if it never has been or is older than the refresh
+ * interval (as when the scheduled refresh is turned off)
+ * @param {number} [limit] - Most books to return (default 10, max 50)
+ * @returns {Promise<{books: Object[], refreshedAt: Date|null}>} Books, best first
+ */
+const getTrending = async (limit) => {
+  const stale = !ranking.refreshedAt || Date.now() - ranking.refreshedAt.getTime() > INTERVAL_MINUTES * 60 * 1000;
+  if (stale) {
+    ranking.refreshing = ranking.refreshing || refreshTrending().finally(() => { ranking.refreshing = null; });
+    await ranking.refreshing;
+  }
+
+  const count = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_BOOKS);
+  return { books: ranking.books.slice(0, count), refreshedAt: ranking.refreshedAt };
+};
+
+/**
+ * Start the periodic ranking refresh
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startTrendingJob = () => {
+  const tick = async () => {
+    // Skip while the database is not connected
+    if (mongoose.connection.readyState !== 1 || ranking.refreshing) return;
+
+    ranking.refreshing = refreshTrending();
+    try {
+      await ranking.refreshing;
+    } catch (error) {
+      console.error('❌ Trending refresh failed:', error.message);
+    } finally {
+      ranking.refreshing = null;
+    }
+  };
+
+  console.log(`📈 Trending books refreshed every ${INTERVAL_MINUTES} minutes (last ${WINDOW_DAYS} days, half-life ${HALF_LIFE_DAYS} days)`);
+  setTimeout(tick, 10 * 1000); // First ranking shortly after startup
+  return setInterval(tick, INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+  WINDOW_DAYS,
+  HALF_LIFE_DAYS,
+  EVENT_WEIGHTS,
+  refreshTrending,
+  getTrending,
+  startTrendingJob
+};
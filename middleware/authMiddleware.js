@@ -21,6 +21,21 @@ exports.ensureAuth = (req, res, next) => {
   res.redirect('/auth/login');
 };
 
+/**
+ * Ensure an API caller is authenticated
+ * Same session check as ensureAuth, but answers 401 JSON instead of redirecting
+ */
+exports.ensureApiAuth = (req, res, next) => {
+  if (req.session && req.session.userId) {
+    return next();
+  }
+  
+  res.status(401).json({
+    success: false,
+    error: 'Please log in to continue'
+  });
+};
+
 /**
  * Redirect to admin if already authenticated
  * Useful for login/signup pages
@@ -0,0 +1,167 @@
+/**
+ * AuditEntry Model
+ * Mongoose schema for the change history of a book: who changed which fields,
+ * from what to what, and whether it came from the API, the admin forms, a CSV import
+ * or a scheduled job
+ */
+
+const mongoose = require('mongoose');
+
+// Catalog fields whose changes are recorded; status and copy counts follow circulation
+// (borrowing, returning, adding copies) and are not edits of the book
+const AUDITED_FIELDS = [
+  'title',
+  'author',
+  'description',
+  'genre',
+  'category',
+  'subjects',
+  'isbn',
+  'publishedYear',
+  'publisher',
+  'format',
+  'coverUrl',
+  'coverImage',
+  'tags',
+  'work',
+  'deletedAt'
+];
+
+// Fields a rollback can put back; deletedAt belongs to the Trash,
+// and replaced cover files no longer exist
+const ROLLBACK_FIELDS = AUDITED_FIELDS.filter(field =>
+  !['deletedAt', 'coverImage'].includes(field)
+);
+
+const auditEntrySchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: [true, 'Audit entry must reference a book']
+    },
+    action: {
+      type: String,
+      enum: ['Create', 'Update', 'Delete', 'Restore', 'Purge', 'Rollback'],
+      required: [true, 'Action is required']
+    },
+    // Who made the change (the signed-in user, when there is one)
+    actor: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: {
+        type: String,
+        trim: true
+      }
+    },
+    source: {
+      type: String,
+      enum: ['API', 'Admin', 'Import', 'Job'],
+      required: [true, 'Source is required']
+    },
+    changes: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }],
+    // For rollbacks: the version the book was returned to
+    rolledBackTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AuditEntry'
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+auditEntrySchema.index({ book: 1, _id: -1 });
+
+// Plain JSON value for storing and comparing (ObjectIds and dates become strings)
+const plain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+const isEmpty = (value) => value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Field-by-field differences between two versions of a book
+ * @param {Object|null} before - Book before the change (null when it was created)
+ * @param {Object|null} after - Book after the change
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields
+ */
+auditEntrySchema.statics.diff = function(before, after) {
+  const changes = [];
+  AUDITED_FIELDS.forEach(field => {
+    const from = plain(before ? before[field] : null);
+    const to = plain(after ? after[field] : null);
+
+    if (isEmpty(from) && isEmpty(to)) return;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  });
+  return changes;
+};
+
+/**
+ * Record a change to a book; updates that change no audited field are skipped
+ * @param {Object} entry
+ * @param {string} entry.action - Create, Update, Delete, Restore, Purge or Rollback
+ * @param {Object|null} entry.before - Book before the change
+ * @param {Object|null} entry.after - Book after the change
+ * @param {Object} entry.actor - { userId, name }
+ * @param {string} entry.source - API, Admin, Import or Job
+ * @param {ObjectId} [entry.rolledBackTo] - Version a rollback returned to
+ * @returns {Promise<AuditEntry|null>} Saved entry
+ */
+auditEntrySchema.statics.record = async function({ action, before, after, actor, source, rolledBackTo }) {
+  const changes = this.diff(before, after);
+  if (action === 'Update' && changes.length === 0) return null;
+
+  return this.create({
+    book: (after || before)._id,
+    action,
+    actor,
+    source,
+    changes,
+    rolledBackTo
+  });
+};
+
+/**
+ * Change history of a book, newest first
+ * @param {ObjectId} bookId - Book ID
+ * @returns {Query} Audit entries
+ */
+auditEntrySchema.statics.findHistory = function(bookId) {
+  return this.find({ book: bookId }).sort({ _id: -1 });
+};
+
+/**
+ * Field values that return a book to how it was right after an entry
+ * Every later change is undone, so each field goes back to its value
+ * before the first change made to it after that entry
+ * @param {AuditEntry} entry - Version to return to
+ * @returns {Promise<Object>} Field values to set (only fields changed since)
+ */
+auditEntrySchema.statics.valuesAt = async function(entry) {
+  const later = await this.find({ book: entry.book, _id: { $gt: entry._id } }).sort({ _id: 1 });
+  const values = {};
+
+  later.forEach(laterEntry => {
+    laterEntry.changes.forEach(change => {
+      if (ROLLBACK_FIELDS.includes(change.field) && !(change.field in values)) {
+        values[change.field] = change.from;
+      }
+    });
+  });
+  return values;
+};
+
+auditEntrySchema.statics.AUDITED_FIELDS = AUDITED_FIELDS;
+auditEntrySchema.statics.ROLLBACK_FIELDS = ROLLBACK_FIELDS;
+
+const AuditEntry = mongoose.model('AuditEntry', auditEntrySchema);
+
+module.exports = AuditEntry;
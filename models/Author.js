@@ -0,0 +1,96 @@
+/**
+ * Author Model
+ * Mongoose schema for authors and their biographies
+ */
+
+const mongoose = require('mongoose');
+
+// Escape a string for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const authorSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Author name is required'],
+      trim: true,
+      maxlength: [100, 'Author name cannot exceed 100 characters']
+    },
+    nameVariants: [{
+      type: String,
+      trim: true
+    }],
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Bio cannot exceed 2000 characters']
+    },
+    photoUrl: {
+      type: String,
+      trim: true
+    },
+    birthYear: {
+      type: Number,
+      max: [new Date().getFullYear(), 'Birth year cannot be in the future']
+    },
+    deathYear: {
+      type: Number,
+      max: [new Date().getFullYear(), 'Death year cannot be in the future'],
+      validate: {
+        validator: function(value) {
+          return !value || !this.birthYear || value >= this.birthYear;
+        },
+        message: 'Death year cannot be before birth year'
+      }
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better query performance
+authorSchema.index({ name: 1 });
+authorSchema.index({ nameVariants: 1 });
+
+// Virtual for a display string such as "1903–1950"
+authorSchema.virtual('lifespan').get(function() {
+  if (!this.birthYear && !this.deathYear) return '';
+  return `${this.birthYear || '?'}–${this.deathYear || ''}`;
+});
+
+// Instance method listing every name this author is known by
+authorSchema.methods.allNames = function() {
+  return [this.name, ...(this.nameVariants || [])].filter(Boolean);
+};
+
+/**
+ * Link books whose free-text author matches one of this author's names
+ * @returns {Promise<number>} Number of books linked
+ */
+authorSchema.methods.linkBooks = async function() {
+  const patterns = this.allNames().map(name => new RegExp(`^${escapeRegex(name)}$`, 'i'));
+  const result = await mongoose.model('Book').updateMany(
+    { author: { $in: patterns } },
+    { authorId: this._id }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Find the author known by a name or one of its variants (case-insensitive)
+ * @param {string} name - Name as typed on a book
+ * @returns {Promise<Author|null>} Matching author
+ */
+authorSchema.statics.findByName = function(name) {
+  if (!name || !name.trim()) return Promise.resolve(null);
+
+  const pattern = new RegExp(`^${escapeRegex(name.trim())}$`, 'i');
+  return this.findOne({ $or: [{ name: pattern }, { nameVariants: pattern }] });
+};
+
+const Author = mongoose.model('Author', authorSchema);
+
+module.exports = Author;
@@ -4,6 +4,12 @@
  */
 
 const mongoose = require('mongoose');
+const Author = require('./Author');
+const Work = require('./Work');
+const Subject = require('./Subject');
+const { normalizeIsbn, isValidIsbn13 } = require('../utils/isbn');
+const { coverUrls } = require('../utils/covers');
+const { markStale } = require('../utils/suggestIndex');
 
 const bookSchema = new mongoose.Schema(
   {
@@ -19,11 +25,37 @@ const bookSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, 'Author name cannot exceed 100 characters']
     },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Author',
+      index: true
+    },
     description: {
       type: String,
       trim: true,
       maxlength: [1000, 'Description cannot exceed 1000 characters']
     },
+    // The work this book is an edition of
+    work: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Work',
+      index: true
+    },
+    publisher: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Publisher cannot exceed 100 characters']
+    },
+    format: {
+      type: String,
+      enum: ['Hardcover', 'Paperback', 'eBook', 'Audiobook', 'Large Print', 'Other'],
+      default: 'Paperback'
+    },
+    // Terms from the controlled vocabulary (see Subject); genre and category follow the first one
+    subjects: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject'
+    }],
     genre: {
       type: String,
       trim: true,
@@ -38,13 +70,20 @@ const bookSchema = new mongoose.Schema(
       type: String,
       trim: true,
       unique: true,
-      sparse: true // Allows multiple null values
+      sparse: true, // Allows multiple null values
+      // Store every ISBN as a bare ISBN-13 so notations cannot duplicate a book
+      set: value => (value ? normalizeIsbn(value) || String(value).trim() : undefined),
+      validate: {
+        validator: value => !value || isValidIsbn13(value),
+        message: props => `${props.value} is not a valid ISBN-10 or ISBN-13`
+      }
     },
+    // External cover image; an uploaded cover (coverImage) takes precedence
     coverUrl: {
       type: String,
-      trim: true,
-      default: 'https://images.unsplash.com/photo-1544947950-fa07a98d237f?w=300&h=400&fit=crop&auto=format'
+      trim: true
     },
+    // Key of an uploaded cover stored on disk (see utils/covers)
     coverImage: {
       type: String,
       trim: true
@@ -74,32 +113,15 @@ const bookSchema = new mongoose.Schema(
       enum: ['Available', 'Borrowed', 'Reserved', 'Checked Out'],
       default: 'Available'
     },
-    borrowedBy: {
-      userId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-      },
-      name: String,
-      email: String
-    },
-    borrowedAt: {
-      type: Date
-    },
-    dueDate: {
-      type: Date
-    },
-    borrowDate: {
-      type: Date
-    },
-    renewalCount: {
+    totalCopies: {
       type: Number,
       default: 0,
-      min: [0, 'Renewal count cannot be negative']
+      min: [0, 'Total copies cannot be negative']
     },
-    maxRenewals: {
+    availableCopies: {
       type: Number,
-      default: 2,
-      min: [0, 'Max renewals cannot be negative']
+      default: 0,
+      min: [0, 'Available copies cannot be negative']
     },
     tags: [{
       type: String,
@@ -108,6 +130,11 @@ const bookSchema = new mongoose.Schema(
     isNewRelease: {
       type: Boolean,
       default: false
+    },
+    // Set when the book is moved to the Trash; trashed books are purged after the retention period
+    deletedAt: {
+      type: Date,
+      default: null
     }
   },
   {
@@ -120,63 +147,156 @@ const bookSchema = new mongoose.Schema(
 // Indexes for better query performance
 bookSchema.index({ title: 'text', author: 'text', description: 'text' });
 bookSchema.index({ genre: 1, category: 1 });
+bookSchema.index({ subjects: 1 });
 bookSchema.index({ available: 1, status: 1 });
+bookSchema.index({ deletedAt: 1 });
 // Note: isbn index is created automatically via 'unique: true' in schema definition
 
-// Virtual for checking if book is overdue
-bookSchema.virtual('isOverdue').get(function() {
-  if (!this.dueDate || this.available) return false;
-  return new Date() > this.dueDate;
+// Virtual for the physical copies of this book
+bookSchema.virtual('copies', {
+  ref: 'Copy',
+  localField: '_id',
+  foreignField: 'book'
 });
 
-// Instance method to borrow a book
-bookSchema.methods.borrowBook = function(userId, userName, userEmail, weeks = 3) {
-  this.available = false;
-  this.status = 'Borrowed';
-  this.borrowedBy = {
-    userId,
-    name: userName,
-    email: userEmail
-  };
-  this.borrowedAt = new Date();
-  this.borrowDate = new Date();
-  
-  const dueDate = new Date();
-  dueDate.setDate(dueDate.getDate() + (weeks * 7));
-  this.dueDate = dueDate;
-  
-  return this.save();
-};
+// Virtual for the cover URLs in each size (uploaded, external or a generated placeholder)
+bookSchema.virtual('covers').get(function() {
+  return coverUrls(this);
+});
 
-// Instance method to return a book
-bookSchema.methods.returnBook = function() {
-  this.available = true;
-  this.status = 'Available';
-  this.borrowedBy = {};
-  this.borrowedAt = null;
-  this.borrowDate = null;
-  this.dueDate = null;
-  this.renewalCount = 0;
-  
-  return this.save();
-};
+// New books join the work with the same title and author (or start a new one)
+bookSchema.pre('save', async function() {
+  if (this.isNew && !this.work) {
+    const work = await Work.findOrCreateFor(this);
+    this.work = work._id;
+  }
+});
+
+// Keep the free-text genre and category in step with the chosen subjects
+bookSchema.pre('save', async function() {
+  if (this.isModified('subjects')) {
+    const labels = await Subject.labelsFor(this.subjects);
+    if (labels) {
+      this.genre = labels.genre;
+      this.category = labels.category;
+    }
+  }
+});
+
+// Link the book to an Author profile whenever the author name is set
+bookSchema.pre('save', async function() {
+  if (this.isModified('author') && !this.isModified('authorId')) {
+    const author = await Author.findByName(this.author);
+    this.authorId = author ? author._id : undefined;
+  }
+});
+
+// Trashed books are left out of every query and aggregation unless it filters on
+// deletedAt itself, e.g. { deletedAt: { $ne: null } } for the Trash
+bookSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], function() {
+  if ('deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+});
+
+bookSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (first && first.$match) {
+    // Added to the first $match rather than before it: a $text search has to stay in the first stage
+    if (!('deletedAt' in first.$match)) {
+      this.pipeline()[0] = { $match: { ...first.$match, deletedAt: null } };
+    }
+    return;
+  }
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+// Counters kept in step by copies and reviews, and the link to the author profile kept in step
+// by author edits; writing them is not an edit of the book
+const SYSTEM_FIELDS = ['totalCopies', 'availableCopies', 'available', 'status', 'rating', 'totalReviews', 'authorId'];
+
+// Written on every update by Mongoose itself (the timestamps are added before the hooks below run)
+const BOOKKEEPING_FIELDS = ['__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Whether an update changes anything an editor can change
+ * @param {Object} update - Update document (plain fields and/or $set, $unset, ...)
+ * @returns {boolean} True if a field other than the counters is written
+ */
+const editsBook = (update) => Object.entries(update)
+  .flatMap(([key, value]) => (key.startsWith('$') ? Object.keys(value || {}) : [key]))
+  .map(path => path.split('.')[0])
+  .some(field => !BOOKKEEPING_FIELDS.includes(field) && !SYSTEM_FIELDS.includes(field));
+
+// Every edit bumps the version (__v), so a stale copy of the book can be detected
+// (the API sends it as the ETag and the admin edit form as a hidden field).
+// Borrowing, returning, reviews and relinking authors leave the version alone
+bookSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+  const update = this.getUpdate() || {};
+  if (update.$inc && update.$inc.__v !== undefined) return;
+  if (!editsBook(update)) return;
+  this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } });
+});
 
-// Instance method to renew a book
-bookSchema.methods.renewBook = function(weeks = 2) {
-  if (this.renewalCount >= this.maxRenewals) {
-    throw new Error('Maximum renewal limit reached');
+bookSchema.pre('save', function() {
+  if (!this.isNew && this.modifiedPaths().some(path => !BOOKKEEPING_FIELDS.includes(path) && !SYSTEM_FIELDS.includes(path))) {
+    this.increment();
   }
-  
-  if (!this.dueDate) {
-    throw new Error('Cannot renew a book that is not borrowed');
+});
+
+bookSchema.pre(['findOneAndUpdate', 'updateOne'], async function() {
+  const update = this.getUpdate() || {};
+  const authorName = update.author ?? (update.$set && update.$set.author);
+  if (authorName === undefined || update.authorId !== undefined) return;
+
+  const author = await Author.findByName(authorName);
+  this.set('authorId', author ? author._id : null);
+});
+
+/**
+ * Group books that have no work yet into works by title and author
+ * Used after bulk inserts, which skip the save hook
+ * @returns {Promise<number>} Number of books linked
+ */
+bookSchema.statics.assignWorks = async function() {
+  const books = await this.find({ work: null }).select('title author description publishedYear');
+
+  for (const book of books) {
+    const work = await Work.findOrCreateFor(book);
+    await this.updateOne({ _id: book._id }, { work: work._id });
   }
-  
-  const newDueDate = new Date(this.dueDate);
-  newDueDate.setDate(newDueDate.getDate() + (weeks * 7));
-  this.dueDate = newDueDate;
-  this.renewalCount += 1;
-  
-  return this.save();
+
+  return books.length;
+};
+
+// Any change to the catalog makes the search suggestions out of date
+bookSchema.post(['save', 'insertMany', 'findOneAndUpdate', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function() {
+  markStale();
+});
+
+/**
+ * Entity tag for the current version of the book
+ * @returns {string} Quoted ETag, e.g. "665f1c...-4"
+ */
+bookSchema.methods.etag = function() {
+  return `"${this._id}-${this.__v || 0}"`;
+};
+
+/**
+ * Whether an If-Match header names the current version of the book
+ * @param {string} header - If-Match value ("*", or one or more ETags)
+ * @returns {boolean} True if the book may be written
+ */
+bookSchema.methods.matchesEtag = function(header) {
+  if (header.trim() === '*') return true;
+  return header.split(',').map(tag => tag.trim()).includes(this.etag());
+};
+
+/**
+ * Books in the Trash, most recently deleted first
+ * @returns {Query} Trashed books
+ */
+bookSchema.statics.findTrashed = function() {
+  return this.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
 };
 
 // Static method to find available books
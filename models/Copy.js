@@ -0,0 +1,364 @@
+/**
+ * Copy Model
+ * Mongoose schema for physical copies (items) of a book
+ */
+
+const mongoose = require('mongoose');
+const Hold = require('./Hold');
+const { TRANSITIONS, CirculationError } = require('../utils/circulation');
+
+const copySchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: [true, 'Copy must belong to a book'],
+      index: true
+    },
+    barcode: {
+      type: String,
+      trim: true,
+      unique: true,
+      required: [true, 'Barcode is required'],
+      maxlength: [50, 'Barcode cannot exceed 50 characters']
+    },
+    shelfLocation: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Shelf location cannot exceed 100 characters']
+    },
+    condition: {
+      type: String,
+      enum: ['New', 'Good', 'Fair', 'Poor', 'Damaged'],
+      default: 'Good'
+    },
+    acquisitionDate: {
+      type: Date,
+      default: Date.now
+    },
+    available: {
+      type: Boolean,
+      default: true
+    },
+    status: {
+      type: String,
+      enum: ['Available', 'Borrowed', 'Reserved'],
+      default: 'Available'
+    },
+    reservedFor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hold'
+    },
+    borrowedBy: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: String,
+      email: String
+    },
+    borrowedAt: {
+      type: Date
+    },
+    dueDate: {
+      type: Date
+    },
+    renewalCount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Renewal count cannot be negative']
+    },
+    maxRenewals: {
+      type: Number,
+      default: 2,
+      min: [0, 'Max renewals cannot be negative']
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better query performance
+copySchema.index({ book: 1, available: 1 });
+copySchema.index({ 'borrowedBy.userId': 1 });
+
+// Virtual for checking if this copy is overdue
+copySchema.virtual('isOverdue').get(function() {
+  if (!this.dueDate || this.available) return false;
+  return new Date() > this.dueDate;
+});
+
+/**
+ * Check whether a patron may borrow this copy
+ * Reserved copies can only be borrowed by the patron whose hold is ready
+ * @param {ObjectId|string} userId - Patron user ID
+ * @returns {Promise<boolean>} True if the patron can borrow it
+ */
+copySchema.methods.canBeBorrowedBy = async function(userId) {
+  if (this.available && this.status === 'Available') return true;
+  if (this.status !== 'Reserved' || !this.reservedFor) return false;
+
+  const hold = await Hold.findById(this.reservedFor);
+  return Boolean(hold && hold.status === 'Ready' && String(hold.patron.userId) === String(userId));
+};
+
+/**
+ * Changes that lend a copy to a patron
+ * @returns {Object} Update for a Borrowed copy
+ */
+const borrowUpdate = (userId, userName, userEmail, weeks = 3) => {
+  const dueDate = new Date();
+  dueDate.setDate(dueDate.getDate() + (weeks * 7));
+
+  return {
+    $set: {
+      available: false,
+      status: 'Borrowed',
+      reservedFor: null,
+      borrowedBy: { userId, name: userName, email: userEmail },
+      borrowedAt: new Date(),
+      dueDate,
+      renewalCount: 0
+    }
+  };
+};
+
+/**
+ * Move a copy to its next circulation state in a single conditional update,
+ * so two requests racing for the same copy cannot both succeed
+ * @param {Copy} copy - Copy as it was read
+ * @param {string} action - borrow, renew, return or reserve
+ * @param {Object} match - State the copy must still be in (narrows TRANSITIONS[action])
+ * @param {Object} update - Changes to apply
+ * @returns {Promise<Copy>} Updated copy
+ * @throws {CirculationError} If the copy has left that state in the meantime
+ */
+copySchema.statics.transition = async function(copy, action, match, update) {
+  const updated = await this.findOneAndUpdate(
+    { _id: copy._id, status: { $in: TRANSITIONS[action] }, ...match },
+    update,
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw await this.transitionError(copy._id, action);
+  }
+  return updated;
+};
+
+/**
+ * Explain why a transition did not apply, from the copy's current state
+ * @param {ObjectId} copyId - Copy ID
+ * @param {string} action - borrow, renew, return or reserve
+ * @returns {Promise<CirculationError>} Error to throw
+ */
+copySchema.statics.transitionError = async function(copyId, action) {
+  const copy = await this.findById(copyId);
+
+  if (!copy) {
+    return new CirculationError('COPY_REMOVED', 'This copy has been removed');
+  }
+  if (action === 'borrow' && copy.status === 'Borrowed') {
+    return new CirculationError('COPY_ALREADY_BORROWED', 'This copy is already on loan');
+  }
+  if (action === 'borrow' && copy.status === 'Reserved') {
+    return new CirculationError('COPY_RESERVED', 'This copy is reserved for another patron');
+  }
+  if ((action === 'return' || action === 'renew') && copy.status !== 'Borrowed') {
+    return new CirculationError('COPY_NOT_BORROWED', 'This copy is not currently borrowed');
+  }
+  if (action === 'renew' && copy.renewalCount >= copy.maxRenewals) {
+    return new CirculationError('RENEWAL_LIMIT_REACHED', 'Maximum renewal limit reached');
+  }
+  return new CirculationError('COPY_STATE_CHANGED', 'This copy was updated by another request. Please try again');
+};
+
+/**
+ * Borrow this copy
+ * Available copies can be borrowed by anyone; a Reserved copy only by the patron whose hold is ready,
+ * which collects the hold
+ * @returns {Promise<Copy>} The copy as borrowed
+ * @throws {CirculationError} If the copy cannot be borrowed (any more)
+ */
+copySchema.methods.borrowCopy = async function(userId, userName, userEmail, weeks = 3) {
+  if (!TRANSITIONS.borrow.includes(this.status) || !(await this.canBeBorrowedBy(userId))) {
+    throw await this.constructor.transitionError(this._id, 'borrow');
+  }
+
+  // Still available, or still reserved for the same hold
+  const match = this.status === 'Reserved'
+    ? { status: 'Reserved', reservedFor: this.reservedFor }
+    : { status: 'Available' };
+  const copy = await this.constructor.transition(this, 'borrow', match, borrowUpdate(userId, userName, userEmail, weeks));
+
+  if (this.reservedFor) {
+    await Hold.updateOne(
+      { _id: this.reservedFor },
+      { status: 'Fulfilled' }
+    );
+  }
+
+  await this.constructor.syncBook(copy.book);
+  return copy;
+};
+
+/**
+ * Borrow whichever available copy of a book was acquired first
+ * Picking and lending the copy is one update, so simultaneous requests get different copies
+ * @param {ObjectId|string} bookId - Book ID
+ * @returns {Promise<Copy|null>} The copy borrowed, or null if none is available
+ */
+copySchema.statics.borrowFirstAvailable = async function(bookId, userId, userName, userEmail, weeks = 3) {
+  const copy = await this.findOneAndUpdate(
+    { book: bookId, available: true, status: 'Available' },
+    borrowUpdate(userId, userName, userEmail, weeks),
+    { new: true, sort: { acquisitionDate: 1 }, runValidators: true }
+  );
+
+  if (copy) {
+    await this.syncBook(bookId);
+  }
+  return copy;
+};
+
+/**
+ * Return this copy
+ * The copy goes to the next patron in the hold queue, if there is one
+ * @returns {Promise<{copy: Copy, hold: Hold|null}>} The copy as returned, and the hold it now waits for
+ * @throws {CirculationError} If the loan was already returned
+ */
+copySchema.methods.returnCopy = async function() {
+  // Only the loan that was read can be returned, not one made after it
+  const { copy, hold } = await Hold.reserveNext(this, {
+    action: 'return',
+    match: { status: 'Borrowed', borrowedAt: this.borrowedAt || null },
+    update: {
+      $set: { borrowedAt: null, dueDate: null, renewalCount: 0 },
+      $unset: { borrowedBy: 1 }
+    }
+  });
+
+  await this.constructor.syncBook(copy.book);
+  return { copy, hold };
+};
+
+/**
+ * Renew this copy
+ * @param {number} weeks - Weeks added to the due date
+ * @returns {Promise<Copy>} The copy with its new due date
+ * @throws {CirculationError} If the copy is not on loan or has no renewals left
+ */
+copySchema.methods.renewCopy = async function(weeks = 2) {
+  if (this.status !== 'Borrowed' || !this.dueDate) {
+    throw await this.constructor.transitionError(this._id, 'renew');
+  }
+
+  if (this.renewalCount >= this.maxRenewals) {
+    throw new CirculationError('RENEWAL_LIMIT_REACHED', 'Maximum renewal limit reached');
+  }
+
+  const newDueDate = new Date(this.dueDate);
+  newDueDate.setDate(newDueDate.getDate() + (weeks * 7));
+
+  // Applies only if nobody renewed or returned the copy since it was read
+  return this.constructor.transition(
+    this,
+    'renew',
+    { dueDate: this.dueDate, renewalCount: this.renewalCount },
+    { $set: { dueDate: newDueDate }, $inc: { renewalCount: 1 } }
+  );
+};
+
+/**
+ * Generate a barcode for a new copy when none is supplied
+ * @returns {string} Barcode such as "BIB-LX2K9Q-4F7A2C"
+ */
+copySchema.statics.generateBarcode = function() {
+  const stamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).slice(2, 8).toUpperCase().padEnd(6, '0');
+  return `BIB-${stamp}-${random}`;
+};
+
+/**
+ * Recount a book's copies and store the totals on the Book document
+ * Keeps Book.available/status usable as filters on GET /api/books
+ * @param {ObjectId|string} bookId - Book to refresh
+ */
+copySchema.statics.syncBook = async function(bookId) {
+  const id = new mongoose.Types.ObjectId(String(bookId));
+  const [counts] = await this.aggregate([
+    { $match: { book: id } },
+    {
+      $group: {
+        _id: '$book',
+        total: { $sum: 1 },
+        available: { $sum: { $cond: ['$available', 1, 0] } },
+        reserved: { $sum: { $cond: [{ $eq: ['$status', 'Reserved'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const totalCopies = counts ? counts.total : 0;
+  const availableCopies = counts ? counts.available : 0;
+  const reservedCopies = counts ? counts.reserved : 0;
+
+  let status = 'Borrowed';
+  if (availableCopies > 0) {
+    status = 'Available';
+  } else if (reservedCopies > 0) {
+    status = 'Reserved';
+  }
+
+  await mongoose.model('Book').updateOne(
+    { _id: id },
+    {
+      totalCopies,
+      availableCopies,
+      available: availableCopies > 0,
+      status
+    }
+  );
+};
+
+/**
+ * Create one or more copies of a book and refresh its totals
+ * @param {ObjectId|string} bookId - Book the copies belong to
+ * @param {number} count - Number of copies to create
+ * @param {Object} details - Shared fields (shelfLocation, condition, ...)
+ * @returns {Promise<Copy[]>} Created copies
+ */
+copySchema.statics.createForBook = async function(bookId, count = 1, details = {}) {
+  const copies = [];
+  for (let i = 0; i < count; i++) {
+    copies.push({
+      ...details,
+      book: bookId,
+      barcode: count === 1 && details.barcode ? details.barcode : this.generateBarcode()
+    });
+  }
+
+  const created = await this.insertMany(copies);
+
+  // New copies go to patrons already waiting in the hold queue (for this book or its work)
+  const queue = await Hold.fillableBy(bookId);
+  for (const copy of created) {
+    if (!(await Hold.exists({ ...queue, status: 'Waiting' }))) break;
+    await Hold.reserveNext(copy, { match: { status: 'Available' } });
+  }
+
+  await this.syncBook(bookId);
+  return created;
+};
+
+// Static method to find available copies of a book
+copySchema.statics.findAvailableForBook = function(bookId) {
+  return this.find({ book: bookId, available: true, status: 'Available' })
+    .sort({ acquisitionDate: 1 });
+};
+
+const Copy = mongoose.model('Copy', copySchema);
+
+module.exports = Copy;
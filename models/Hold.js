@@ -0,0 +1,289 @@
+/**
+ * Hold Model
+ * Mongoose schema for the FIFO reservation queue on a book
+ * A hold can also be placed on a work, to be filled by any of its editions
+ */
+
+const mongoose = require('mongoose');
+const { CirculationError } = require('../utils/circulation');
+
+// Days a patron has to collect a copy once their hold is ready
+const PICKUP_DAYS = parseInt(process.env.HOLD_PICKUP_DAYS) || 3;
+
+const holdSchema = new mongoose.Schema(
+  {
+    // For work holds this is empty until an edition's copy is set aside
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: [function() { return !this.work; }, 'Hold must be placed on a book or a work']
+    },
+    work: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Work'
+    },
+    patron: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Patron userId is required']
+      },
+      name: String,
+      email: String
+    },
+    status: {
+      type: String,
+      enum: ['Waiting', 'Ready', 'Fulfilled', 'Cancelled', 'Expired'],
+      default: 'Waiting'
+    },
+    copy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Copy'
+    },
+    readyAt: {
+      type: Date
+    },
+    pickupDeadline: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true // createdAt doubles as the queue order
+  }
+);
+
+// Indexes for better query performance
+holdSchema.index({ book: 1, status: 1, createdAt: 1 });
+holdSchema.index({ work: 1, status: 1, createdAt: 1 });
+holdSchema.index({ 'patron.userId': 1, status: 1 });
+
+// Virtual for checking if this hold is still in the queue or awaiting pickup
+holdSchema.virtual('isActive').get(function() {
+  return this.status === 'Waiting' || this.status === 'Ready';
+});
+
+/**
+ * Position of this hold in its book's queue (1 = next in line)
+ * @returns {Promise<number>} Queue position, or 0 once the hold is ready
+ */
+holdSchema.methods.queuePosition = async function() {
+  if (this.status !== 'Waiting') return 0;
+
+  let queue;
+  if (this.book) {
+    queue = await this.constructor.fillableBy(this.book);
+  } else {
+    // A work hold competes with holds on the work and on each of its editions
+    const editions = await mongoose.model('Book').find({ work: this.work }).distinct('_id');
+    queue = { $or: [{ work: this.work }, { book: { $in: editions } }] };
+  }
+
+  const ahead = await this.constructor.countDocuments({
+    ...queue,
+    status: 'Waiting',
+    createdAt: { $lt: this.createdAt }
+  });
+  return ahead + 1;
+};
+
+/**
+ * Cancel this hold; a ready hold passes its copy on to the next patron
+ * @returns {Promise<Hold>} The cancelled hold
+ * @throws {CirculationError} If the hold was collected, cancelled or expired in the meantime
+ */
+holdSchema.methods.cancel = async function() {
+  const hold = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['Waiting', 'Ready'] } },
+    { status: 'Cancelled' },
+    { new: true }
+  );
+
+  if (!hold) {
+    throw new CirculationError('HOLD_NOT_ACTIVE', 'This hold has already been collected, cancelled or expired');
+  }
+
+  await this.constructor.releaseCopy(hold);
+  return hold;
+};
+
+/**
+ * Query for the holds a copy of a book can fill: holds on that book and on its work
+ * @param {ObjectId|string} bookId - Book (edition) ID
+ * @returns {Promise<Object>} Query to combine with a status filter
+ */
+holdSchema.statics.fillableBy = async function(bookId) {
+  const book = await mongoose.model('Book').findById(bookId).select('work');
+  if (!book || !book.work) {
+    return { book: bookId };
+  }
+  return { $or: [{ book: bookId }, { work: book.work }] };
+};
+
+/**
+ * Find the active hold a patron has on a book
+ * @param {ObjectId|string} bookId - Book ID
+ * @param {ObjectId|string} userId - Patron user ID
+ */
+holdSchema.statics.findActive = function(bookId, userId) {
+  return this.findOne({
+    book: bookId,
+    'patron.userId': userId,
+    status: { $in: ['Waiting', 'Ready'] }
+  });
+};
+
+/**
+ * Find the active hold a patron has on a work
+ * @param {ObjectId|string} workId - Work ID
+ * @param {ObjectId|string} userId - Patron user ID
+ */
+holdSchema.statics.findActiveForWork = function(workId, userId) {
+  return this.findOne({
+    work: workId,
+    'patron.userId': userId,
+    status: { $in: ['Waiting', 'Ready'] }
+  });
+};
+
+/**
+ * Hand a copy that just became free to the next patron in the queue
+ * Moves the copy to Reserved (or Available when nobody is waiting) with a conditional update,
+ * then marks the hold ready; a hold cancelled in between passes the copy on to the next one
+ * @param {Copy} copy - Copy that was returned or released
+ * @param {Object} [options]
+ * @param {string} [options.action] - Circulation action, return or reserve (default)
+ * @param {Object} [options.match] - State the copy must still be in, e.g. { status: 'Borrowed' }
+ * @param {Object} [options.update] - Other changes to make to the copy, e.g. clearing the borrower
+ * @returns {Promise<{copy: Copy, hold: Hold|null}>} The updated copy, and the hold now ready for pickup
+ * @throws {CirculationError} If the copy is no longer in the expected state
+ */
+holdSchema.statics.reserveNext = async function(copy, { action = 'reserve', match = {}, update = {} } = {}) {
+  const Copy = mongoose.model('Copy');
+  const queue = await this.fillableBy(copy.book);
+  let expected = match;
+
+  for (;;) {
+    const hold = await this.findOne({ ...queue, status: 'Waiting' })
+      .sort({ createdAt: 1 });
+
+    const state = hold
+      ? { available: false, status: 'Reserved', reservedFor: hold._id }
+      : { available: true, status: 'Available', reservedFor: null };
+    const updated = await Copy.transition(copy, action, expected, {
+      ...update,
+      $set: { ...update.$set, ...state }
+    });
+
+    if (!hold) {
+      return { copy: updated, hold: null };
+    }
+
+    const pickupDeadline = new Date();
+    pickupDeadline.setDate(pickupDeadline.getDate() + PICKUP_DAYS);
+
+    // A work hold is filled by whichever edition came back
+    const ready = await this.findOneAndUpdate(
+      { _id: hold._id, status: 'Waiting' },
+      { status: 'Ready', book: copy.book, copy: copy._id, readyAt: new Date(), pickupDeadline },
+      { new: true }
+    );
+
+    if (ready) {
+      return { copy: updated, hold: ready };
+    }
+
+    // The hold was cancelled or filled by another copy in the meantime: offer the copy to the next patron
+    action = 'reserve';
+    expected = { status: 'Reserved', reservedFor: hold._id };
+    update = {};
+  }
+};
+
+/**
+ * Release the copy held by a ready hold, e.g. when it is cancelled
+ * @param {Hold} hold - Hold whose copy should move on
+ */
+holdSchema.statics.releaseCopy = async function(hold) {
+  if (!hold.copy) return;
+
+  const Copy = mongoose.model('Copy');
+  const copy = await Copy.findById(hold.copy);
+  if (!copy || String(copy.reservedFor) !== String(hold._id)) return;
+
+  try {
+    await this.reserveNext(copy, { match: { status: 'Reserved', reservedFor: hold._id } });
+  } catch (error) {
+    // The patron borrowed the copy, or it moved on, while the hold was being released
+    if (error.name !== 'CirculationError') throw error;
+  }
+  await Copy.syncBook(copy.book);
+};
+
+/**
+ * Cancel every active hold on a book, e.g. when it is moved to the Trash
+ * Waiting holds are cancelled first, so the copies set aside for ready holds
+ * (including work holds filled by this edition) go back on the shelf
+ * @param {ObjectId|string} bookId - Book ID
+ * @returns {Promise<number>} Number of holds cancelled
+ */
+holdSchema.statics.cancelForBook = async function(bookId) {
+  const copyIds = await mongoose.model('Copy').distinct('_id', { book: bookId });
+
+  const waiting = await this.updateMany(
+    { book: bookId, status: 'Waiting' },
+    { status: 'Cancelled' }
+  );
+
+  const ready = await this.find({
+    status: 'Ready',
+    $or: [{ book: bookId }, { copy: { $in: copyIds } }]
+  });
+  let cancelled = waiting.modifiedCount;
+  for (const hold of ready) {
+    try {
+      await hold.cancel();
+      cancelled += 1;
+    } catch (error) {
+      // Collected or cancelled since it was read
+      if (error.name !== 'CirculationError') throw error;
+    }
+  }
+
+  return cancelled;
+};
+
+/**
+ * Expire ready holds whose pickup deadline has passed
+ * Their copies move on to the next patron in the queue
+ * @param {ObjectId|string|Array} bookId - Limit to one book, or a list of books (optional)
+ * @returns {Promise<number>} Number of holds expired
+ */
+holdSchema.statics.expireStale = async function(bookId) {
+  const query = { status: 'Ready', pickupDeadline: { $lt: new Date() } };
+  if (Array.isArray(bookId)) {
+    query.book = { $in: bookId };
+  } else if (bookId) {
+    query.book = bookId;
+  }
+
+  const stale = await this.find(query);
+  let expired = 0;
+  for (const hold of stale) {
+    // Skip holds collected or cancelled since they were read
+    const updated = await this.findOneAndUpdate(
+      { _id: hold._id, status: 'Ready' },
+      { status: 'Expired' },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    await this.releaseCopy(updated);
+    expired += 1;
+  }
+
+  return expired;
+};
+
+const Hold = mongoose.model('Hold', holdSchema);
+
+module.exports = Hold;
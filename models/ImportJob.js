@@ -0,0 +1,152 @@
+/**
+ * ImportJob Model
+ * Mongoose schema for a bulk CSV import: the uploaded rows, the column
+ * mapping, the dry-run report and the progress of the import itself
+ */
+
+const mongoose = require('mongoose');
+const { BOOK_FIELDS } = require('../utils/bookData');
+
+// Header spellings recognised for each Book field (compared lower-case, without spaces or punctuation)
+const HEADER_ALIASES = {
+  title: ['title', 'booktitle', 'name'],
+  author: ['author', 'authors', 'writer', 'by'],
+  description: ['description', 'summary', 'synopsis'],
+  genre: ['genre'],
+  category: ['category', 'section'],
+  isbn: ['isbn', 'isbn13', 'isbn10', 'ean'],
+  publishedYear: ['publishedyear', 'year', 'publicationyear', 'published', 'pubyear'],
+  publisher: ['publisher', 'imprint'],
+  format: ['format', 'binding', 'edition'],
+  coverUrl: ['coverurl', 'cover', 'coverimage', 'image'],
+  copies: ['copies', 'numberofcopies', 'quantity', 'qty'],
+  shelfLocation: ['shelflocation', 'shelf', 'location', 'callnumber'],
+  tags: ['tags', 'keywords', 'subjects']
+};
+
+const importJobSchema = new mongoose.Schema(
+  {
+    filename: {
+      type: String,
+      trim: true
+    },
+    headers: [{
+      type: String
+    }],
+    rows: {
+      type: [[String]],
+      default: []
+    },
+    // Book field -> column index in each row
+    mapping: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    status: {
+      type: String,
+      enum: ['Preview', 'Running', 'Completed', 'Failed'],
+      default: 'Preview'
+    },
+    report: {
+      creates: { type: Number, default: 0 },
+      updates: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      rows: [{
+        _id: false,
+        line: Number,
+        action: {
+          type: String,
+          enum: ['create', 'update', 'error']
+        },
+        title: String,
+        isbn: String,
+        messages: [String]
+      }]
+    },
+    progress: {
+      processed: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 }
+    },
+    // Why the import stopped, when its status is Failed
+    failureReason: {
+      type: String,
+      trim: true
+    },
+    rowErrors: [{
+      _id: false,
+      line: Number,
+      message: String
+    }],
+    // Who started the import; its changes are recorded in book history under this name
+    startedBy: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: {
+        type: String,
+        trim: true
+      }
+    },
+    startedAt: {
+      type: Date
+    },
+    finishedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true // Adds createdAt and updatedAt
+  }
+);
+
+importJobSchema.index({ createdAt: -1 });
+
+/**
+ * Guess the column mapping from the CSV header row
+ * @param {string[]} headers - Header cells
+ * @returns {Object} Book field -> column index
+ */
+importJobSchema.statics.autoMap = function(headers) {
+  const mapping = {};
+  const keys = headers.map(h => String(h).toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+  BOOK_FIELDS.forEach(field => {
+    const index = keys.findIndex(key => HEADER_ALIASES[field].includes(key));
+    if (index !== -1) {
+      mapping[field] = index;
+    }
+  });
+  return mapping;
+};
+
+/**
+ * Read one row as Book input using the current mapping
+ * @param {number} index - Row index (0 = first row after the header)
+ * @returns {Object} Field values keyed by Book field
+ */
+importJobSchema.methods.rowInput = function(index) {
+  const row = this.rows[index] || [];
+  const input = {};
+
+  this.mapping.forEach((column, field) => {
+    input[field] = row[column];
+  });
+  return input;
+};
+
+/**
+ * CSV line number of a row, counting the header as line 1
+ * @param {number} index - Row index
+ * @returns {number} Line number
+ */
+importJobSchema.methods.lineNumber = function(index) {
+  return index + 2;
+};
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = ImportJob;
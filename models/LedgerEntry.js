@@ -0,0 +1,75 @@
+/**
+ * LedgerEntry Model
+ * Mongoose schema for the charges and payments on a patron's account
+ */
+
+const mongoose = require('mongoose');
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    patron: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Patron userId is required']
+      },
+      name: String,
+      email: String
+    },
+    type: {
+      type: String,
+      enum: ['Fine', 'Payment', 'Waiver'],
+      required: [true, 'Entry type is required']
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be greater than 0']
+    },
+    loan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Loan'
+    },
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book'
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: true // Adds createdAt and updatedAt
+  }
+);
+
+// Indexes for better query performance
+ledgerEntrySchema.index({ 'patron.userId': 1, createdAt: -1 });
+
+/**
+ * Unpaid balance for a patron: fines minus payments and waivers
+ * @param {ObjectId|string} userId - Patron user ID
+ * @returns {Promise<number>} Balance owed (never negative)
+ */
+ledgerEntrySchema.statics.balanceFor = async function(userId) {
+  const [totals] = await this.aggregate([
+    { $match: { 'patron.userId': new mongoose.Types.ObjectId(String(userId)) } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: { $cond: [{ $eq: ['$type', 'Fine'] }, '$amount', { $multiply: ['$amount', -1] }] }
+        }
+      }
+    }
+  ]);
+
+  const balance = totals ? totals.balance : 0;
+  return Math.max(0, Math.round(balance * 100) / 100);
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
@@ -0,0 +1,183 @@
+/**
+ * Loan Model
+ * Mongoose schema for the circulation history of each copy
+ */
+
+const mongoose = require('mongoose');
+const fines = require('../config/fines');
+const LedgerEntry = require('./LedgerEntry');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const loanSchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: [true, 'Loan must reference a book']
+    },
+    copy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Copy',
+      required: [true, 'Loan must reference a copy']
+    },
+    patron: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Patron userId is required']
+      },
+      name: String,
+      email: String
+    },
+    checkedOutAt: {
+      type: Date,
+      default: Date.now
+    },
+    dueDate: {
+      type: Date,
+      required: [true, 'Due date is required']
+    },
+    renewals: [{
+      renewedAt: {
+        type: Date,
+        default: Date.now
+      },
+      previousDueDate: Date,
+      newDueDate: Date
+    }],
+    returnedAt: {
+      type: Date
+    },
+    overdueDays: {
+      type: Number,
+      default: 0,
+      min: [0, 'Overdue days cannot be negative']
+    },
+    fineAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Fine cannot be negative']
+    },
+    status: {
+      type: String,
+      enum: ['Active', 'Returned'],
+      default: 'Active'
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better query performance
+loanSchema.index({ book: 1, checkedOutAt: -1 });
+loanSchema.index({ 'patron.userId': 1, checkedOutAt: -1 });
+loanSchema.index({ copy: 1, status: 1 });
+
+// Virtual for checking if an active loan is overdue
+loanSchema.virtual('isOverdue').get(function() {
+  if (this.status !== 'Active') return this.overdueDays > 0;
+  return new Date() > this.dueDate;
+});
+
+/**
+ * Whole days between the due date and a given date (0 if not late)
+ * @param {Date} asOf - Date to measure against (defaults to now)
+ * @returns {number} Days overdue
+ */
+loanSchema.methods.daysOverdue = function(asOf = new Date()) {
+  const late = asOf - this.dueDate;
+  return late > 0 ? Math.ceil(late / MS_PER_DAY) : 0;
+};
+
+/**
+ * Fine owed for this loan using the configured rates
+ * @param {Object} book - Book on loan (genre and category pick the rate)
+ * @param {Date} asOf - Date to measure against (defaults to the return date or now)
+ * @returns {number} Fine amount, rounded to cents
+ */
+loanSchema.methods.calculateFine = function(book, asOf = this.returnedAt || new Date()) {
+  const chargeableDays = this.daysOverdue(asOf) - fines.graceDays;
+  if (chargeableDays <= 0) return 0;
+
+  const amount = Math.min(chargeableDays * fines.rateFor(book), fines.maxAmount);
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Charge the fine for a returned loan to the patron's ledger
+ * @param {Object} book - Book that was on loan
+ * @returns {Promise<LedgerEntry|null>} Ledger entry, or null when nothing is owed
+ */
+loanSchema.methods.assessFine = async function(book) {
+  const amount = this.calculateFine(book);
+  if (amount <= 0 || this.fineAmount > 0) return null;
+
+  this.fineAmount = amount;
+  await this.save();
+
+  return LedgerEntry.create({
+    patron: {
+      userId: this.patron.userId,
+      name: this.patron.name,
+      email: this.patron.email
+    },
+    type: 'Fine',
+    amount,
+    loan: this._id,
+    book: this.book,
+    description: `Overdue fine: ${book.title} (${this.overdueDays} days late)`
+  });
+};
+
+// Instance method to record a renewal of this loan
+loanSchema.methods.recordRenewal = function(newDueDate) {
+  this.renewals.push({
+    renewedAt: new Date(),
+    previousDueDate: this.dueDate,
+    newDueDate
+  });
+  this.dueDate = newDueDate;
+
+  return this.save();
+};
+
+// Instance method to close this loan when the copy comes back
+loanSchema.methods.close = function(returnedAt = new Date()) {
+  this.returnedAt = returnedAt;
+  this.overdueDays = this.daysOverdue(returnedAt);
+  this.status = 'Returned';
+
+  return this.save();
+};
+
+/**
+ * Open a loan for a copy that has just been borrowed
+ * @param {Copy} copy - Borrowed copy (with borrowedBy and dueDate set)
+ * @returns {Promise<Loan>} Created loan
+ */
+loanSchema.statics.openForCopy = function(copy) {
+  return this.create({
+    book: copy.book,
+    copy: copy._id,
+    patron: {
+      userId: copy.borrowedBy.userId,
+      name: copy.borrowedBy.name,
+      email: copy.borrowedBy.email
+    },
+    checkedOutAt: copy.borrowedAt || new Date(),
+    dueDate: copy.dueDate
+  });
+};
+
+// Static method to find the active loan for a copy
+loanSchema.statics.findActiveForCopy = function(copyId) {
+  return this.findOne({ copy: copyId, status: 'Active' });
+};
+
+const Loan = mongoose.model('Loan', loanSchema);
+
+module.exports = Loan;
@@ -0,0 +1,33 @@
+/**
+ * MarcImport Model
+ * Mongoose schema for the records of an uploaded MARC file, kept between
+ * the mapping preview and the cataloguer's confirmation
+ */
+
+const mongoose = require('mongoose');
+
+// Previews that are never confirmed are removed after a day
+const PREVIEW_TTL_SECONDS = 24 * 60 * 60;
+
+const marcImportSchema = new mongoose.Schema(
+  {
+    filename: {
+      type: String,
+      trim: true
+    },
+    // Mapped records as shown in the preview ({ book, sources, problems, importable, existing })
+    records: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: []
+    }
+  },
+  {
+    timestamps: true // Adds createdAt and updatedAt
+  }
+);
+
+marcImportSchema.index({ createdAt: 1 }, { expireAfterSeconds: PREVIEW_TTL_SECONDS });
+
+const MarcImport = mongoose.model('MarcImport', marcImportSchema);
+
+module.exports = MarcImport;
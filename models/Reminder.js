@@ -0,0 +1,44 @@
+/**
+ * Reminder Model
+ * Mongoose schema recording which loan reminder emails have been sent
+ */
+
+const mongoose = require('mongoose');
+
+const reminderSchema = new mongoose.Schema(
+  {
+    loan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Loan',
+      required: [true, 'Reminder must reference a loan']
+    },
+    type: {
+      type: String,
+      enum: ['due-soon', 'overdue'],
+      required: [true, 'Reminder type is required']
+    },
+    // The due date the reminder was about; a renewal makes a new reminder possible
+    dueDate: {
+      type: Date,
+      required: [true, 'Due date is required']
+    },
+    email: {
+      type: String,
+      trim: true
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true // Adds createdAt and updatedAt
+  }
+);
+
+// One reminder of each type per loan and due date
+reminderSchema.index({ loan: 1, type: 1, dueDate: 1 }, { unique: true });
+
+const Reminder = mongoose.model('Reminder', reminderSchema);
+
+module.exports = Reminder;
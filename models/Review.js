@@ -0,0 +1,87 @@
+/**
+ * Review Model
+ * Mongoose schema for patron star ratings and written reviews of a book
+ */
+
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: [true, 'Review must reference a book']
+    },
+    reviewer: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Reviewer userId is required']
+      },
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [60, 'Name cannot exceed 60 characters']
+      }
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Rating is required'],
+      min: [1, 'Rating must be at least 1 star'],
+      max: [5, 'Rating cannot exceed 5 stars'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Rating must be a whole number of stars'
+      }
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Review cannot exceed 2000 characters']
+    },
+    // Reviews are published straight away; moderators can hide them
+    status: {
+      type: String,
+      enum: ['Published', 'Hidden'],
+      default: 'Published'
+    },
+    moderatedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// One review per patron per book
+reviewSchema.index({ book: 1, 'reviewer.userId': 1 }, { unique: true });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Recalculate a book's rating and totalReviews from its published reviews
+ * @param {ObjectId|string} bookId - Book to update
+ * @returns {Promise<{rating: number, totalReviews: number}>} New values
+ */
+reviewSchema.statics.syncBook = async function(bookId) {
+  const id = new mongoose.Types.ObjectId(String(bookId));
+  const [summary] = await this.aggregate([
+    { $match: { book: id, status: 'Published' } },
+    { $group: { _id: '$book', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  // Ratings are shown to one decimal place
+  const values = {
+    rating: summary ? Math.round(summary.average * 10) / 10 : 0,
+    totalReviews: summary ? summary.count : 0
+  };
+
+  await mongoose.model('Book').updateOne({ _id: id }, values);
+  return values;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
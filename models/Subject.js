@@ -0,0 +1,256 @@
+/**
+ * Subject Model
+ * Mongoose schema for the controlled subject vocabulary - a tree of terms
+ * (e.g. Fiction > Mystery > Cozy Mystery) with synonyms for matching free text
+ */
+
+const mongoose = require('mongoose');
+
+const subjectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Subject name is required'],
+      trim: true,
+      unique: true,
+      maxlength: [80, 'Subject name cannot exceed 80 characters']
+    },
+    // URL-friendly name used in filters, e.g. ?subject=science-fiction
+    slug: {
+      type: String,
+      unique: true
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+      default: null
+    },
+    // Every term above this one, root first (kept in step with parent)
+    ancestors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject'
+    }],
+    // Other names for the term ("Sci-Fi", "SF"); used when matching typed or imported text
+    synonyms: [{
+      type: String,
+      trim: true
+    }],
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+subjectSchema.index({ ancestors: 1 });
+subjectSchema.index({ parent: 1, name: 1 });
+
+// Virtual for the depth of the term in the tree (0 for top-level terms)
+subjectSchema.virtual('depth').get(function() {
+  return this.ancestors ? this.ancestors.length : 0;
+});
+
+/**
+ * Slug for a subject name, e.g. "Science Fiction" -> "science-fiction"
+ * @param {string} name - Subject name
+ * @returns {string} Slug
+ */
+subjectSchema.statics.slugFor = function(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Keep the slug and the ancestor path in step with the name and parent
+// (runs before validation so a bad parent is reported as a field error)
+subjectSchema.pre('validate', async function() {
+  if (this.isModified('name')) {
+    this.slug = this.constructor.slugFor(this.name);
+  }
+
+  if (this.isModified('synonyms')) {
+    this.synonyms = [...new Set(this.synonyms.map(s => s.trim()).filter(Boolean))];
+  }
+
+  if (this.isNew || this.isModified('parent')) {
+    if (!this.parent) {
+      this.ancestors = [];
+      return;
+    }
+
+    if (this.parent.equals(this._id)) {
+      this.invalidate('parent', 'A subject cannot be its own parent');
+      return;
+    }
+
+    const parent = await this.constructor.findById(this.parent);
+    if (!parent) {
+      this.invalidate('parent', 'Parent subject not found');
+    } else if (parent.ancestors.some(id => id.equals(this._id))) {
+      this.invalidate('parent', 'A subject cannot be moved under one of its own narrower terms');
+    } else {
+      this.ancestors = [...parent.ancestors, parent._id];
+    }
+  }
+});
+
+// Moving a term moves everything below it
+subjectSchema.post('save', async function() {
+  const children = await this.constructor.find({ parent: this._id });
+  for (const child of children) {
+    const ancestors = [...this.ancestors, this._id];
+    if (child.ancestors.map(String).join() !== ancestors.map(String).join()) {
+      child.ancestors = ancestors;
+      child.markModified('parent'); // Re-run the path update for its own children
+      await child.save();
+    }
+  }
+});
+
+/**
+ * Find a subject by ID, slug, name or synonym (names and synonyms ignore case)
+ * @param {string} term - Subject reference or free text such as "Sci-Fi"
+ * @returns {Promise<Subject|null>} Matching subject
+ */
+subjectSchema.statics.resolve = async function(term) {
+  const value = String(term || '').trim();
+  if (!value) return null;
+
+  if (mongoose.Types.ObjectId.isValid(value) && String(new mongoose.Types.ObjectId(value)) === value) {
+    const byId = await this.findById(value);
+    if (byId) return byId;
+  }
+
+  return this.findOne({ $or: [{ slug: this.slugFor(value) }, { name: value }, { synonyms: value }] })
+    .collation({ locale: 'en', strength: 2 });
+};
+
+/**
+ * IDs of a subject and every term below it
+ * @param {ObjectId} subjectId - Subject at the top of the branch
+ * @returns {Promise<ObjectId[]>} Subject IDs
+ */
+subjectSchema.statics.branchIds = async function(subjectId) {
+  const descendants = await this.find({ ancestors: subjectId }).distinct('_id');
+  return [subjectId, ...descendants];
+};
+
+/**
+ * Every subject in tree order (each term followed by its narrower terms, A-Z)
+ * @returns {Promise<Subject[]>} Subjects with depth available through the virtual
+ */
+subjectSchema.statics.findTree = async function() {
+  const subjects = await this.find().sort({ name: 1 });
+  const byParent = new Map();
+  subjects.forEach(subject => {
+    const key = String(subject.parent || '');
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(subject);
+  });
+
+  const ordered = [];
+  const visit = (parentKey) => {
+    (byParent.get(parentKey) || []).forEach(subject => {
+      ordered.push(subject);
+      visit(String(subject._id));
+    });
+  };
+  visit('');
+  return ordered;
+};
+
+/**
+ * Legacy genre and category strings for a book's subjects
+ * The genre is the top-level term of the first subject and the category the subject itself
+ * @param {ObjectId[]} subjectIds - Book subjects
+ * @returns {Promise<{genre: string, category: string}|null>} Names, or null when there are no subjects
+ */
+subjectSchema.statics.labelsFor = async function(subjectIds) {
+  if (!subjectIds || subjectIds.length === 0) return null;
+
+  const subject = await this.findById(subjectIds[0]);
+  if (!subject) return null;
+
+  const root = subject.ancestors.length > 0 ? await this.findById(subject.ancestors[0]) : subject;
+  return {
+    genre: root ? root.name : subject.name,
+    category: subject.name
+  };
+};
+
+/**
+ * Match a book's free-text category, genre and tags against the vocabulary
+ * Matching terms become the book's subjects, and genre/category then follow them
+ * @param {Object} data - Book fields (e.g. from an import)
+ * @returns {Promise<Object>} Book fields with subjects added when anything matched
+ */
+subjectSchema.statics.classify = async function(data) {
+  const ids = [];
+  for (const term of new Set([data.category, data.genre, ...(data.tags || [])].filter(Boolean))) {
+    const subject = await this.resolve(term);
+    if (subject && !ids.some(id => id.equals(subject._id))) {
+      ids.push(subject._id);
+    }
+  }
+
+  if (ids.length === 0) return data;
+  return { ...data, subjects: ids, ...(await this.labelsFor(ids)) };
+};
+
+/**
+ * Number of books filed under each subject
+ * count is books with the term itself; totalCount also includes its narrower terms
+ * (a book filed under both a term and one below it is counted once)
+ * @param {Object} match - Book query to count within (e.g. from buildBookQuery)
+ * @returns {Promise<Map<string, {count: number, totalCount: number}>>} Counts by subject ID
+ */
+subjectSchema.statics.countBooks = async function(match = {}) {
+  const Book = mongoose.model('Book');
+  const [direct, total] = await Promise.all([
+    Book.aggregate([
+      { $match: match },
+      { $unwind: '$subjects' },
+      { $group: { _id: '$subjects', count: { $sum: 1 } } }
+    ]),
+    Book.aggregate([
+      { $match: match },
+      { $match: { 'subjects.0': { $exists: true } } },
+      { $lookup: { from: 'subjects', localField: 'subjects', foreignField: '_id', as: 'terms' } },
+      {
+        $project: {
+          branch: {
+            $setUnion: [
+              '$subjects',
+              { $reduce: { input: '$terms.ancestors', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+            ]
+          }
+        }
+      },
+      { $unwind: '$branch' },
+      { $group: { _id: '$branch', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const counts = new Map();
+  total.forEach(row => counts.set(String(row._id), { count: 0, totalCount: row.count }));
+  direct.forEach(row => {
+    const entry = counts.get(String(row._id)) || { count: 0, totalCount: row.count };
+    entry.count = row.count;
+    counts.set(String(row._id), entry);
+  });
+  return counts;
+};
+
+const Subject = mongoose.model('Subject', subjectSchema);
+
+module.exports = Subject;
@@ -21,6 +21,13 @@ const userSchema = new mongoose.Schema(
       required: [true, 'Password is required'],
       minlength: [6, 'Password must be at least 6 characters']
     },
+    // Books the patron aims to read this year (shown on the dashboard)
+    readingGoal: {
+      type: Number,
+      default: 24,
+      min: [1, 'Reading goal must be at least 1 book'],
+      max: [365, 'Reading goal cannot exceed 365 books']
+    },
     createdAt: {
       type: Date,
       default: Date.now
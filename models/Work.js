@@ -0,0 +1,104 @@
+/**
+ * Work Model
+ * Mongoose schema for a work (e.g. "The Great Gatsby") that groups its
+ * editions - Book documents with their own ISBN, publisher, year and format
+ */
+
+const mongoose = require('mongoose');
+
+const workSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Work title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    author: {
+      type: String,
+      required: [true, 'Author name is required'],
+      trim: true,
+      maxlength: [100, 'Author name cannot exceed 100 characters']
+    },
+    // Lower-cased "title|author" used to find the work for a new edition
+    matchKey: {
+      type: String,
+      index: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    firstPublishedYear: {
+      type: Number,
+      min: [1000, 'Invalid year']
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Virtual for the editions (Book documents) of this work
+workSchema.virtual('editions', {
+  ref: 'Book',
+  localField: '_id',
+  foreignField: 'work'
+});
+
+/**
+ * Key that treats "The Great Gatsby" / "the great gatsby " as the same work
+ * @param {string} title - Title
+ * @param {string} author - Author name
+ * @returns {string} Match key
+ */
+workSchema.statics.matchKeyFor = function(title, author) {
+  const clean = value => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return `${clean(title)}|${clean(author)}`;
+};
+
+workSchema.pre('save', function() {
+  if (this.isModified('title') || this.isModified('author')) {
+    this.matchKey = this.constructor.matchKeyFor(this.title, this.author);
+  }
+});
+
+/**
+ * Find the work an edition belongs to by title and author, creating it if needed
+ * @param {Object} book - Book fields (title, author, description, publishedYear)
+ * @returns {Promise<Work>} Work for the edition
+ */
+workSchema.statics.findOrCreateFor = async function(book) {
+  const matchKey = this.matchKeyFor(book.title, book.author);
+  const existing = await this.findOne({ matchKey });
+
+  if (existing) {
+    // Keep the earliest known year as the work's first publication
+    if (book.publishedYear && (!existing.firstPublishedYear || book.publishedYear < existing.firstPublishedYear)) {
+      existing.firstPublishedYear = book.publishedYear;
+      await existing.save();
+    }
+    return existing;
+  }
+
+  return this.create({
+    title: book.title,
+    author: book.author,
+    description: book.description,
+    firstPublishedYear: book.publishedYear
+  });
+};
+
+// Static method to find works by an author, ignoring case
+workSchema.statics.findByAuthor = function(author) {
+  return this.find({ author: String(author || '').trim() })
+    .collation({ locale: 'en', strength: 2 })
+    .sort({ title: 1 });
+};
+
+const Work = mongoose.model('Work', workSchema);
+
+module.exports = Work;
@@ -0,0 +1,31 @@
+/**
+ * Admin Authors Routes
+ * Server-rendered admin interface for author profiles
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listAuthors,
+  showAddForm,
+  createAuthor,
+  showEditForm,
+  updateAuthor,
+  deleteAuthor
+} = require('../../controllers/adminAuthorsController');
+
+// List authors
+router.get('/', listAuthors);
+
+// Add author form
+router.get('/add', showAddForm);
+router.post('/add', createAuthor);
+
+// Edit author form
+router.get('/:id/edit', showEditForm);
+router.post('/:id/edit', updateAuthor);
+
+// Delete author (using POST for safety)
+router.post('/:id/delete', deleteAuthor);
+
+module.exports = router;
@@ -4,6 +4,7 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const {
   listBooks,
@@ -11,21 +12,104 @@ const {
   createBook,
   showEditForm,
   updateBook,
-  deleteBook
+  rollbackBook,
+  deleteBook,
+  listTrash,
+  restoreBook,
+  purgeBook,
+  addCopy,
+  removeCopy,
+  loadSubjectOptions
 } = require('../../controllers/adminBooksController');
+const {
+  showImportForm,
+  previewImport,
+  confirmImport,
+  exportMarc
+} = require('../../controllers/adminMarcController');
+const {
+  showCsvImportForm,
+  uploadCsv,
+  showImportJob,
+  updateMapping,
+  startImport,
+  getImportStatus
+} = require('../../controllers/adminImportController');
+const { showExportForm, exportBooks } = require('../../controllers/adminExportController');
+const { MAX_COVER_BYTES, COVER_TYPES } = require('../../utils/covers');
+
+// Uploaded files are parsed in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }
+});
+
+// Cover images are resized by the controller before anything is written
+const coverUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_COVER_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (!COVER_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Cover must be a JPEG, PNG, WebP or GIF image'));
+    }
+    cb(null, true);
+  }
+});
+
+// A rejected cover is reported on the form (req.coverError) instead of failing the request
+const coverUpload = (req, res, next) => {
+  coverUploader.single('coverFile')(req, res, (err) => {
+    if (err) {
+      req.coverError = err.code === 'LIMIT_FILE_SIZE'
+        ? `Cover must be smaller than ${MAX_COVER_BYTES / (1024 * 1024)} MB`
+        : err.message;
+    }
+    next();
+  });
+};
 
 // List books
 router.get('/', listBooks);
 
 // Add book form
-router.get('/add', showAddForm);
-router.post('/add', createBook);
+router.get('/add', loadSubjectOptions, showAddForm);
+router.post('/add', coverUpload, loadSubjectOptions, createBook);
+
+// Deleted books waiting to be purged (before /:id routes)
+router.get('/trash', listTrash);
+
+// MARC21 / MARCXML import and export (before /:id routes)
+router.get('/import/marc', showImportForm);
+router.post('/import/marc', upload.single('marcFile'), previewImport);
+router.post('/import/marc/confirm', confirmImport);
+router.get('/export/marc', exportMarc);
+
+// CSV / NDJSON export of the filtered book list
+router.get('/export', showExportForm);
+router.get('/export/download', exportBooks);
+
+// Bulk CSV import with dry-run report and progress view
+router.get('/import', showCsvImportForm);
+router.post('/import', upload.single('csvFile'), uploadCsv);
+router.get('/import/:id', showImportJob);
+router.post('/import/:id/mapping', updateMapping);
+router.post('/import/:id/start', startImport);
+router.get('/import/:id/status', getImportStatus);
 
 // Edit book form
-router.get('/:id/edit', showEditForm);
-router.post('/:id/edit', updateBook);
+router.get('/:id/edit', loadSubjectOptions, showEditForm);
+router.post('/:id/edit', coverUpload, loadSubjectOptions, updateBook);
 
-// Delete book (using POST for safety)
+// Roll back to a version from the book's history
+router.post('/:id/history/:entryId/rollback', rollbackBook);
+
+// Move to the Trash, restore, or delete for good (using POST for safety)
 router.post('/:id/delete', deleteBook);
+router.post('/:id/restore', restoreBook);
+router.post('/:id/purge', purgeBook);
+
+// Physical copies (using POST for safety)
+router.post('/:id/copies', addCopy);
+router.post('/:id/copies/:copyId/delete', removeCopy);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+/**
+ * Admin Reviews Routes
+ * Server-rendered moderation of patron reviews
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listReviews,
+  hideReview,
+  publishReview,
+  deleteReview
+} = require('../../controllers/adminReviewsController');
+
+// List reviews (optionally ?status=Published|Hidden)
+router.get('/', listReviews);
+
+// Moderation actions (using POST for safety)
+router.post('/:id/hide', hideReview);
+router.post('/:id/publish', publishReview);
+router.post('/:id/delete', deleteReview);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * Admin Subjects Routes
+ * Server-rendered admin interface for the subject vocabulary
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listSubjects,
+  showAddForm,
+  createSubject,
+  showEditForm,
+  updateSubject,
+  deleteSubject
+} = require('../../controllers/adminSubjectsController');
+
+// List subjects
+router.get('/', listSubjects);
+
+// Add subject form (?parent= pre-selects the broader term)
+router.get('/add', showAddForm);
+router.post('/add', createSubject);
+
+// Edit subject form
+router.get('/:id/edit', showEditForm);
+router.post('/:id/edit', updateSubject);
+
+// Delete subject (using POST for safety)
+router.post('/:id/delete', deleteSubject);
+
+module.exports = router;
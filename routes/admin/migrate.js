@@ -8,6 +8,27 @@
 const express = require('express');
 const router = express.Router();
 const Book = require('../../models/Book');
+const Copy = require('../../models/Copy');
+const Loan = require('../../models/Loan');
+const Review = require('../../models/Review');
+const Subject = require('../../models/Subject');
+const { normalizeIsbn } = require('../../utils/isbn');
+
+/**
+ * Create one copy per migrated book, carrying over its availability
+ * @param {Book[]} books - Freshly inserted books
+ */
+const createInitialCopies = async (books) => {
+  for (const book of books) {
+    const [copy] = await Copy.createForBook(book._id, 1);
+    if (!book.available) {
+      copy.available = false;
+      copy.status = 'Borrowed';
+      await copy.save();
+      await Copy.syncBook(book._id);
+    }
+  }
+};
 
 /**
  * Static book data extracted from oop.js
@@ -21,7 +42,6 @@ const staticBooks = [
     isbn: '978-0-7432-7356-5',
     category: 'Classic Literature',
     genre: 'Classic Literature',
-    coverUrl: 'https://images.unsplash.com/photo-1544947950-fa07a98d237f?w=300&h=400&fit=crop&auto=format',
     available: true,
     status: 'Available'
   },
@@ -32,7 +52,6 @@ const staticBooks = [
     isbn: '978-0-06-112008-4',
     category: 'Fiction',
     genre: 'Fiction',
-    coverUrl: 'https://images.unsplash.com/photo-1481627834876-b7833e8f5570?w=300&h=400&fit=crop&auto=format',
     available: false,
     status: 'Borrowed'
   },
@@ -43,7 +62,6 @@ const staticBooks = [
     isbn: '978-0-452-28423-4',
     category: 'Dystopian Fiction',
     genre: 'Dystopian Fiction',
-    coverUrl: 'https://images.unsplash.com/photo-1512820790803-83ca734da794?w=300&h=400&fit=crop&auto=format',
     available: true,
     status: 'Available'
   },
@@ -54,7 +72,6 @@ const staticBooks = [
     isbn: '978-0-14-143951-8',
     category: 'Romance',
     genre: 'Romance',
-    coverUrl: 'https://images.unsplash.com/photo-1519583272095-6433daf26b6e?w=300&h=400&fit=crop&auto=format',
     available: true,
     status: 'Available'
   },
@@ -62,10 +79,9 @@ const staticBooks = [
     title: 'The Catcher in the Rye',
     author: 'J.D. Salinger',
     description: 'A controversial coming-of-age story following teenage rebel Holden Caulfield.',
-    isbn: '978-0-316-76948-0',
+    isbn: '978-0-316-76948-8',
     category: 'Coming of Age',
     genre: 'Coming of Age',
-    coverUrl: 'https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=300&h=400&fit=crop&auto=format',
     available: false,
     status: 'Borrowed'
   },
@@ -76,7 +92,6 @@ const staticBooks = [
     isbn: '978-0-399-50148-7',
     category: 'Adventure',
     genre: 'Adventure',
-    coverUrl: 'https://images.unsplash.com/photo-1589829085413-56de8ae18c73?w=300&h=400&fit=crop&auto=format',
     available: true,
     status: 'Available'
   },
@@ -87,7 +102,6 @@ const staticBooks = [
     isbn: '978-0-547-92822-7',
     category: 'Fantasy',
     genre: 'Fantasy',
-    coverUrl: 'https://images.unsplash.com/photo-1516979187457-637abb4f9353?w=300&h=400&fit=crop&auto=format',
     available: true,
     status: 'Available'
   },
@@ -98,7 +112,6 @@ const staticBooks = [
     isbn: '978-1-451-67331-9',
     category: 'Science Fiction',
     genre: 'Science Fiction',
-    coverUrl: 'https://images.unsplash.com/photo-1543002588-bfa74002ed7e?w=300&h=400&fit=crop&auto=format',
     available: false,
     status: 'Borrowed'
   }
@@ -154,6 +167,8 @@ router.get('/migrate-books', async (req, res) => {
     
     // Insert all static books into MongoDB
     const insertedBooks = await Book.insertMany(staticBooks);
+    await createInitialCopies(insertedBooks);
+    await Book.assignWorks();
     
     res.send(`
       <html>
@@ -237,10 +252,13 @@ router.post('/migrate-books/reset', async (req, res) => {
   try {
     // Delete all books
     await Book.deleteMany({});
+    await Copy.deleteMany({});
     console.log('🗑️ Deleted all existing books');
     
     // Insert static books
     const insertedBooks = await Book.insertMany(staticBooks);
+    await createInitialCopies(insertedBooks);
+    await Book.assignWorks();
     console.log(`✅ Re-migrated ${insertedBooks.length} books`);
     
     res.redirect('/admin/migrate-books');
@@ -251,4 +269,264 @@ router.post('/migrate-books/reset', async (req, res) => {
   }
 });
 
+/**
+ * @desc    One-time migration that gives every existing book a physical copy
+ *          Loan fields that used to live on the Book are moved to the copy
+ * @route   GET /admin/migrate-copies
+ * @access  Admin only (no auth in this version)
+ */
+router.get('/migrate-copies', async (req, res) => {
+  try {
+    // Read raw documents: the legacy loan fields are no longer in the schema
+    const books = await Book.collection.find({}).toArray();
+    let migrated = 0;
+    
+    for (const book of books) {
+      const hasCopies = await Copy.exists({ book: book._id });
+      if (hasCopies) continue;
+      
+      const borrowed = book.available === false && Boolean(book.dueDate);
+      const copy = await Copy.create({
+        book: book._id,
+        barcode: Copy.generateBarcode(),
+        available: !borrowed,
+        status: borrowed ? 'Borrowed' : 'Available',
+        borrowedBy: borrowed ? book.borrowedBy : undefined,
+        borrowedAt: borrowed ? (book.borrowedAt || book.borrowDate) : undefined,
+        dueDate: borrowed ? book.dueDate : undefined,
+        renewalCount: borrowed ? (book.renewalCount || 0) : 0,
+        maxRenewals: book.maxRenewals ?? 2
+      });
+      await Copy.syncBook(book._id);
+      
+      // Open a loan so the current borrower shows up in the history
+      if (borrowed && book.borrowedBy && book.borrowedBy.userId) {
+        await Loan.openForCopy(copy);
+      }
+      
+      await Book.collection.updateOne(
+        { _id: book._id },
+        { $unset: { borrowedBy: '', borrowedAt: '', borrowDate: '', dueDate: '', renewalCount: '', maxRenewals: '' } }
+      );
+      migrated++;
+    }
+    
+    console.log(`✅ Copy migration complete: ${migrated} books given a copy`);
+    res.send(`
+      <html>
+        <head><title>Copy Migration</title></head>
+        <body style="font-family: Arial, sans-serif; padding: 40px;">
+          <h1>✅ Copy Migration Complete</h1>
+          <p>${migrated} of ${books.length} books were given a physical copy.</p>
+          <a href="/admin/books">Go to Admin Panel</a>
+        </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('❌ Copy migration error:', error);
+    res.status(500).send('Copy migration failed: ' + error.message);
+  }
+});
+
+/**
+ * @desc    One-time migration that rewrites stored ISBNs in canonical ISBN-13 form
+ * @route   GET /admin/migrate-isbns
+ * @access  Admin only (no auth in this version)
+ */
+router.get('/migrate-isbns', async (req, res) => {
+  try {
+    const books = await Book.collection.find({ isbn: { $nin: [null, ''] } }).toArray();
+    const invalid = [];
+    const duplicates = [];
+    let updated = 0;
+    
+    for (const book of books) {
+      const canonical = normalizeIsbn(book.isbn);
+      
+      if (!canonical) {
+        invalid.push(book);
+        continue;
+      }
+      if (canonical === book.isbn) continue;
+      
+      try {
+        await Book.collection.updateOne({ _id: book._id }, { $set: { isbn: canonical } });
+        updated++;
+      } catch (error) {
+        // Another book already holds this ISBN in canonical form
+        if (error.code !== 11000) throw error;
+        duplicates.push(book);
+      }
+    }
+    
+    console.log(`✅ ISBN migration complete: ${updated} updated, ${invalid.length} invalid, ${duplicates.length} duplicates`);
+    res.send(`
+      <html>
+        <head><title>ISBN Migration</title></head>
+        <body style="font-family: Arial, sans-serif; padding: 40px;">
+          <h1>✅ ISBN Migration Complete</h1>
+          <p>${updated} of ${books.length} ISBNs were rewritten in canonical ISBN-13 form.</p>
+          ${invalid.length ? `
+            <h3>Invalid ISBNs (left unchanged)</h3>
+            <ul>${invalid.map(b => `<li><a href="/admin/books/${b._id}/edit">${b.title}</a>: ${b.isbn}</li>`).join('')}</ul>
+          ` : ''}
+          ${duplicates.length ? `
+            <h3>Duplicates of another book (left unchanged)</h3>
+            <ul>${duplicates.map(b => `<li><a href="/admin/books/${b._id}/edit">${b.title}</a>: ${b.isbn}</li>`).join('')}</ul>
+          ` : ''}
+          <a href="/admin/books">Go to Admin Panel</a>
+        </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('❌ ISBN migration error:', error);
+    res.status(500).send('ISBN migration failed: ' + error.message);
+  }
+});
+
+/**
+ * @desc    One-time migration that groups existing books into works
+ *          Books with the same title and author become editions of one work
+ * @route   GET /admin/migrate-works
+ * @access  Admin only (no auth in this version)
+ */
+router.get('/migrate-works', async (req, res) => {
+  try {
+    const linked = await Book.assignWorks();
+    
+    console.log(`✅ Work migration complete: ${linked} books linked to works`);
+    res.send(`
+      <html>
+        <head><title>Work Migration</title></head>
+        <body style="font-family: Arial, sans-serif; padding: 40px;">
+          <h1>✅ Work Migration Complete</h1>
+          <p>${linked} books were linked to a work.</p>
+          <a href="/admin/books">Go to Admin Panel</a>
+        </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('❌ Work migration error:', error);
+    res.status(500).send('Work migration failed: ' + error.message);
+  }
+});
+
+/**
+ * @desc    One-time migration that drops the stock photos used as default covers
+ *          Those books then show a placeholder with their title and author
+ * @route   GET /admin/migrate-covers
+ * @access  Admin only (no auth in this version)
+ */
+router.get('/migrate-covers', async (req, res) => {
+  try {
+    const result = await Book.updateMany(
+      { coverUrl: /^https:\/\/images\.unsplash\.com\// },
+      { $unset: { coverUrl: 1 } }
+    );
+    
+    console.log(`✅ Cover migration complete: ${result.modifiedCount} stock covers removed`);
+    res.send(`
+      <html>
+        <head><title>Cover Migration</title></head>
+        <body style="font-family: Arial, sans-serif; padding: 40px;">
+          <h1>✅ Cover Migration Complete</h1>
+          <p>${result.modifiedCount} books had a stock photo cover and now use a generated placeholder.</p>
+          <a href="/admin/books">Go to Admin Panel</a>
+        </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('❌ Cover migration error:', error);
+    res.status(500).send('Cover migration failed: ' + error.message);
+  }
+});
+
+/**
+ * @desc    One-time migration that replaces hand-typed ratings with ones computed from reviews
+ *          Books without published reviews go back to 0 stars and 0 reviews
+ * @route   GET /admin/migrate-ratings
+ * @access  Admin only (no auth in this version)
+ */
+router.get('/migrate-ratings', async (req, res) => {
+  try {
+    const bookIds = await Book.find().distinct('_id');
+    for (const bookId of bookIds) {
+      await Review.syncBook(bookId);
+    }
+    
+    console.log(`✅ Rating migration complete: ${bookIds.length} books recalculated`);
+    res.send(`
+      <html>
+        <head><title>Rating Migration</title></head>
+        <body style="font-family: Arial, sans-serif; padding: 40px;">
+          <h1>✅ Rating Migration Complete</h1>
+          <p>${bookIds.length} books now take their rating from patron reviews.</p>
+          <a href="/admin/books">Go to Admin Panel</a>
+        </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('❌ Rating migration error:', error);
+    res.status(500).send('Rating migration failed: ' + error.message);
+  }
+});
+
+/**
+ * @desc    One-time migration that builds the subject vocabulary from existing genres and categories
+ *          Each genre becomes a top-level subject and each category a narrower term under it;
+ *          books without subjects are filed under their category (or genre)
+ * @route   GET /admin/migrate-subjects
+ * @access  Admin only (no auth in this version)
+ */
+router.get('/migrate-subjects', async (req, res) => {
+  try {
+    // Reuse terms that already exist (by name or synonym) so the migration can be re-run
+    let created = 0;
+    const findOrCreate = async (name, parent) => {
+      const existing = await Subject.resolve(name);
+      if (existing) return existing;
+      created++;
+      return Subject.create({ name, parent: parent ? parent._id : null });
+    };
+    
+    const pairs = await Book.aggregate([
+      { $match: { 'subjects.0': { $exists: false } } },
+      { $group: { _id: { genre: '$genre', category: '$category' } } }
+    ]);
+    
+    let filed = 0;
+    for (const { _id: { genre, category } } of pairs) {
+      if (!genre) continue;
+      
+      const root = await findOrCreate(genre.trim());
+      const subject = category && category.trim() !== genre.trim()
+        ? await findOrCreate(category.trim(), root)
+        : root;
+      
+      // Genre and category already hold these names, so the save hooks are not needed
+      const result = await Book.updateMany(
+        { genre, category, 'subjects.0': { $exists: false } },
+        { $set: { subjects: [subject._id] } }
+      );
+      filed += result.modifiedCount;
+    }
+    
+    console.log(`✅ Subject migration complete: ${created} subjects created, ${filed} books filed`);
+    res.send(`
+      <html>
+        <head><title>Subject Migration</title></head>
+        <body style="font-family: Arial, sans-serif; padding: 40px;">
+          <h1>✅ Subject Migration Complete</h1>
+          <p>${created} subjects created from existing genres and categories.</p>
+          <p>${filed} books filed under a subject.</p>
+          <a href="/admin/subjects">Review the subjects</a>
+        </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('❌ Subject migration error:', error);
+    res.status(500).send('Subject migration failed: ' + error.message);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * Authors API Routes
+ * Read-only routes for author profiles
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getAllAuthors,
+  getFeaturedAuthor,
+  getAuthorById
+} = require('../../controllers/authorsController');
+
+router.get('/', getAllAuthors);               // GET /api/authors - List authors
+router.get('/featured', getFeaturedAuthor);   // GET /api/authors/featured - Author spotlight for the homepage
+router.get('/:id', getAuthorById);            // GET /api/authors/:id - Author bio and books
+
+module.exports = router;
@@ -7,29 +7,70 @@ const express = require('express');
 const router = express.Router();
 const {
   getAllBooks,
+  searchBooks,
+  suggestBooks,
+  getTrendingBooks,
   getBookById,
+  getBookByIsbn,
   createBook,
   updateBook,
   deleteBook,
+  restoreBook,
   borrowBook,
   returnBook,
-  renewBook
+  renewBook,
+  getBookCopies,
+  addCopy,
+  removeCopy,
+  getBookHolds,
+  placeHold,
+  cancelHold
 } = require('../../controllers/booksController');
+const { getBookLoans } = require('../../controllers/loansController');
+const { getBookReviews, createReview } = require('../../controllers/reviewsController');
+const { ensureApiAuth } = require('../../middleware/authMiddleware');
 
 // Base routes
 router.route('/')
   .get(getAllBooks)      // GET /api/books - Get all books with optional filters
   .post(createBook);     // POST /api/books - Create a new book
 
+// Lookup routes (before /:id so the path is not read as an ID)
+router.get('/search', searchBooks);        // GET /api/books/search - Books with facet counts
+router.get('/suggest', suggestBooks);      // GET /api/books/suggest - Search-as-you-type suggestions
+router.get('/trending', getTrendingBooks); // GET /api/books/trending - Books ranked by recent circulation
+router.get('/isbn/:isbn', getBookByIsbn);  // GET /api/books/isbn/:isbn - Find a book by ISBN-10 or ISBN-13
+
 // ID-based routes
 router.route('/:id')
   .get(getBookById)      // GET /api/books/:id - Get single book
   .put(updateBook)       // PUT /api/books/:id - Update book
-  .delete(deleteBook);   // DELETE /api/books/:id - Delete book
+  .delete(deleteBook);   // DELETE /api/books/:id - Move book to the Trash
+router.post('/:id/restore', restoreBook);  // POST /api/books/:id/restore - Restore book from the Trash
+
+// Copy routes
+router.route('/:id/copies')
+  .get(getBookCopies)    // GET /api/books/:id/copies - List physical copies
+  .post(addCopy);        // POST /api/books/:id/copies - Add a physical copy
+router.delete('/:id/copies/:copyId', removeCopy);  // DELETE /api/books/:id/copies/:copyId - Remove a copy
+
+// Hold routes
+router.get('/:id/holds', getBookHolds);  // GET /api/books/:id/holds - List the hold queue
+router.route('/:id/hold')
+  .post(placeHold)       // POST /api/books/:id/hold - Join the hold queue
+  .delete(cancelHold);   // DELETE /api/books/:id/hold - Leave the hold queue
+
+// History routes
+router.get('/:id/loans', getBookLoans);  // GET /api/books/:id/loans - Loan history for a book
+
+// Review routes
+router.route('/:id/reviews')
+  .get(getBookReviews)                  // GET /api/books/:id/reviews - Published reviews
+  .post(ensureApiAuth, createReview);   // POST /api/books/:id/reviews - Rate and review (logged in, past loan)
 
 // Action routes
-router.post('/:id/borrow', borrowBook);  // POST /api/books/:id/borrow - Borrow a book
-router.post('/:id/return', returnBook);  // POST /api/books/:id/return - Return a book
-router.post('/:id/renew', renewBook);    // POST /api/books/:id/renew - Renew a book
+router.post('/:id/borrow', borrowBook);  // POST /api/books/:id/borrow - Borrow a copy of a book
+router.post('/:id/return', returnBook);  // POST /api/books/:id/return - Return a borrowed copy
+router.post('/:id/renew', renewBook);    // POST /api/books/:id/renew - Renew a borrowed copy
 
 module.exports = router;
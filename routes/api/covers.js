@@ -0,0 +1,12 @@
+/**
+ * Covers API Routes
+ * Placeholder images for books that have no cover
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getPlaceholder } = require('../../controllers/coversController');
+
+router.get('/placeholder.svg', getPlaceholder);   // GET /api/covers/placeholder.svg - Title/author placeholder cover
+
+module.exports = router;
@@ -0,0 +1,16 @@
+/**
+ * Me API Routes
+ * Views for the logged-in patron (session required)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getDashboard, getRecommendations } = require('../../controllers/meController');
+const { ensureApiAuth } = require('../../middleware/authMiddleware');
+
+router.use(ensureApiAuth);
+
+router.get('/dashboard', getDashboard);              // GET /api/me/dashboard - Loans, holds, fines and reading goal
+router.get('/recommendations', getRecommendations);  // GET /api/me/recommendations - Books picked for the patron
+
+module.exports = router;
@@ -0,0 +1,13 @@
+/**
+ * Subjects API Routes
+ * The subject vocabulary with live book counts
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getSubjects, getSubject } = require('../../controllers/subjectsController');
+
+router.get('/', getSubjects);      // GET /api/subjects - Subjects in tree order with book counts
+router.get('/:id', getSubject);    // GET /api/subjects/:id - Subject (ID or slug) with broader and narrower terms
+
+module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * Users API Routes
+ * Patron-centred views of circulation data
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getUserLoans } = require('../../controllers/loansController');
+const { getUserFines, recordPayment } = require('../../controllers/finesController');
+
+// History routes
+router.get('/:id/loans', getUserLoans);  // GET /api/users/:id/loans - Loan history for a patron
+
+// Account routes
+router.get('/:id/fines', getUserFines);       // GET /api/users/:id/fines - Ledger, balance and accruing fines
+router.post('/:id/payments', recordPayment);  // POST /api/users/:id/payments - Record a payment or waiver
+
+module.exports = router;
@@ -0,0 +1,24 @@
+/**
+ * Works API Routes
+ * Titles grouped with their editions, and holds that any edition can fill
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getAllWorks,
+  getWorkById,
+  getWorkHolds,
+  placeWorkHold,
+  cancelWorkHold
+} = require('../../controllers/worksController');
+
+router.get('/', getAllWorks);                 // GET /api/works - Works with their editions (same filters as /api/books)
+router.get('/:id', getWorkById);              // GET /api/works/:id - Work and all of its editions
+
+// Hold routes
+router.get('/:id/holds', getWorkHolds);       // GET /api/works/:id/holds - Active holds on the work
+router.post('/:id/hold', placeWorkHold);      // POST /api/works/:id/hold - Hold any edition
+router.delete('/:id/hold', cancelWorkHold);   // DELETE /api/works/:id/hold - Cancel a work hold
+
+module.exports = router;
@@ -13,6 +13,11 @@ const session = require('express-session');
 const expressLayouts = require('express-ejs-layouts');
 const connectDB = require('./config/db');
 const { ensureAuth } = require('./middleware/authMiddleware');
+const { startReminderJob } = require('./jobs/reminderJob');
+const { recoverInterruptedImports } = require('./jobs/importJob');
+const { startTrashPurgeJob } = require('./jobs/trashPurgeJob');
+const { startTrendingJob } = require('./jobs/trendingJob');
+const { COVER_DIR, COVER_URL_PATH } = require('./utils/covers');
 
 // Initialize Express app
 const app = express();
@@ -86,24 +91,26 @@ app.set('layout', 'layouts/layout');
 // Serve static files from client directory (existing frontend)
 app.use(express.static(path.join(__dirname, 'client')));
 
-// Proxy routes for fixtures - allows frontend to work without modification
-// Frontend can still use fetch('dashboard.json') or fetch('trending.json')
-app.get('/dashboard.json', (req, res) => {
-  res.sendFile(path.join(__dirname, 'fixtures', 'dashboard.json'));
-});
-
-app.get('/trending.json', (req, res) => {
-  res.sendFile(path.join(__dirname, 'fixtures', 'trending.json'));
-});
+// Uploaded covers - each upload gets a new file name, so they can be cached for good
+app.use(COVER_URL_PATH, express.static(COVER_DIR, { maxAge: '365d', immutable: true }));
 
 // API Routes
 app.use('/api/books', require('./routes/api/books'));
+app.use('/api/users', require('./routes/api/users'));
+app.use('/api/authors', require('./routes/api/authors'));
+app.use('/api/works', require('./routes/api/works'));
+app.use('/api/covers', require('./routes/api/covers'));
+app.use('/api/subjects', require('./routes/api/subjects'));
+app.use('/api/me', require('./routes/api/me'));
 
 // Authentication Routes
 app.use('/auth', require('./routes/auth'));
 
 // Admin Routes (server-rendered) - NO AUTH PROTECTION
 app.use('/admin/books', require('./routes/admin/adminBooks'));
+app.use('/admin/authors', require('./routes/admin/adminAuthors'));
+app.use('/admin/reviews', require('./routes/admin/adminReviews'));
+app.use('/admin/subjects', require('./routes/admin/adminSubjects'));
 
 // ONE-TIME MIGRATION ROUTE - Visit /admin/migrate-books to populate DB
 // TODO: Comment out or delete this line after migration is complete
@@ -166,6 +173,18 @@ const server = app.listen(PORT, () => {
   console.log(`📊 Health: http://localhost:${PORT}/api/health`);
   console.log('═══════════════════════════════════════════════════════');
   console.log('');
+  
+  // Background jobs
+  recoverInterruptedImports();
+  if (process.env.REMINDERS_ENABLED !== 'false') {
+    startReminderJob();
+  }
+  if (process.env.TRASH_PURGE_ENABLED !== 'false') {
+    startTrashPurgeJob();
+  }
+  if (process.env.TRENDING_ENABLED !== 'false') {
+    startTrendingJob();
+  }
 });
 
 // Handle unhandled promise rejections
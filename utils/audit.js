@@ -0,0 +1,60 @@
+/**
+ * Audit Utilities
+ * Record book changes made through the API, the admin forms and background jobs
+ */
+
+const AuditEntry = require('../models/AuditEntry');
+
+/**
+ * Who is making a request and through which interface
+ * @param {Object} req - Express request
+ * @returns {{actor: {userId: ObjectId|undefined, name: string}, source: string}} Audit context
+ */
+const auditContext = (req) => ({
+  actor: {
+    userId: req.session?.userId || undefined,
+    name: req.session?.userEmail || 'Anonymous'
+  },
+  source: req.baseUrl.startsWith('/api') ? 'API' : 'Admin'
+});
+
+/**
+ * Record a change to a book made by a given actor
+ * A failed audit write is logged rather than failing a change that has already been saved
+ * @param {{actor: Object, source: string}} context - Who made the change and how (source API, Admin, Import or Job)
+ * @param {string} action - Create, Update, Delete, Restore, Purge or Rollback
+ * @param {Book|Object|null} before - Book before the change
+ * @param {Book|Object|null} after - Book after the change
+ * @param {Object} [extra] - Other entry fields, e.g. { rolledBackTo }
+ * @returns {Promise<AuditEntry|null>} Saved entry
+ */
+const recordChange = async (context, action, before, after, extra = {}) => {
+  const plain = (book) => (book && typeof book.toObject === 'function' ? book.toObject() : book);
+
+  try {
+    return await AuditEntry.record({
+      action,
+      before: plain(before),
+      after: plain(after),
+      ...context,
+      ...extra
+    });
+  } catch (error) {
+    console.error(`❌ Audit entry for book ${(after || before)._id} failed:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Record a change to a book made in a request
+ * @param {Object} req - Express request (for the actor and source)
+ * @param {string} action - Create, Update, Delete, Restore, Purge or Rollback
+ * @param {Book|Object|null} before - Book before the change
+ * @param {Book|Object|null} after - Book after the change
+ * @param {Object} [extra] - Other entry fields, e.g. { rolledBackTo }
+ * @returns {Promise<AuditEntry|null>} Saved entry
+ */
+const recordAudit = (req, action, before, after, extra = {}) =>
+  recordChange(auditContext(req), action, before, after, extra);
+
+module.exports = { auditContext, recordChange, recordAudit };
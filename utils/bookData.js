@@ -0,0 +1,204 @@
+/**
+ * Book Data Utilities
+ * Turn admin form input (or an imported row) into Book fields, with the
+ * same checks the admin "Add Book" form applies
+ */
+
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const { normalizeIsbn } = require('./isbn');
+
+// Book input fields, in the order they appear on the admin form
+const BOOK_FIELDS = [
+  'title',
+  'author',
+  'description',
+  'genre',
+  'category',
+  'isbn',
+  'publishedYear',
+  'publisher',
+  'format',
+  'coverUrl',
+  'copies',
+  'shelfLocation',
+  'tags'
+];
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// Subject IDs from a multi-select (a single choice arrives as a plain string)
+const subjectIds = (value) => [].concat(value || [])
+  .map(text)
+  .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+/**
+ * Build Book fields from raw string input
+ * @param {Object} input - Field values keyed by BOOK_FIELDS (e.g. req.body)
+ * @param {Object} options
+ * @param {boolean} options.partial - Only include fields that have a value and
+ *   skip the required-field checks (used to update an existing book)
+ * @returns {{data: Object, copies: number, shelfLocation: string|undefined, errors: Object}}
+ */
+const buildBookData = (input, { partial = false } = {}) => {
+  const errors = {};
+  const data = {};
+
+  const title = text(input.title);
+  const author = text(input.author);
+  const genre = text(input.genre);
+  const category = text(input.category);
+  const subjects = subjectIds(input.subjects);
+
+  if (!partial && !title) {
+    errors.title = 'Title is required';
+  }
+  if (!partial && !author) {
+    errors.author = 'Author is required';
+  }
+
+  const copies = text(input.copies) ? Number(text(input.copies)) : 1;
+  if (!Number.isInteger(copies) || copies < 1) {
+    errors.copies = 'Number of copies must be at least 1';
+  }
+
+  let publishedYear = text(input.publishedYear) ? Number(text(input.publishedYear)) : undefined;
+  if (publishedYear !== undefined && !Number.isInteger(publishedYear)) {
+    errors.publishedYear = 'Published year must be a whole number';
+    publishedYear = undefined;
+  }
+
+  if (partial) {
+    if (title) data.title = title;
+    if (author) data.author = author;
+    if (text(input.description)) data.description = text(input.description);
+    if (genre) data.genre = genre;
+    if (category) data.category = category;
+    if (subjects.length > 0) data.subjects = subjects;
+    if (text(input.isbn)) data.isbn = text(input.isbn);
+    if (text(input.coverUrl)) data.coverUrl = text(input.coverUrl);
+    if (publishedYear !== undefined) data.publishedYear = publishedYear;
+    if (text(input.publisher)) data.publisher = text(input.publisher);
+    if (text(input.format)) data.format = text(input.format);
+    if (text(input.tags)) data.tags = text(input.tags).split(',').map(t => t.trim()).filter(Boolean);
+  } else {
+    Object.assign(data, {
+      title,
+      author,
+      description: text(input.description),
+      genre: genre || 'General',
+      category: category || genre || 'General',
+      subjects,
+      isbn: text(input.isbn) || undefined,
+      coverUrl: text(input.coverUrl) || undefined,
+      publishedYear,
+      publisher: text(input.publisher) || undefined,
+      format: text(input.format) || undefined,
+      tags: text(input.tags) ? text(input.tags).split(',').map(t => t.trim()).filter(Boolean) : []
+    });
+  }
+
+  return {
+    data,
+    copies,
+    shelfLocation: text(input.shelfLocation) || undefined,
+    errors
+  };
+};
+
+// Fields of the admin edit form, with the labels used when two edits clash
+const EDIT_FIELDS = {
+  title: 'Title',
+  author: 'Author',
+  description: 'Description',
+  subjects: 'Subjects',
+  isbn: 'ISBN',
+  publishedYear: 'Published Year',
+  publisher: 'Publisher',
+  format: 'Format',
+  coverUrl: 'Cover Image URL',
+  tags: 'Tags',
+  work: 'Edition Of'
+};
+
+/**
+ * Edit form values of a book or of a submitted form, in the same shape as the form posts them
+ * @param {Book|Object} source - Book document or form body
+ * @returns {Object} Values keyed by EDIT_FIELDS
+ */
+const editValues = (source) => {
+  const list = (value) => (Array.isArray(value) ? value : text(value).split(','))
+    .map(text)
+    .filter(Boolean);
+  const isbn = text(source.isbn);
+
+  return {
+    title: text(source.title),
+    author: text(source.author),
+    description: text(source.description),
+    subjects: [].concat(source.subjects || []).map(String),
+    isbn: isbn ? normalizeIsbn(isbn) || isbn : '',
+    publishedYear: text(source.publishedYear),
+    publisher: text(source.publisher),
+    format: text(source.format),
+    coverUrl: text(source.coverUrl),
+    tags: list(source.tags).join(', '),
+    work: text(source.work)
+  };
+};
+
+/**
+ * Three-way merge of an edit with changes saved by someone else since the form was opened
+ * @param {Object} original - editValues of the book when the form was opened (null if unknown)
+ * @param {Object} mine - editValues of the submitted form
+ * @param {Object} theirs - editValues of the book as it is now
+ * @returns {{merged: Object, conflicts: string[]}} Form values to save, and fields both sides changed differently
+ */
+const mergeEdits = (original, mine, theirs) => {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const merged = { ...mine };
+  const conflicts = [];
+
+  Object.keys(EDIT_FIELDS).forEach(field => {
+    if (same(mine[field], theirs[field])) return;
+
+    // Without the original values every difference has to be resolved by hand
+    const theyChanged = !original || !same(original[field], theirs[field]);
+    const iChanged = !original || !same(original[field], mine[field]);
+
+    if (theyChanged && iChanged) {
+      conflicts.push(field);
+    } else if (theyChanged) {
+      merged[field] = theirs[field];
+    }
+  });
+
+  return { merged, conflicts };
+};
+
+/**
+ * Run the Book schema validators (lengths, year range, ISBN checksum) without saving
+ * @param {Object} data - Book fields from buildBookData
+ * @returns {Object} Error messages keyed by field (empty when valid)
+ */
+const schemaErrors = (data) => {
+  const error = new Book(data).validateSync(Object.keys(data));
+  const errors = {};
+
+  if (error) {
+    Object.keys(error.errors).forEach(key => {
+      errors[key] = error.errors[key].message;
+    });
+  }
+  return errors;
+};
+
+module.exports = {
+  BOOK_FIELDS,
+  subjectIds,
+  EDIT_FIELDS,
+  editValues,
+  mergeEdits,
+  buildBookData,
+  schemaErrors
+};
@@ -0,0 +1,141 @@
+/**
+ * Book Export Utilities
+ * Column definitions and row formatting for CSV and NDJSON catalog exports
+ */
+
+const { once } = require('events');
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Every exportable column; loan columns need the borrowed copies joined in
+const EXPORT_COLUMNS = {
+  id: { label: 'ID', value: book => String(book._id) },
+  title: { label: 'Title', value: book => book.title },
+  author: { label: 'Author', value: book => book.author },
+  isbn: { label: 'ISBN', value: book => book.isbn },
+  genre: { label: 'Genre', value: book => book.genre },
+  category: { label: 'Category', value: book => book.category },
+  publishedYear: { label: 'Published Year', value: book => book.publishedYear },
+  publisher: { label: 'Publisher', value: book => book.publisher },
+  format: { label: 'Format', value: book => book.format },
+  description: { label: 'Description', value: book => book.description },
+  tags: { label: 'Tags', value: book => (book.tags || []).join(', ') },
+  rating: { label: 'Rating', value: book => book.rating },
+  totalReviews: { label: 'Reviews', value: book => book.totalReviews },
+  status: { label: 'Status', value: book => book.status },
+  totalCopies: { label: 'Total Copies', value: book => book.totalCopies },
+  availableCopies: { label: 'Available Copies', value: book => book.availableCopies },
+  createdAt: { label: 'Added', value: book => formatDate(book.createdAt) },
+  borrowers: {
+    label: 'Borrowers',
+    loan: true,
+    value: book => book.loans.map(copy => copy.borrowedBy && copy.borrowedBy.name).filter(Boolean).join('; ')
+  },
+  dueDates: {
+    label: 'Due Dates',
+    loan: true,
+    value: book => book.loans.map(copy => formatDate(copy.dueDate)).filter(Boolean).join('; ')
+  },
+  overdue: {
+    label: 'Overdue Copies',
+    loan: true,
+    value: book => book.loans.filter(copy => copy.dueDate && new Date(copy.dueDate) < new Date()).length
+  }
+};
+
+const DEFAULT_COLUMNS = ['title', 'author', 'isbn', 'genre', 'category', 'publishedYear', 'status', 'totalCopies', 'availableCopies'];
+
+/**
+ * Pick the requested columns, ignoring unknown names
+ * @param {string|string[]} requested - Comma-separated list or array (e.g. from ?columns=)
+ * @returns {string[]} Column keys (the defaults when none are valid)
+ */
+const parseColumns = (requested) => {
+  const names = (Array.isArray(requested) ? requested : String(requested || '').split(','))
+    .map(name => name.trim())
+    .filter(name => EXPORT_COLUMNS[name]);
+
+  return names.length > 0 ? [...new Set(names)] : DEFAULT_COLUMNS;
+};
+
+/**
+ * Aggregation pipeline for an export; joins borrowed copies only when a loan column is wanted
+ * @param {Object} query - Book query from buildBookQuery
+ * @param {string[]} columns - Column keys
+ * @returns {Object[]} Pipeline stages
+ */
+const exportPipeline = (query, columns) => {
+  const pipeline = [
+    { $match: query },
+    { $sort: { title: 1, _id: 1 } }
+  ];
+
+  if (columns.some(column => EXPORT_COLUMNS[column].loan)) {
+    pipeline.push({
+      $lookup: {
+        from: 'copies',
+        let: { bookId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$book', '$$bookId'] }, status: 'Borrowed' } },
+          { $sort: { dueDate: 1 } },
+          { $project: { borrowedBy: 1, dueDate: 1 } }
+        ],
+        as: 'loans'
+      }
+    });
+  }
+
+  return pipeline;
+};
+
+/**
+ * Read the selected columns from a book
+ * @param {Object} book - Book from the export pipeline
+ * @param {string[]} columns - Column keys
+ * @returns {Object} Column key -> value
+ */
+const exportRecord = (book, columns) => {
+  const record = {};
+  columns.forEach(column => {
+    const value = EXPORT_COLUMNS[column].value(book);
+    record[column] = value === undefined ? null : value;
+  });
+  return record;
+};
+
+/**
+ * Format one CSV line
+ * Cells that a spreadsheet would run as a formula are prefixed with a quote
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line ending in CRLF
+ */
+const csvLine = (values) => values.map(value => {
+  let cell = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(cell)) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}).join(',') + '\r\n';
+
+/**
+ * Write to a response, waiting when its buffer is full
+ * @param {Response} res - Express response
+ * @param {string} chunk - Data to write
+ * @returns {Promise<boolean>} False once the client has gone away
+ */
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+  return !res.destroyed;
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  exportPipeline,
+  exportRecord,
+  csvLine,
+  writeChunk
+};
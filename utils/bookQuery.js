@@ -0,0 +1,249 @@
+/**
+ * Book Query Utilities
+ * One place that turns list filters (?q=, ?genre=, ...) into a MongoDB query,
+ * so the API, the admin list and the exports all select the same books,
+ * and that pages through the results for GET /api/books
+ */
+
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const Subject = require('../models/Subject');
+const { withCovers } = require('./covers');
+const { queryToFilter } = require('./queryParser');
+
+// Filters carried from the admin list to its export links
+const FILTER_KEYS = ['q', 'query', 'subject', 'category', 'genre', 'available', 'status'];
+
+// Sort keys for GET /api/books (?sort=title, or ?sort=-rating for descending) and the fields behind them
+const SORT_FIELDS = {
+  title: 'title',
+  author: 'author',
+  year: 'publishedYear',
+  rating: 'rating',
+  added: 'createdAt'
+};
+
+const DEFAULT_SORT = '-added';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields a sparse fieldset (?fields=title,author) can ask for; covers is computed from the cover fields
+const SELECTABLE_FIELDS = [
+  ...Object.keys(Book.schema.paths).filter(path => !['__v', 'deletedAt'].includes(path)),
+  'covers'
+];
+const COVER_FIELDS = ['coverImage', 'coverUrl', 'title', 'author'];
+
+/**
+ * Build a Book query from request query parameters
+ * @param {Object} params - Request query (q, query, subject, category, genre, available, status)
+ * @returns {Promise<Object>} MongoDB query
+ * @throws {QuerySyntaxError} When the query-language search (?query=) cannot be read
+ */
+const buildBookQuery = async ({ q, query: advanced, subject, category, genre, available, status } = {}) => {
+  const query = {};
+
+  // Text search on title, author, description
+  if (q && String(q).trim()) {
+    query.$text = { $search: String(q).trim() };
+  }
+
+  // Advanced search in the query language, e.g. author:orwell year:1940..1960 -genre:romance
+  if (advanced && String(advanced).trim()) {
+    query.$and = [await queryToFilter(advanced)];
+  }
+
+  // Filter by subject (ID, slug, name or synonym), including every narrower term
+  if (subject) {
+    const term = await Subject.resolve(subject);
+    query.subjects = { $in: term ? await Subject.branchIds(term._id) : [] };
+  }
+
+  // Filter by category
+  if (category) {
+    query.category = category;
+  }
+
+  // Filter by genre
+  if (genre) {
+    query.genre = genre;
+  }
+
+  // Filter by availability
+  if (available !== undefined && available !== '') {
+    query.available = available === 'true';
+  }
+
+  // Filter by status
+  if (status) {
+    query.status = status;
+  }
+
+  return query;
+};
+
+/**
+ * The active filters as a query string, e.g. "q=gatsby&genre=Fiction"
+ * @param {Object} params - Request query
+ * @returns {string} Query string without a leading "?" (empty when unfiltered)
+ */
+const filterQueryString = (params = {}) => {
+  const search = new URLSearchParams();
+  FILTER_KEYS.forEach(key => {
+    if (params[key] !== undefined && params[key] !== '') {
+      search.set(key, params[key]);
+    }
+  });
+  return search.toString();
+};
+
+/**
+ * Opaque cursor for a position in a sorted list
+ * @param {Object} position - Sort key, last value and last ID
+ * @returns {string} URL-safe cursor
+ */
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Read a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from the request
+ * @returns {Object|null} Position, or null if the cursor is not readable
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return position && mongoose.Types.ObjectId.isValid(position.id) ? position : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the paging options of a list request
+ * @param {Object} params - Request query (limit, cursor, sort, fields)
+ * @returns {{limit: number, sort: Object, after: Object|null, fields: string[]|null, error: string|null}}
+ *   Options, with error set when one of them is invalid
+ */
+const pageOptions = ({ limit, cursor, sort = DEFAULT_SORT, fields } = {}) => {
+  const options = { limit: DEFAULT_LIMIT, sort: null, after: null, fields: null, error: null };
+
+  if (limit !== undefined && limit !== '') {
+    options.limit = parseInt(limit);
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+      return { ...options, error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+    }
+  }
+
+  const key = String(sort).replace(/^-/, '');
+  if (!SORT_FIELDS[key]) {
+    return { ...options, error: `sort must be one of ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)` };
+  }
+  options.sort = { key: String(sort), field: SORT_FIELDS[key], direction: String(sort).startsWith('-') ? -1 : 1 };
+
+  if (cursor) {
+    options.after = decodeCursor(cursor);
+    if (!options.after || options.after.sort !== options.sort.key) {
+      return { ...options, error: 'cursor is invalid or was made for a different sort' };
+    }
+  }
+
+  if (fields) {
+    options.fields = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = options.fields.filter(field => !SELECTABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return { ...options, error: `Unknown fields: ${unknown.join(', ')}` };
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Narrow a query to the books after a cursor position
+ * Keyset pagination: pages stay consistent while books are added, and no books are skipped over.
+ * Books without a value (e.g. no publishedYear) sort before all others, as MongoDB sorts them
+ * @param {Object} query - Book query
+ * @param {Object} sort - { field, direction } from pageOptions
+ * @param {Object} after - Cursor position { value, id }
+ * @returns {Object} Query for the following books
+ */
+const afterCursor = (query, { field, direction }, after) => {
+  const id = new mongoose.Types.ObjectId(after.id);
+  const value = field === 'createdAt' && after.value !== null ? new Date(after.value) : after.value;
+  const beyond = direction === 1 ? '$gt' : '$lt';
+
+  let conditions;
+  if (value === null) {
+    conditions = direction === 1
+      ? [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }]
+      : [{ [field]: null, _id: { $lt: id } }];
+  } else {
+    conditions = [{ [field]: { [beyond]: value } }, { [field]: value, _id: { [beyond]: id } }];
+    if (direction === -1) {
+      conditions.push({ [field]: null });
+    }
+  }
+
+  return { ...query, $and: [...(query.$and || []), { $or: conditions }] };
+};
+
+/**
+ * Find one page of books
+ * @param {Object} query - Book query from buildBookQuery
+ * @param {Object} options - Paging options from pageOptions
+ * @returns {Promise<{books: Object[], nextCursor: string|null}>} Lean books with covers
+ *   (only the requested fields when a fieldset is given), and the cursor of the next page
+ */
+const findBookPage = async (query, { limit, sort, after, fields }) => {
+  const find = Book.find(after ? afterCursor(query, sort, after) : query)
+    .sort({ [sort.field]: sort.direction, _id: sort.direction })
+    .limit(limit + 1)
+    .lean();
+
+  // The sort field is always read, to place the next cursor
+  if (fields) {
+    const needed = fields.includes('covers') ? [...fields, ...COVER_FIELDS] : fields;
+    find.select([...new Set([...needed.filter(field => field !== 'covers'), sort.field])].join(' '));
+  }
+
+  return pageResult(await find, { limit, sort, fields });
+};
+
+/**
+ * Turn the books found for a page (one more than the limit) into the page and its next cursor
+ * @param {Object[]} found - Lean books, limit + 1 at most
+ * @param {Object} options - Paging options from pageOptions
+ * @returns {{books: Object[], nextCursor: string|null}} Books with covers (only the requested
+ *   fields when a fieldset is given), and the cursor of the next page
+ */
+const pageResult = (found, { limit, sort, fields }) => {
+  const page = found.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = found.length > limit
+    ? encodeCursor({ sort: sort.key, value: last[sort.field] ?? null, id: last._id })
+    : null;
+
+  const books = page.map(book => {
+    const full = withCovers(book);
+    if (!fields) return full;
+
+    const picked = { _id: full._id };
+    fields.forEach(field => { picked[field] = full[field]; });
+    return picked;
+  });
+
+  return { books, nextCursor };
+};
+
+module.exports = {
+  FILTER_KEYS,
+  SORT_FIELDS,
+  buildBookQuery,
+  filterQueryString,
+  encodeCursor,
+  decodeCursor,
+  pageOptions,
+  afterCursor,
+  findBookPage,
+  pageResult
+};
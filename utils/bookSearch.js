@@ -0,0 +1,154 @@
+/**
+ * Book Search Utilities
+ * Faceted search: the matching books plus, for each facet, how many books each
+ * choice would give, computed in a single aggregation
+ */
+
+const Book = require('../models/Book');
+const { buildBookQuery, afterCursor, pageResult } = require('./bookQuery');
+
+// Publication year buckets: each starts at its year and runs to the next one
+const YEAR_BUCKETS = [1000, 1900, 1950, 1980, 2000, 2010, 2020, 3000];
+
+// Rating bands (average of published reviews); books without reviews are "unrated"
+const RATING_BANDS = [1, 2, 3, 4];
+
+// Tags listed in the tags facet, most used first
+const TAG_LIMIT = 20;
+
+/**
+ * Label for the year bucket starting at `from`
+ * @param {number} from - First year of the bucket
+ * @returns {string} e.g. "1950-1979", "Before 1900" or "2020 and later"
+ */
+const yearLabel = (from) => {
+  const index = YEAR_BUCKETS.indexOf(from);
+  if (index === 0) return `Before ${YEAR_BUCKETS[1]}`;
+  if (index === YEAR_BUCKETS.length - 2) return `${from} and later`;
+  return `${from}-${YEAR_BUCKETS[index + 1] - 1}`;
+};
+
+/**
+ * Filter for each facet choice in the request
+ * @param {Object} params - Request query (genre, category, status, year, tag, rating)
+ * @returns {Object} Condition keyed by facet, null when the facet is not filtered
+ */
+const facetFilters = ({ genre, category, status, year, tag, rating } = {}) => {
+  const filters = {
+    genre: genre ? { genre } : null,
+    category: category ? { category } : null,
+    status: status ? { status } : null,
+    publishedYear: null,
+    tags: tag ? { tags: tag } : null,
+    rating: null
+  };
+
+  if (year === 'unknown') {
+    filters.publishedYear = { publishedYear: null };
+  } else if (YEAR_BUCKETS.slice(0, -1).includes(Number(year))) {
+    const next = YEAR_BUCKETS[YEAR_BUCKETS.indexOf(Number(year)) + 1];
+    filters.publishedYear = { publishedYear: { $gte: Number(year), $lt: next } };
+  }
+
+  if (rating === 'unrated') {
+    filters.rating = { totalReviews: 0 };
+  } else if (rating !== undefined && rating !== '' && [0, ...RATING_BANDS].includes(Number(rating))) {
+    const band = Number(rating);
+    filters.rating = { totalReviews: { $gt: 0 }, rating: band === 4 ? { $gte: 4 } : { $gte: band, $lt: band + 1 } };
+  }
+
+  return filters;
+};
+
+/**
+ * Match every facet choice except one, so a facet counts the books each of its
+ * options would give alongside the other choices
+ * @param {Object} filters - From facetFilters
+ * @param {string} [except] - Facet to leave out
+ * @returns {Object} $match stage
+ */
+const matchExcept = (filters, except) => {
+  const conditions = Object.entries(filters)
+    .filter(([facet, condition]) => facet !== except && condition)
+    .map(([, condition]) => condition);
+  return { $match: conditions.length ? { $and: conditions } : {} };
+};
+
+/**
+ * Search books and count the choices of every facet
+ * @param {Object} params - Request query: q, query, subject and available narrow everything;
+ *   genre, category, status, year, tag and rating are facet choices
+ * @param {Object} options - Paging options from pageOptions
+ * @returns {Promise<{books: Object[], total: number, nextCursor: string|null, facets: Object}>}
+ *   One page of books, the number of matches, the next cursor and the facet counts
+ */
+const facetedSearch = async (params, options) => {
+  const { limit, sort, after } = options;
+  const filters = facetFilters(params);
+  const all = matchExcept(filters);
+  const count = { count: { $sum: 1 } };
+
+  const [result] = await Book.aggregate([
+    // $text has to be in the first stage
+    { $match: await buildBookQuery({ q: params.q, query: params.query, subject: params.subject, available: params.available }) },
+    {
+      $facet: {
+        results: [
+          all,
+          ...(after ? [{ $match: afterCursor({}, sort, after) }] : []),
+          { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+          { $limit: limit + 1 }
+        ],
+        total: [all, { $count: 'count' }],
+        genre: [matchExcept(filters, 'genre'), { $sortByCount: '$genre' }],
+        category: [matchExcept(filters, 'category'), { $sortByCount: '$category' }],
+        status: [matchExcept(filters, 'status'), { $sortByCount: '$status' }],
+        publishedYear: [
+          matchExcept(filters, 'publishedYear'),
+          { $bucket: { groupBy: '$publishedYear', boundaries: YEAR_BUCKETS, default: 'unknown', output: count } }
+        ],
+        tags: [
+          matchExcept(filters, 'tags'),
+          { $unwind: '$tags' },
+          { $sortByCount: '$tags' },
+          { $limit: TAG_LIMIT }
+        ],
+        rating: [
+          matchExcept(filters, 'rating'),
+          {
+            $bucket: {
+              groupBy: { $cond: [{ $gt: ['$totalReviews', 0] }, '$rating', null] },
+              boundaries: [0, ...RATING_BANDS, 5.01],
+              default: 'unrated',
+              output: count
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const { books, nextCursor } = pageResult(result.results, options);
+  const entry = (value, label, total) => ({ value, label, count: total });
+
+  return {
+    books,
+    total: result.total.length ? result.total[0].count : 0,
+    nextCursor,
+    facets: {
+      genre: result.genre.map(group => entry(group._id, group._id, group.count)),
+      category: result.category.map(group => entry(group._id, group._id, group.count)),
+      status: result.status.map(group => entry(group._id, group._id, group.count)),
+      publishedYear: result.publishedYear.map(group => (group._id === 'unknown'
+        ? entry('unknown', 'Unknown', group.count)
+        : entry(group._id, yearLabel(group._id), group.count))),
+      tags: result.tags.map(group => entry(group._id, group._id, group.count)),
+      rating: result.rating.map(group => {
+        if (group._id === 'unrated') return entry('unrated', 'Not yet rated', group.count);
+        return entry(group._id, group._id === 4 ? '4 stars and up' : `${group._id}-${group._id + 1} stars`, group.count);
+      })
+    }
+  };
+};
+
+module.exports = { YEAR_BUCKETS, RATING_BANDS, facetFilters, facetedSearch };
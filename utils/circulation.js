@@ -0,0 +1,32 @@
+/**
+ * Circulation Utilities
+ * The states a copy moves through and the error raised when a move is not allowed
+ */
+
+// Circulation state machine: the states each action can move a copy out of
+// Available --borrow--> Borrowed --return--> Available, or Reserved for the next hold
+// Reserved --borrow (by the hold's patron)--> Borrowed; renew keeps a copy Borrowed
+const TRANSITIONS = {
+  borrow: ['Available', 'Reserved'],
+  renew: ['Borrowed'],
+  return: ['Borrowed'],
+  reserve: ['Available', 'Reserved'] // A new copy, or one whose hold was cancelled or expired
+};
+
+/**
+ * A circulation action the current state does not allow, e.g. returning
+ * a copy that is not on loan (sent to API clients as 409 Conflict)
+ */
+class CirculationError extends Error {
+  /**
+   * @param {string} code - Machine-readable reason, e.g. COPY_NOT_BORROWED
+   * @param {string} message - Explanation for the patron or librarian
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'CirculationError';
+    this.code = code;
+  }
+}
+
+module.exports = { TRANSITIONS, CirculationError };
@@ -0,0 +1,186 @@
+/**
+ * Cover Image Utilities
+ * Store uploaded covers on local disk in the sizes the frontend shows, and
+ * draw a placeholder with the title and author for books without a cover
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+const COVER_DIR = process.env.COVER_UPLOAD_DIR || path.join(__dirname, '..', 'uploads', 'covers');
+const COVER_URL_PATH = '/uploads/covers';
+const PLACEHOLDER_URL_PATH = '/api/covers/placeholder.svg';
+
+// Sizes generated for every upload (2:3, the shape of a book cover)
+const COVER_SIZES = {
+  thumb: { width: 120, height: 180 },
+  card: { width: 300, height: 450 }
+};
+
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+const COVER_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const PLACEHOLDER_COLORS = ['#1e3a8a', '#7c2d12', '#14532d', '#581c87', '#831843', '#134e4a', '#78350f', '#334155'];
+
+const fileName = (key, size) => `${key}-${size}.webp`;
+
+/**
+ * Resize an uploaded image into every cover size and write them to disk
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<string>} Cover key to store on the book (Book.coverImage)
+ */
+const saveCover = async (buffer) => {
+  // A new key per upload, so a changed cover never hits a cached old one
+  const key = crypto.randomBytes(12).toString('hex');
+  await fs.mkdir(COVER_DIR, { recursive: true });
+
+  try {
+    await Promise.all(Object.entries(COVER_SIZES).map(([size, { width, height }]) =>
+      sharp(buffer)
+        .rotate() // Respect EXIF orientation from phone photos
+        .resize(width, height, { fit: 'cover' })
+        .webp({ quality: 82 })
+        .toFile(path.join(COVER_DIR, fileName(key, size)))
+    ));
+  } catch (error) {
+    await removeCover(key);
+    throw new Error('The cover could not be read - upload a JPEG, PNG, WebP or GIF image');
+  }
+
+  return key;
+};
+
+/**
+ * Delete every size of a stored cover (missing files are ignored)
+ * @param {string} key - Cover key from saveCover
+ */
+const removeCover = async (key) => {
+  if (!key) return;
+
+  await Promise.all(Object.keys(COVER_SIZES).map(size =>
+    fs.unlink(path.join(COVER_DIR, fileName(key, size))).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    })
+  ));
+};
+
+/**
+ * URL of the generated placeholder for a title and author
+ * @param {string} title - Book title
+ * @param {string} author - Author name
+ * @param {string} size - Key of COVER_SIZES
+ * @returns {string} Placeholder URL
+ */
+const placeholderUrl = (title, author, size = 'card') => {
+  const search = new URLSearchParams({ title: title || '', author: author || '', size });
+  return `${PLACEHOLDER_URL_PATH}?${search}`;
+};
+
+/**
+ * Cover URLs for a book: the uploaded cover, else its external cover URL, else a placeholder
+ * @param {Object} book - Book (document or plain object) with coverImage, coverUrl, title, author
+ * @returns {{thumb: string, card: string}} URL per size
+ */
+const coverUrls = (book) => {
+  const urls = {};
+  Object.keys(COVER_SIZES).forEach(size => {
+    if (book.coverImage) {
+      urls[size] = `${COVER_URL_PATH}/${fileName(book.coverImage, size)}`;
+    } else if (book.coverUrl) {
+      urls[size] = book.coverUrl;
+    } else {
+      urls[size] = placeholderUrl(book.title, book.author, size);
+    }
+  });
+  return urls;
+};
+
+/**
+ * Add cover URLs to a lean book (lean queries skip the Book "covers" virtual)
+ * @param {Object} book - Plain book object
+ * @returns {Object} Book with a covers field
+ */
+const withCovers = (book) => ({ ...book, covers: coverUrls(book) });
+
+const escapeSvg = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Break text into lines of at most `width` characters
+ * @param {string} text - Text to wrap
+ * @param {number} width - Characters per line
+ * @param {number} maxLines - Lines kept; the last one ends in "..." when cut short
+ * @returns {string[]} Lines
+ */
+const wrapText = (text, width, maxLines) => {
+  const lines = [];
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= width) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word.length > width ? `${word.slice(0, width - 1)}-` : word);
+    }
+  });
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, width - 3)}...`;
+  }
+  return lines;
+};
+
+/**
+ * Draw a placeholder cover showing the title and author
+ * The colour is picked from the title so a book always gets the same one
+ * @param {Object} options
+ * @param {string} options.title - Book title
+ * @param {string} options.author - Author name
+ * @param {string} options.size - Key of COVER_SIZES (defaults to card)
+ * @returns {string} SVG document
+ */
+const placeholderSvg = ({ title, author, size } = {}) => {
+  const { width, height } = COVER_SIZES[size] || COVER_SIZES.card;
+  const cleanTitle = String(title || 'Untitled').trim().slice(0, 200) || 'Untitled';
+  const cleanAuthor = String(author || '').trim().slice(0, 100);
+
+  const hash = crypto.createHash('md5').update(cleanTitle.toLowerCase()).digest();
+  const background = PLACEHOLDER_COLORS[hash[0] % PLACEHOLDER_COLORS.length];
+
+  // Drawn on a 300x450 canvas and scaled to the requested size
+  const titleLines = wrapText(cleanTitle, 16, 6);
+  const authorLines = wrapText(cleanAuthor, 24, 2);
+  const titleTop = 190 - (titleLines.length - 1) * 17;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 300 450" role="img" aria-label="${escapeSvg(cleanTitle)}">`,
+    `<rect width="300" height="450" fill="${background}"/>`,
+    '<rect x="18" y="18" width="264" height="414" fill="none" stroke="#ffffff" stroke-opacity="0.35" stroke-width="2"/>',
+    '<g font-family="Georgia, \'Times New Roman\', serif" fill="#ffffff" text-anchor="middle">',
+    ...titleLines.map((line, i) =>
+      `<text x="150" y="${titleTop + i * 34}" font-size="28" font-weight="bold">${escapeSvg(line)}</text>`),
+    ...authorLines.map((line, i) =>
+      `<text x="150" y="${380 + i * 24}" font-size="18" fill-opacity="0.85">${escapeSvg(line)}</text>`),
+    '</g>',
+    '</svg>'
+  ].join('\n');
+};
+
+module.exports = {
+  COVER_DIR,
+  COVER_URL_PATH,
+  COVER_SIZES,
+  MAX_COVER_BYTES,
+  COVER_TYPES,
+  saveCover,
+  removeCover,
+  placeholderUrl,
+  coverUrls,
+  withCovers,
+  placeholderSvg
+};
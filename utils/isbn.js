@@ -0,0 +1,95 @@
+/**
+ * ISBN Utilities
+ * Validation and conversion between ISBN-10 and ISBN-13
+ * The canonical stored form is a bare 13-digit ISBN ("9780743273565")
+ */
+
+/**
+ * Strip spaces and hyphens and upper-case a trailing "x"
+ * @param {string} value - ISBN as typed
+ * @returns {string} Compact ISBN
+ */
+const compact = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Check an ISBN-10 check digit
+ * @param {string} isbn - Compact 10-character ISBN
+ * @returns {boolean} True if valid
+ */
+const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = isbn[i] === 'X' ? 10 : parseInt(isbn[i]);
+    sum += digit * (10 - i);
+  }
+  return sum % 11 === 0;
+};
+
+/**
+ * Check an ISBN-13 check digit
+ * @param {string} isbn - Compact 13-digit ISBN
+ * @returns {boolean} True if valid
+ */
+const isValidIsbn13 = (isbn) => {
+  if (!/^\d{13}$/.test(isbn)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 13; i++) {
+    sum += parseInt(isbn[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Convert a valid ISBN-10 to ISBN-13 (978 prefix)
+ * @param {string} isbn10 - Compact ISBN-10
+ * @returns {string} ISBN-13
+ */
+const toIsbn13 = (isbn10) => {
+  const body = `978${isbn10.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += parseInt(body[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return body + ((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Convert a valid ISBN-13 to ISBN-10 (only possible for the 978 prefix)
+ * @param {string} isbn13 - Compact ISBN-13
+ * @returns {string|null} ISBN-10, or null for 979 ISBNs
+ */
+const toIsbn10 = (isbn13) => {
+  if (!isbn13.startsWith('978')) return null;
+
+  const body = isbn13.slice(3, 12);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += parseInt(body[i]) * (10 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return body + (check === 10 ? 'X' : String(check));
+};
+
+/**
+ * Normalise an ISBN-10 or ISBN-13 to the canonical 13-digit form
+ * @param {string} value - ISBN in any common notation
+ * @returns {string|null} Canonical ISBN-13, or null if the ISBN is invalid
+ */
+const normalizeIsbn = (value) => {
+  const isbn = compact(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (isValidIsbn10(isbn)) return toIsbn13(isbn);
+  return null;
+};
+
+module.exports = {
+  compact,
+  isValidIsbn10,
+  isValidIsbn13,
+  toIsbn13,
+  toIsbn10,
+  normalizeIsbn
+};
@@ -0,0 +1,308 @@
+/**
+ * MARC Utilities
+ * Parse binary MARC21 (ISO 2709) and MARCXML records, map them to Book data,
+ * and write books back out as MARCXML
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const { normalizeIsbn } = require('./isbn');
+
+const FIELD_TERMINATOR = 0x1e;
+const RECORD_TERMINATOR = 0x1d;
+const SUBFIELD_DELIMITER = '\x1f';
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+/**
+ * Parse a binary MARC21 file into records
+ * Each record is { leader, fields: [{ tag, value } | { tag, ind1, ind2, subfields }] }
+ * @param {Buffer} buffer - File contents
+ * @returns {Object[]} Parsed records
+ */
+const parseMarc21 = (buffer) => {
+  const records = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    // Skip whitespace and stray terminators between records
+    if (buffer[offset] === RECORD_TERMINATOR || buffer[offset] <= 0x20) {
+      offset++;
+      continue;
+    }
+
+    const recordLength = parseInt(buffer.toString('ascii', offset, offset + 5));
+    if (!recordLength || offset + recordLength > buffer.length) {
+      throw new Error(`Invalid MARC21 record length at byte ${offset}`);
+    }
+
+    const record = buffer.subarray(offset, offset + recordLength);
+    const leader = record.toString('ascii', 0, 24);
+    const baseAddress = parseInt(leader.slice(12, 17));
+    const fields = [];
+
+    // Directory entries are 12 bytes each: tag (3), length (4), start (5)
+    for (let pos = 24; record[pos] !== FIELD_TERMINATOR && pos + 12 <= baseAddress; pos += 12) {
+      const entry = record.toString('ascii', pos, pos + 12);
+      const tag = entry.slice(0, 3);
+      const length = parseInt(entry.slice(3, 7));
+      const start = baseAddress + parseInt(entry.slice(7, 12));
+
+      // Drop the field terminator at the end of each field
+      const data = record.toString('utf8', start, start + length).replace(/\x1e$/, '');
+      fields.push(parseFieldData(tag, data));
+    }
+
+    records.push({ leader, fields });
+    offset += recordLength;
+  }
+
+  return records;
+};
+
+/**
+ * Split the raw data of one binary field into indicators and subfields
+ * @param {string} tag - Field tag
+ * @param {string} data - Field data without its terminator
+ * @returns {Object} Parsed field
+ */
+const parseFieldData = (tag, data) => {
+  if (tag < '010') {
+    return { tag, value: data };
+  }
+
+  const [indicators, ...parts] = data.split(SUBFIELD_DELIMITER);
+  return {
+    tag,
+    ind1: indicators[0] || ' ',
+    ind2: indicators[1] || ' ',
+    subfields: parts.filter(Boolean).map(part => ({ code: part[0], value: part.slice(1) }))
+  };
+};
+
+/**
+ * Parse a MARCXML document (a <collection> or a single <record>) into records
+ * @param {string} xml - Document text
+ * @returns {Object[]} Parsed records in the same shape as parseMarc21
+ */
+const parseMarcXml = (xml) => {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: false,
+    isArray: name => ['record', 'controlfield', 'datafield', 'subfield'].includes(name)
+  });
+
+  const doc = parser.parse(xml);
+  const records = doc.collection ? doc.collection.record || [] : doc.record || [];
+  if (!doc.collection && !doc.record) {
+    throw new Error('No MARCXML <collection> or <record> element found');
+  }
+
+  const text = node => (typeof node === 'object' ? node['#text'] || '' : String(node ?? ''));
+
+  return records.map(record => ({
+    leader: text(record.leader),
+    fields: [
+      ...(record.controlfield || []).map(field => ({ tag: field.tag, value: text(field) })),
+      ...(record.datafield || []).map(field => ({
+        tag: field.tag,
+        ind1: field.ind1 || ' ',
+        ind2: field.ind2 || ' ',
+        subfields: (field.subfield || []).map(sub => ({ code: sub.code, value: text(sub) }))
+      }))
+    ].sort((a, b) => a.tag.localeCompare(b.tag))
+  }));
+};
+
+/**
+ * Parse an uploaded file, detecting MARCXML by its first non-blank character
+ * @param {Buffer} buffer - File contents
+ * @returns {Object[]} Parsed records
+ */
+const parseMarcFile = (buffer) => {
+  const start = buffer.toString('utf8', 0, 200).trimStart();
+  return start.startsWith('<') ? parseMarcXml(buffer.toString('utf8')) : parseMarc21(buffer);
+};
+
+/**
+ * Values of one subfield across every occurrence of a tag
+ * @param {Object} record - Parsed record
+ * @param {string} tag - Field tag
+ * @param {string} codes - Subfield codes to join, e.g. 'ab'
+ * @returns {string[]} One value per field occurrence
+ */
+const fieldValues = (record, tag, codes = 'a') => record.fields
+  .filter(field => field.tag === tag && field.subfields)
+  .map(field => field.subfields
+    .filter(sub => codes.includes(sub.code))
+    .map(sub => sub.value.trim())
+    .join(' '))
+  .filter(Boolean);
+
+const controlValue = (record, tag) => {
+  const field = record.fields.find(f => f.tag === tag && f.value !== undefined);
+  return field ? field.value : '';
+};
+
+// Strip trailing ISBD punctuation (" /", " :", ",", ".") left over from cataloguing
+const clean = (value) => value.replace(/[\s/:;,=]+$/, '').replace(/([^.A-Z])\.$/, '$1').trim();
+
+// "Fitzgerald, F. Scott" -> "F. Scott Fitzgerald"
+const invertName = (name) => {
+  const parts = clean(name).split(/,\s*/);
+  return parts.length === 2 ? `${parts[1]} ${parts[0]}` : clean(name);
+};
+
+// "F. Scott Fitzgerald" -> "Fitzgerald, F. Scott"
+const catalogName = (name) => {
+  const parts = name.trim().split(/\s+/);
+  return parts.length > 1 ? `${parts.pop()}, ${parts.join(' ')}` : name.trim();
+};
+
+/**
+ * Map a parsed MARC record to Book fields
+ * Also returns which tag each value came from, for the import preview
+ * @param {Object} record - Parsed record
+ * @returns {{book: Object, sources: Object, problems: string[]}} Mapped data
+ */
+const recordToBook = (record) => {
+  const book = {};
+  const sources = {};
+  const problems = [];
+
+  const title = fieldValues(record, '245', 'ab')[0];
+  if (title) {
+    book.title = clean(title);
+    sources.title = '245 $a$b';
+  }
+
+  const personal = fieldValues(record, '100')[0];
+  const corporate = fieldValues(record, '110')[0];
+  const statement = fieldValues(record, '245', 'c')[0];
+  if (personal) {
+    book.author = invertName(personal);
+    sources.author = '100 $a';
+  } else if (corporate) {
+    book.author = clean(corporate);
+    sources.author = '110 $a';
+  } else if (statement) {
+    book.author = clean(statement.replace(/^by\s+/i, ''));
+    sources.author = '245 $c';
+  }
+
+  // First 020 with a valid ISBN; qualifiers such as "(pbk.)" are dropped
+  for (const value of fieldValues(record, '020')) {
+    const isbn = normalizeIsbn(value.split(/\s/)[0]);
+    if (isbn) {
+      book.isbn = isbn;
+      sources.isbn = '020 $a';
+      break;
+    }
+  }
+  if (!book.isbn && fieldValues(record, '020').length > 0) {
+    problems.push(`Ignored invalid ISBN "${fieldValues(record, '020')[0]}"`);
+  }
+
+  const published = fieldValues(record, '264', 'c')[0] || fieldValues(record, '260', 'c')[0];
+  const fixedYear = controlValue(record, '008').slice(7, 11);
+  const year = (published && published.match(/\d{4}/)) || (/^\d{4}$/.test(fixedYear) && [fixedYear]);
+  if (year) {
+    book.publishedYear = parseInt(year[0]);
+    sources.publishedYear = published ? (fieldValues(record, '264', 'c')[0] ? '264 $c' : '260 $c') : '008/07-10';
+  }
+
+  const publisher = fieldValues(record, '264', 'b')[0] || fieldValues(record, '260', 'b')[0];
+  if (publisher) {
+    book.publisher = clean(publisher);
+    sources.publisher = fieldValues(record, '264', 'b')[0] ? '264 $b' : '260 $b';
+  }
+
+  const summary = fieldValues(record, '520')[0];
+  if (summary) {
+    book.description = summary.length > 1000 ? `${summary.slice(0, 997)}...` : summary;
+    sources.description = '520 $a';
+  }
+
+  const subjects = [...new Set(fieldValues(record, '650').map(clean))];
+  if (subjects.length > 0) {
+    book.tags = subjects;
+    sources.tags = '650 $a';
+  }
+
+  const genre = fieldValues(record, '655')[0];
+  if (genre) {
+    book.genre = clean(genre);
+    sources.genre = '655 $a';
+  } else if (subjects.length > 0) {
+    book.genre = subjects[0];
+    sources.genre = '650 $a';
+  }
+  if (book.genre) {
+    book.category = book.genre;
+  }
+
+  if (!book.title) problems.push('Missing title (245 $a)');
+  if (!book.author) problems.push('Missing author (100, 110 or 245 $c)');
+
+  return { book, sources, problems };
+};
+
+/**
+ * Escape text for use in XML content or attributes
+ * @param {*} value - Raw value
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const datafield = (tag, ind1, ind2, subfields) => {
+  const subs = subfields
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([code, value]) => `<subfield code="${code}">${escapeXml(value)}</subfield>`)
+    .join('');
+  return subs ? `<datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">${subs}</datafield>` : '';
+};
+
+/**
+ * Write one book as a MARCXML <record>
+ * @param {Book} book - Book document
+ * @returns {string} Record XML
+ */
+const bookToMarcXml = (book) => {
+  const updated = book.updatedAt || new Date();
+  const stamp = updated.toISOString().replace(/[-:T]/g, '').slice(0, 14) + '.0';
+  const created = (book.createdAt || updated).toISOString().slice(2, 10).replace(/-/g, '');
+  const year = book.publishedYear ? String(book.publishedYear) : '    ';
+  const fixed = `${created}s${year}    xx            000 0 eng d`;
+
+  return [
+    '<record>',
+    '<leader>00000nam a2200000 a 4500</leader>',
+    `<controlfield tag="001">${book._id}</controlfield>`,
+    `<controlfield tag="005">${stamp}</controlfield>`,
+    `<controlfield tag="008">${fixed}</controlfield>`,
+    datafield('020', ' ', ' ', [['a', book.isbn]]),
+    datafield('100', '1', ' ', [['a', book.author && catalogName(book.author)]]),
+    datafield('245', '1', '0', [['a', book.title], ['c', book.author]]),
+    datafield('264', ' ', '1', [['b', book.publisher], ['c', book.publishedYear]]),
+    datafield('520', ' ', ' ', [['a', book.description]]),
+    ...(book.tags || []).map(tag => datafield('650', ' ', '4', [['a', tag]])),
+    datafield('655', ' ', '7', [['a', book.genre], ['2', 'local']]),
+    '</record>'
+  ].filter(Boolean).join('\n');
+};
+
+module.exports = {
+  MARCXML_NAMESPACE,
+  parseMarc21,
+  parseMarcXml,
+  parseMarcFile,
+  recordToBook,
+  bookToMarcXml,
+  escapeXml
+};
@@ -0,0 +1,346 @@
+/**
+ * Catalog Query Language
+ * Turns an advanced search such as
+ *   author:orwell year:1940..1960 status:available tag:dystopia -genre:romance
+ * into a MongoDB query for books:
+ * - Words match the title, author or description; "quoted phrases" match as a whole
+ * - field:value narrows one field, field:"a phrase" when the value has spaces
+ * - Ranges for numbers: year:1940..1960, year:2000.. (and later), rating:..3 (up to 3)
+ * - -term or NOT term excludes, OR between terms matches either, (parentheses) group
+ * - Terms side by side (or joined by AND) must all match
+ */
+
+const Subject = require('../models/Subject');
+const { compact, normalizeIsbn } = require('./isbn');
+
+// Longest query accepted, so a pasted essay cannot build a huge filter
+const MAX_LENGTH = 500;
+
+// Fields a term can name, and how each one matches
+const FIELDS = {
+  title: 'contains',
+  author: 'contains',
+  description: 'contains',
+  publisher: 'contains',
+  genre: 'exact',
+  category: 'exact',
+  format: 'exact',
+  status: 'exact',
+  tag: 'exact',
+  isbn: 'isbn',
+  year: 'number',
+  rating: 'number',
+  available: 'boolean',
+  subject: 'subject'
+};
+
+// Book field behind a query field, where the names differ
+const FIELD_PATHS = {
+  tag: 'tags',
+  year: 'publishedYear'
+};
+
+// Fields a bare word or phrase is looked for in
+const TEXT_FIELDS = ['title', 'author', 'description'];
+
+const NUMBER = /^\d+(\.\d+)?$/;
+const RANGE = /^(\d+(?:\.\d+)?)?\.\.(\d+(?:\.\d+)?)?$/;
+
+/**
+ * A query that cannot be read (sent to API clients as 400 Bad Request)
+ */
+class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - What is wrong, ending with where
+   * @param {number} position - Character where the problem is (1 = first)
+   */
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Read a "quoted phrase"
+ * @param {string} input - Whole query
+ * @param {number} start - Index of the opening quote
+ * @returns {{value: string, end: number}} Phrase and the index after the closing quote
+ */
+const readPhrase = (input, start) => {
+  const close = input.indexOf('"', start + 1);
+  if (close === -1) {
+    throw new QuerySyntaxError('Missing closing quote for the phrase', start + 1);
+  }
+  const value = input.slice(start + 1, close).trim();
+  if (!value) {
+    throw new QuerySyntaxError('Empty phrase', start + 1);
+  }
+  return { value, end: close + 1 };
+};
+
+/**
+ * Split a query into tokens: ( ) NOT OR AND, and terms ({ field, value, quoted })
+ * @param {string} input - Query text
+ * @returns {Object[]} Tokens, each with its 1-based position
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+    const position = i + 1;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      i++;
+    } else if (char === '-') {
+      if (i + 1 >= input.length || /[\s)]/.test(input[i + 1])) {
+        throw new QuerySyntaxError('Expected a search term after "-"', position);
+      }
+      tokens.push({ type: 'NOT', position });
+      i++;
+    } else if (char === '"') {
+      const { value, end } = readPhrase(input, i);
+      tokens.push({ type: 'term', field: null, value, quoted: true, position });
+      i = end;
+    } else {
+      const field = /^([a-zA-Z]+):/.exec(input.slice(i));
+      if (field) {
+        const name = field[1].toLowerCase();
+        if (!FIELDS[name]) {
+          throw new QuerySyntaxError(`Unknown field "${field[1]}" (use ${Object.keys(FIELDS).join(', ')})`, position);
+        }
+        i += field[0].length;
+
+        if (input[i] === '"') {
+          const { value, end } = readPhrase(input, i);
+          tokens.push({ type: 'term', field: name, value, quoted: true, position });
+          i = end;
+          continue;
+        }
+
+        const word = /^[^\s()]*/.exec(input.slice(i))[0];
+        if (!word) {
+          throw new QuerySyntaxError(`Expected a value after "${field[0]}"`, i + 1);
+        }
+        tokens.push({ type: 'term', field: name, value: word, quoted: false, position });
+        i += word.length;
+        continue;
+      }
+
+      const word = /^[^\s()"]+/.exec(input.slice(i))[0];
+      if (['AND', 'OR', 'NOT'].includes(word)) {
+        tokens.push({ type: word, position });
+      } else {
+        tokens.push({ type: 'term', field: null, value: word, quoted: false, position });
+      }
+      i += word.length;
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a query into a tree of and / or / not / term nodes
+ * Precedence, loosest first: OR, then AND (or terms side by side), then NOT and -
+ * @param {string} input - Query text
+ * @returns {Object|null} Root node, or null for an empty query
+ * @throws {QuerySyntaxError} When the query cannot be read
+ */
+const parseQuery = (input) => {
+  const text = String(input || '');
+  if (text.length > MAX_LENGTH) {
+    throw new QuerySyntaxError(`Query is longer than ${MAX_LENGTH} characters`, MAX_LENGTH + 1);
+  }
+
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return null;
+  let next = 0;
+
+  const peek = () => tokens[next];
+  const endPosition = () => text.trimEnd().length + 1;
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      const or = tokens[next++];
+      if (!peek() || peek().type === ')' || peek().type === 'OR' || peek().type === 'AND') {
+        throw new QuerySyntaxError('Expected a search term after OR', or.position);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        const and = tokens[next++];
+        if (!peek() || peek().type === ')' || peek().type === 'OR' || peek().type === 'AND') {
+          throw new QuerySyntaxError('Expected a search term after AND', and.position);
+        }
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token && token.type === 'NOT') {
+      next++;
+      if (!peek() || [')', 'OR', 'AND'].includes(peek().type)) {
+        throw new QuerySyntaxError('Expected a search term after NOT', token.position);
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new QuerySyntaxError('Expected a search term', endPosition());
+    }
+
+    if (token.type === '(') {
+      next++;
+      if (peek() && peek().type === ')') {
+        throw new QuerySyntaxError('Empty parentheses', token.position);
+      }
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new QuerySyntaxError('Missing ")" to close the "(" opened', token.position);
+      }
+      next++;
+      return node;
+    }
+
+    if (token.type === 'term') {
+      next++;
+      return token;
+    }
+
+    throw new QuerySyntaxError(`Expected a search term before ${token.type === ')' ? '")"' : token.type}`, token.position);
+  };
+
+  const root = parseOr();
+  if (next < tokens.length) {
+    // parseOr only stops early at a ")" that nothing opened
+    throw new QuerySyntaxError('Unexpected ")" with no matching "("', peek().position);
+  }
+  return root;
+};
+
+/**
+ * Condition on a number field: a value or a range
+ * @param {Object} term - Term node
+ * @returns {Object} Condition on the field
+ */
+const numberCondition = (term) => {
+  const range = RANGE.exec(term.value);
+  if (range && (range[1] || range[2])) {
+    const condition = {};
+    if (range[1]) condition.$gte = Number(range[1]);
+    if (range[2]) condition.$lte = Number(range[2]);
+    if (range[1] && range[2] && condition.$gte > condition.$lte) {
+      throw new QuerySyntaxError(`Range ${term.value} runs backwards`, term.position);
+    }
+    return condition;
+  }
+
+  if (!NUMBER.test(term.value)) {
+    throw new QuerySyntaxError(`${term.field} needs a number or a range like 1940..1960, not "${term.value}"`, term.position);
+  }
+
+  // rating:4 means 4 stars and up, like the rating facet
+  return term.field === 'rating' ? { $gte: Number(term.value) } : Number(term.value);
+};
+
+/**
+ * MongoDB condition for one term
+ * @param {Object} term - Term node
+ * @returns {Promise<Object>} Condition
+ */
+const termFilter = async (term) => {
+  if (!term.field) {
+    const pattern = new RegExp(escapeRegex(term.value), 'i');
+    return { $or: TEXT_FIELDS.map(field => ({ [field]: pattern })) };
+  }
+
+  const path = FIELD_PATHS[term.field] || term.field;
+
+  switch (FIELDS[term.field]) {
+    case 'contains':
+      return { [path]: new RegExp(escapeRegex(term.value), 'i') };
+
+    case 'exact':
+      return { [path]: new RegExp(`^${escapeRegex(term.value)}$`, 'i') };
+
+    case 'isbn':
+      return { isbn: normalizeIsbn(term.value) || compact(term.value) };
+
+    case 'number':
+      return { [path]: numberCondition(term) };
+
+    case 'boolean': {
+      const value = term.value.toLowerCase();
+      if (!['true', 'false', 'yes', 'no'].includes(value)) {
+        throw new QuerySyntaxError(`available needs true or false, not "${term.value}"`, term.position);
+      }
+      return { available: value === 'true' || value === 'yes' };
+    }
+
+    case 'subject': {
+      const subject = await Subject.resolve(term.value);
+      return { subjects: { $in: subject ? await Subject.branchIds(subject._id) : [] } };
+    }
+
+    default:
+      throw new QuerySyntaxError(`Unknown field "${term.field}"`, term.position);
+  }
+};
+
+/**
+ * MongoDB query for a parsed query tree
+ * @param {Object} node - Node from parseQuery
+ * @returns {Promise<Object>} Query
+ */
+const nodeFilter = async (node) => {
+  if (node.type === 'and') {
+    return { $and: await Promise.all(node.children.map(nodeFilter)) };
+  }
+  if (node.type === 'or') {
+    return { $or: await Promise.all(node.children.map(nodeFilter)) };
+  }
+  if (node.type === 'not') {
+    return { $nor: [await nodeFilter(node.child)] };
+  }
+  return termFilter(node);
+};
+
+/**
+ * Turn query text into a MongoDB query for books
+ * @param {string} input - Query text, e.g. author:orwell -genre:romance
+ * @returns {Promise<Object>} Query ({} when the text is empty)
+ * @throws {QuerySyntaxError} When the query cannot be read
+ */
+const queryToFilter = async (input) => {
+  const root = parseQuery(input);
+  return root ? nodeFilter(root) : {};
+};
+
+module.exports = { FIELDS, QuerySyntaxError, parseQuery, queryToFilter };
@@ -0,0 +1,204 @@
+/**
+ * Recommendations
+ * Books a patron may like next, from three signals:
+ * - Co-borrowing: patrons who borrowed the same books also borrowed these
+ * - Favourite genres and authors, read from the patron's loan history
+ * - What is trending in the library, for patrons without a history yet
+ * Books the patron has read (any edition), is reading or is waiting for are left out,
+ * and so are books that can be neither borrowed nor held (no copies)
+ */
+
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const Loan = require('../models/Loan');
+const Hold = require('../models/Hold');
+const { withCovers } = require('./covers');
+const { getTrending } = require('../jobs/trendingJob');
+
+// What each signal adds to a book's score
+const SIGNAL_WEIGHTS = {
+  coBorrowed: 3,  // per other patron who borrowed it alongside the patron's books
+  genre: 2,       // scaled by how much of the patron's reading is in that genre
+  author: 2,
+  trending: 1
+};
+
+// Genres and authors that count as favourites
+const FAVORITE_LIMIT = 3;
+
+// Patrons and candidate books looked at, so a popular book does not scan the whole history
+const NEIGHBOUR_LIMIT = 500;
+const CANDIDATE_LIMIT = 100;
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 30;
+
+/**
+ * The most frequent values, most frequent first
+ * @param {string[]} values - e.g. the genre of every book read
+ * @param {number} limit - How many to keep
+ * @returns {Array<{value: string, share: number}>} Values with their share of the total
+ */
+const favorites = (values, limit) => {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  const total = values.length || 1;
+
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([value, count]) => ({ value, share: count / total }));
+};
+
+/**
+ * Books borrowed by patrons who also borrowed the patron's books
+ * @param {ObjectId} userId - Patron
+ * @param {ObjectId[]} readIds - Books the patron has borrowed
+ * @returns {Promise<Map<string, {patrons: number, because: ObjectId}>>} Per book: how many
+ *   other patrons borrowed it, and which of the patron's books most of them share
+ */
+const coBorrowed = async (userId, readIds) => {
+  const shared = await Loan.aggregate([
+    { $match: { book: { $in: readIds }, 'patron.userId': { $ne: userId } } },
+    { $group: { _id: '$patron.userId', books: { $addToSet: '$book' } } },
+    { $limit: NEIGHBOUR_LIMIT }
+  ]);
+  if (shared.length === 0) return new Map();
+
+  const sharedBooks = new Map(shared.map(neighbour => [String(neighbour._id), neighbour.books]));
+
+  const candidates = await Loan.aggregate([
+    { $match: { 'patron.userId': { $in: shared.map(neighbour => neighbour._id) }, book: { $nin: readIds } } },
+    { $group: { _id: '$book', patrons: { $addToSet: '$patron.userId' } } },
+    { $project: { patrons: 1, count: { $size: '$patrons' } } },
+    { $sort: { count: -1 } },
+    { $limit: CANDIDATE_LIMIT }
+  ]);
+
+  const found = new Map();
+  candidates.forEach(candidate => {
+    // The patron's book that the most of these readers also borrowed
+    const links = new Map();
+    candidate.patrons.forEach(patron => {
+      sharedBooks.get(String(patron)).forEach(book => links.set(String(book), (links.get(String(book)) || 0) + 1));
+    });
+    const [because] = [...links].sort((a, b) => b[1] - a[1])[0];
+    found.set(String(candidate._id), { patrons: candidate.count, because });
+  });
+
+  return found;
+};
+
+/**
+ * Recommend books for a patron
+ * @param {string} userId - Logged-in patron
+ * @param {number} [limit] - Most books to return (default 10, max 30)
+ * @returns {Promise<{books: Object[], profile: Object}>} Books, best first, each with its
+ *   recommendation ({ score, action: 'borrow'|'hold', reasons }), and what they were based on
+ */
+const recommendBooks = async (userId, limit = DEFAULT_LIMIT) => {
+  const patron = new mongoose.Types.ObjectId(String(userId));
+  const count = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const activeHolds = { 'patron.userId': patron, status: { $in: ['Waiting', 'Ready'] } };
+  const [readIds, heldIds, heldWorks] = await Promise.all([
+    Loan.distinct('book', { 'patron.userId': patron }),
+    Hold.distinct('book', activeHolds),
+    Hold.distinct('work', activeHolds)
+  ]);
+
+  // What the patron reads
+  const read = await Book.find({ _id: { $in: readIds } })
+    .select('title genre author work')
+    .lean();
+  const readTitles = new Map(read.map(book => [String(book._id), book.title]));
+  const excludedWorks = [...read.map(book => book.work), ...heldWorks].filter(Boolean);
+
+  const genres = favorites(read.map(book => book.genre), FAVORITE_LIMIT);
+  const authors = favorites(read.map(book => book.author), FAVORITE_LIMIT);
+
+  const excluded = [...readIds, ...heldIds.filter(Boolean)];
+  const candidates = new Map();
+  const candidate = (id) => {
+    if (!candidates.has(id)) candidates.set(id, { score: 0, reasons: [] });
+    return candidates.get(id);
+  };
+
+  (await coBorrowed(patron, readIds)).forEach(({ patrons, because }, id) => {
+    const entry = candidate(id);
+    entry.score += SIGNAL_WEIGHTS.coBorrowed * patrons;
+    entry.reasons.push(`Readers of ${readTitles.get(because) || 'books you borrowed'} also borrowed this`);
+  });
+
+  if (genres.length || authors.length) {
+    const similar = await Book.find({
+      _id: { $nin: excluded },
+      $or: [
+        { genre: { $in: genres.map(genre => genre.value) } },
+        { author: { $in: authors.map(author => author.value) } }
+      ]
+    })
+      .select('genre author')
+      .sort({ rating: -1, totalReviews: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+
+    similar.forEach(book => {
+      const entry = candidate(String(book._id));
+      const genre = genres.find(favorite => favorite.value === book.genre);
+      const author = authors.find(favorite => favorite.value === book.author);
+      if (genre) {
+        entry.score += SIGNAL_WEIGHTS.genre * genre.share;
+        entry.reasons.push(`You often read ${genre.value}`);
+      }
+      if (author) {
+        entry.score += SIGNAL_WEIGHTS.author;
+        entry.reasons.push(`More by ${author.value}`);
+      }
+    });
+  }
+
+  // Nothing to go on yet (or too little): fill up with what is popular now
+  if (candidates.size < count) {
+    const { books: trending } = await getTrending(MAX_LIMIT);
+    trending.forEach(book => {
+      const entry = candidate(String(book._id));
+      entry.score += SIGNAL_WEIGHTS.trending;
+      entry.reasons.push('Trending in the library');
+    });
+  }
+
+  // Only books that can be borrowed now or held, and not another edition of something read or held
+  const excludedIds = new Set(excluded.map(String));
+  const books = await Book.find({
+    _id: { $in: [...candidates.keys()].filter(id => !excludedIds.has(id)) },
+    totalCopies: { $gt: 0 },
+    ...(excludedWorks.length ? { work: { $nin: excludedWorks } } : {})
+  }).lean();
+
+  const ranked = books
+    .map(book => {
+      const { score, reasons } = candidates.get(String(book._id));
+      return {
+        ...withCovers(book),
+        recommendation: {
+          score: Math.round(score * 100) / 100,
+          action: book.availableCopies > 0 ? 'borrow' : 'hold',
+          reasons
+        }
+      };
+    })
+    .sort((a, b) => b.recommendation.score - a.recommendation.score || (b.rating || 0) - (a.rating || 0))
+    .slice(0, count);
+
+  return {
+    books: ranked,
+    profile: {
+      booksRead: readIds.length,
+      favoriteGenres: genres.map(genre => genre.value),
+      favoriteAuthors: authors.map(author => author.value)
+    }
+  };
+};
+
+module.exports = { SIGNAL_WEIGHTS, recommendBooks };
@@ -0,0 +1,304 @@
+/**
+ * Suggestion Index
+ * In-memory index of titles, authors, ISBNs and tags for search-as-you-type:
+ * whole words, the start of the word being typed, and words typed with a typo.
+ * The index is built from the catalog on first use and rebuilt in the background
+ * after books change (at most every SUGGEST_REFRESH_SECONDS)
+ */
+
+const mongoose = require('mongoose');
+const { compact, toIsbn10 } = require('./isbn');
+const { withCovers } = require('./covers');
+
+const REFRESH_MS = (parseInt(process.env.SUGGEST_REFRESH_SECONDS) || 30) * 1000;
+
+// How much a match in each field counts towards a book's score
+const FIELD_WEIGHTS = {
+  title: 3,
+  isbn: 3,
+  author: 2,
+  tag: 1
+};
+
+// Match kinds, best first: the whole word, the start of a word, a word with a typo
+const MATCH_SCORES = {
+  exact: 3,
+  prefix: 2,
+  fuzzy: 1
+};
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+const index = {
+  books: [],          // { _id, title, author, isbn, covers, popularity }
+  words: new Map(),   // word -> [{ book, field }]
+  sortedWords: [],    // every word, sorted, for prefix lookups
+  builtAt: 0,
+  stale: true,
+  building: null      // Promise of the rebuild in progress
+};
+
+/**
+ * Lower-case words of a text, without accents or punctuation
+ * @param {string} text - Text to split
+ * @returns {string[]} Words
+ */
+const words = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+/**
+ * Damerau-Levenshtein distance, giving up once it is past `max`
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when further apart
+ */
+const distance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+      // Swapped neighbouring letters count as one typo
+      if (previous && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous[j - 2] + 1);
+      }
+      best = Math.min(best, current[j]);
+    }
+    if (best > max) return max + 1;
+    previous = row;
+    row = current;
+  }
+  return row[b.length];
+};
+
+/**
+ * Typos allowed in a word of this length
+ * @param {string} word - Word from the query
+ * @returns {number} 0 for short words and numbers (ISBNs, years), 1 from 4 letters, 2 from 8
+ */
+const allowedTypos = (word) => {
+  if (/^\d+x?$/.test(word)) return 0;
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Build the index from the catalog (books in the Trash are left out)
+ * @returns {Promise<number>} Number of books indexed
+ */
+const buildIndex = async () => {
+  const Book = mongoose.model('Book');
+  const startedAt = Date.now();
+  index.stale = false;
+
+  const found = await Book.find()
+    .select('title author isbn tags coverImage coverUrl rating totalReviews')
+    .lean();
+
+  const books = [];
+  const wordMap = new Map();
+  const add = (word, book, field) => {
+    if (!wordMap.has(word)) wordMap.set(word, []);
+    wordMap.get(word).push({ book, field });
+  };
+
+  found.forEach(doc => {
+    const book = {
+      _id: doc._id,
+      title: doc.title,
+      author: doc.author,
+      isbn: doc.isbn,
+      covers: withCovers(doc).covers,
+      popularity: (doc.rating || 0) * Math.log2(2 + (doc.totalReviews || 0))
+    };
+    const position = books.push(book) - 1;
+
+    words(doc.title).forEach(word => add(word, position, 'title'));
+    words(doc.author).forEach(word => add(word, position, 'author'));
+    (doc.tags || []).forEach(tag => words(tag).forEach(word => add(word, position, 'tag')));
+    if (doc.isbn) {
+      add(doc.isbn.toLowerCase(), position, 'isbn');
+      const isbn10 = toIsbn10(doc.isbn);
+      if (isbn10) add(isbn10.toLowerCase(), position, 'isbn');
+    }
+  });
+
+  // Rebuilds follow ordinary catalog traffic, so only the first build is logged
+  const first = index.builtAt === 0;
+  Object.assign(index, {
+    books,
+    words: wordMap,
+    sortedWords: [...wordMap.keys()].sort(),
+    builtAt: Date.now()
+  });
+
+  if (first) console.log(`🔎 Suggestion index built: ${books.length} books, ${wordMap.size} words in ${Date.now() - startedAt}ms`);
+  return books.length;
+};
+
+/**
+ * Rebuild the index when books have changed and it is old enough
+ * The first call waits for the build; later ones answer from the current index meanwhile
+ * @returns {Promise<void>}
+ */
+const refreshIndex = async () => {
+  const due = index.stale && Date.now() - index.builtAt >= REFRESH_MS;
+  if (!index.building && (index.builtAt === 0 || due)) {
+    index.building = buildIndex()
+      .catch(error => {
+        index.stale = true;
+        console.error('❌ Suggestion index build failed:', error.message);
+      })
+      .finally(() => { index.building = null; });
+  }
+
+  if (index.builtAt === 0 && index.building) {
+    await index.building;
+  }
+};
+
+/**
+ * Note that books have changed, so the index is rebuilt before long
+ */
+const markStale = () => {
+  index.stale = true;
+};
+
+/**
+ * Words of the index starting with a prefix
+ * @param {string} prefix - Start of a word
+ * @returns {string[]} Matching words
+ */
+const wordsStartingWith = (prefix) => {
+  const list = index.sortedWords;
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (list[middle] < prefix) low = middle + 1;
+    else high = middle;
+  }
+
+  const found = [];
+  for (let i = low; i < list.length && list[i].startsWith(prefix); i++) {
+    found.push(list[i]);
+  }
+  return found;
+};
+
+/**
+ * Index words matching a query word, with how well they match
+ * @param {string} word - Word from the query
+ * @param {boolean} partial - The word is still being typed (prefixes count)
+ * @returns {Array<{word: string, kind: string}>} Matching index words
+ */
+const matchingWords = (word, partial) => {
+  const matches = new Map();
+
+  if (index.words.has(word)) {
+    matches.set(word, 'exact');
+  }
+  if (partial) {
+    wordsStartingWith(word).forEach(found => {
+      if (!matches.has(found)) matches.set(found, 'prefix');
+    });
+  }
+
+  // Typos: compared against words of about the same length (or longer, for the word being typed)
+  const typos = allowedTypos(word);
+  if (typos > 0 && matches.size < 50) {
+    index.sortedWords.forEach(found => {
+      if (matches.has(found) || found[0] !== word[0]) return;
+      const candidate = partial && found.length > word.length ? found.slice(0, word.length) : found;
+      if (distance(word, candidate, typos) <= typos) {
+        matches.set(found, 'fuzzy');
+      }
+    });
+  }
+
+  return [...matches].map(([found, kind]) => ({ word: found, kind }));
+};
+
+/**
+ * Suggest books for what has been typed so far
+ * Every word must match; the last word may be unfinished
+ * @param {string} query - Text typed in the search box
+ * @param {number} [limit] - Most suggestions to return (default 8, max 20)
+ * @returns {Promise<Array<Object>>} Books, best first, with the field that matched best
+ */
+const suggest = async (query, limit = DEFAULT_LIMIT) => {
+  await refreshIndex();
+  const count = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  // An ISBN typed with hyphens or spaces is one word
+  const isbn = compact(query);
+  const queryWords = /^\d{3,12}[\dX]?$/.test(isbn) ? [isbn.toLowerCase()] : words(query);
+  if (queryWords.length === 0) return [];
+
+  // Best score per book for each query word; a book must match them all
+  let scores = null;
+  const matchedField = new Map();
+
+  queryWords.forEach((word, position) => {
+    const partial = position === queryWords.length - 1;
+    const wordScores = new Map();
+
+    matchingWords(word, partial).forEach(({ word: found, kind }) => {
+      index.words.get(found).forEach(({ book, field }) => {
+        const score = MATCH_SCORES[kind] * FIELD_WEIGHTS[field];
+        if (score > (wordScores.get(book) || 0)) {
+          wordScores.set(book, score);
+          if (score > ((matchedField.get(book) || {}).score || 0)) {
+            matchedField.set(book, { field, score });
+          }
+        }
+      });
+    });
+
+    if (scores === null) {
+      scores = wordScores;
+    } else {
+      const both = new Map();
+      scores.forEach((score, book) => {
+        if (wordScores.has(book)) both.set(book, score + wordScores.get(book));
+      });
+      scores = both;
+    }
+  });
+
+  // Titles that start with what was typed come first among equals
+  const typed = words(query).join(' ');
+  const ranked = [...scores].map(([book, score]) => {
+    const entry = index.books[book];
+    const startsTitle = typed && words(entry.title).join(' ').startsWith(typed);
+    return { entry, book, score: score + (startsTitle ? 2 : 0) };
+  });
+
+  ranked.sort((a, b) => b.score - a.score
+    || b.entry.popularity - a.entry.popularity
+    || a.entry.title.localeCompare(b.entry.title));
+
+  return ranked.slice(0, count).map(({ entry, book, score }) => ({
+    _id: entry._id,
+    title: entry.title,
+    author: entry.author,
+    isbn: entry.isbn,
+    covers: entry.covers,
+    matchedOn: matchedField.get(book).field,
+    score
+  }));
+};
+
+module.exports = { buildIndex, markStale, suggest };